@@ -0,0 +1,5 @@
+-- migrations/001_initial_schema.down.sql
+
+DROP TABLE IF EXISTS favorite_movies;
+DROP TABLE IF EXISTS movies;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,76 @@
+-- migrations/001_initial_schema.up.sql
+-- ------------------------------------------------------
+-- Core tables used by the controllers:
+-- users, movies, favorite_movies
+-- ------------------------------------------------------
+
+CREATE TABLE users (
+  id INT NOT NULL AUTO_INCREMENT,
+  name VARCHAR(100) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  password VARCHAR(255) NULL, -- NULL for Google-only accounts
+  provider VARCHAR(20) NOT NULL DEFAULT 'local', -- 'local' | 'google'
+  provider_id VARCHAR(255) NULL,
+  role ENUM('USER', 'ADMIN') NOT NULL DEFAULT 'USER',
+  active TINYINT(1) NOT NULL DEFAULT 1,
+
+  avatar_url VARCHAR(255) NULL,
+  avatar_alt VARCHAR(255) NULL,
+  avatar_title VARCHAR(255) NULL,
+
+  -- Password change / reset flow (authController)
+  password_changed_at DATETIME NULL,
+  password_change_count INT NOT NULL DEFAULT 0,
+  password_change_window_start DATETIME NULL,
+  password_reset_token VARCHAR(64) NULL,
+  password_reset_expires DATETIME NULL,
+
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_users_email (email),
+  KEY idx_users_provider (provider, provider_id),
+  KEY idx_users_password_reset_token (password_reset_token)
+);
+
+CREATE TABLE movies (
+  id INT NOT NULL AUTO_INCREMENT,
+  owner_id INT NULL, -- NULL for seeded movies
+  title VARCHAR(255) NOT NULL,
+  original_title VARCHAR(255) NULL,
+  overview TEXT NULL,
+  release_date DATE NULL,
+  vote_average DECIMAL(3, 1) NOT NULL DEFAULT 0,
+  vote_count INT NOT NULL DEFAULT 0,
+  popularity DECIMAL(10, 3) NOT NULL DEFAULT 0,
+  poster_path VARCHAR(255) NULL,
+  backdrop_path VARCHAR(255) NULL,
+  original_language VARCHAR(10) NULL,
+  adult TINYINT(1) NOT NULL DEFAULT 0,
+  video TINYINT(1) NOT NULL DEFAULT 0,
+  most_popular TINYINT(1) NOT NULL DEFAULT 0,
+  genre_ids JSON NULL,
+
+  PRIMARY KEY (id),
+  KEY idx_movies_owner (owner_id),
+  KEY idx_movies_title (title),
+  KEY idx_movies_popularity (popularity),
+  CONSTRAINT fk_movies_owner
+    FOREIGN KEY (owner_id) REFERENCES users (id)
+    ON DELETE SET NULL
+);
+
+CREATE TABLE favorite_movies (
+  user_id INT NOT NULL,
+  movie_id INT NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (user_id, movie_id),
+  KEY idx_favorite_movies_movie (movie_id),
+  CONSTRAINT fk_favorite_movies_user
+    FOREIGN KEY (user_id) REFERENCES users (id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_favorite_movies_movie
+    FOREIGN KEY (movie_id) REFERENCES movies (id)
+    ON DELETE CASCADE
+);
@@ -0,0 +1,3 @@
+-- migrations/002_movie_details.down.sql
+
+DROP TABLE IF EXISTS movie_details;
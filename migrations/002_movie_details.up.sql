@@ -0,0 +1,25 @@
+-- migrations/002_movie_details.up.sql
+
+-- ------------------------------------------------------
+-- movie_details: one row per movie (1:1 with movies)
+-- Source: src/data/movieDetails.js
+-- ------------------------------------------------------
+CREATE TABLE movie_details (
+  movie_id INT NOT NULL,
+  budget BIGINT NULL,
+  revenue BIGINT NULL,
+  runtime INT NULL,
+  tagline VARCHAR(255) NULL,
+  status VARCHAR(50) NULL,
+  imdb_id VARCHAR(20) NULL,
+  homepage VARCHAR(255) NULL,
+  belongs_to_collection JSON NULL,
+  genres JSON NULL,
+  production_companies JSON NULL,
+  production_countries JSON NULL,
+  spoken_languages JSON NULL,
+  PRIMARY KEY (movie_id),
+  CONSTRAINT fk_movie_details_movie
+    FOREIGN KEY (movie_id) REFERENCES movies (id)
+    ON DELETE CASCADE
+);
@@ -0,0 +1,4 @@
+-- migrations/003_people.down.sql
+
+DROP TABLE IF EXISTS movie_people;
+DROP TABLE IF EXISTS people;
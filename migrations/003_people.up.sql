@@ -0,0 +1,32 @@
+-- migrations/003_people.up.sql
+
+-- ------------------------------------------------------
+-- people: actors / cast members
+-- Source: src/data/people.js
+-- ------------------------------------------------------
+CREATE TABLE people (
+  id INT NOT NULL AUTO_INCREMENT,
+  name VARCHAR(255) NOT NULL,
+  popularity DECIMAL(10, 3) NOT NULL DEFAULT 0,
+  profile_path VARCHAR(255) NULL,
+  adult TINYINT(1) NOT NULL DEFAULT 0,
+  PRIMARY KEY (id),
+  KEY idx_people_name (name)
+);
+
+-- ------------------------------------------------------
+-- movie_people: which person is known for which movie (N:M)
+-- Source: people[].known_for in src/data/people.js
+-- ------------------------------------------------------
+CREATE TABLE movie_people (
+  movie_id INT NOT NULL,
+  person_id INT NOT NULL,
+  PRIMARY KEY (movie_id, person_id),
+  KEY idx_movie_people_person (person_id),
+  CONSTRAINT fk_movie_people_movie
+    FOREIGN KEY (movie_id) REFERENCES movies (id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_movie_people_person
+    FOREIGN KEY (person_id) REFERENCES people (id)
+    ON DELETE CASCADE
+);
@@ -0,0 +1,4 @@
+-- migrations/004_genres.down.sql
+
+DROP TABLE IF EXISTS movie_genres;
+DROP TABLE IF EXISTS genres;
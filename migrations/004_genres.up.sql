@@ -0,0 +1,28 @@
+-- migrations/004_genres.up.sql
+
+-- ------------------------------------------------------
+-- genres: lookup table (id = TMDB genre id used in movies.genre_ids)
+-- Source: genres[] in src/data/movieDetails.js
+-- ------------------------------------------------------
+CREATE TABLE genres (
+  id INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_genres_name (name)
+);
+
+-- ------------------------------------------------------
+-- movie_genres: normalized copy of movies.genre_ids (N:M)
+-- ------------------------------------------------------
+CREATE TABLE movie_genres (
+  movie_id INT NOT NULL,
+  genre_id INT NOT NULL,
+  PRIMARY KEY (movie_id, genre_id),
+  KEY idx_movie_genres_genre (genre_id),
+  CONSTRAINT fk_movie_genres_movie
+    FOREIGN KEY (movie_id) REFERENCES movies (id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_movie_genres_genre
+    FOREIGN KEY (genre_id) REFERENCES genres (id)
+    ON DELETE CASCADE
+);
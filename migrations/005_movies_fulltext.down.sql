@@ -0,0 +1,3 @@
+-- migrations/005_movies_fulltext.down.sql
+
+ALTER TABLE movies DROP INDEX ft_movies_search;
@@ -0,0 +1,8 @@
+-- migrations/005_movies_fulltext.up.sql
+
+-- ------------------------------------------------------
+-- Full-text search index used by ?matchMode=fulltext
+-- (src/utils/search.js).
+-- ------------------------------------------------------
+ALTER TABLE movies
+  ADD FULLTEXT INDEX ft_movies_search (title, original_title, overview);
@@ -0,0 +1,27 @@
+-- migrations/006_api_keys.up.sql
+
+-- ------------------------------------------------------
+-- api_keys: per-client API keys owned by a user
+-- The raw key is shown ONCE on creation; only its
+-- SHA-256 hash is stored (same idea as password reset tokens).
+-- scopes: JSON array, e.g. ["movies:read", "movies:write"]
+-- ------------------------------------------------------
+CREATE TABLE api_keys (
+  id INT NOT NULL AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  label VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(16) NOT NULL, -- first characters, safe to display
+  key_hash CHAR(64) NOT NULL,
+  scopes JSON NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at DATETIME NULL,
+  expires_at DATETIME NULL, -- NULL = never expires
+  revoked_at DATETIME NULL,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_api_keys_key_hash (key_hash),
+  KEY idx_api_keys_user (user_id),
+  CONSTRAINT fk_api_keys_user
+    FOREIGN KEY (user_id) REFERENCES users (id)
+    ON DELETE CASCADE
+);
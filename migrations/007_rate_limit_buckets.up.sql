@@ -0,0 +1,14 @@
+-- migrations/007_rate_limit_buckets.up.sql
+
+-- ------------------------------------------------------
+-- rate_limit_buckets: hit counters for the MySQL rate-limit store
+-- (src/middlewares/rateLimit.js, RATE_LIMIT_STORE=mysql)
+-- window_start = window start in ms since epoch
+-- ------------------------------------------------------
+CREATE TABLE rate_limit_buckets (
+  bucket_key VARCHAR(255) NOT NULL,
+  window_start BIGINT NOT NULL,
+  hits INT NOT NULL DEFAULT 0,
+
+  PRIMARY KEY (bucket_key, window_start)
+);
@@ -0,0 +1,9 @@
+-- migrations/008_login_lockout.down.sql
+
+ALTER TABLE users
+  DROP KEY idx_users_unlock_token,
+  DROP COLUMN unlock_token_expires,
+  DROP COLUMN unlock_token,
+  DROP COLUMN locked_until,
+  DROP COLUMN last_failed_login_at,
+  DROP COLUMN failed_login_count;
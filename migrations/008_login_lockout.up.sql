@@ -0,0 +1,15 @@
+-- migrations/008_login_lockout.up.sql
+
+-- ------------------------------------------------------
+-- Login brute-force protection (src/utils/loginLockout.js)
+-- - failed_login_count / last_failed_login_at → progressive delay
+-- - locked_until → temporary lockout after too many failures
+-- - unlock_token (SHA-256) → "unlock my account" email link
+-- ------------------------------------------------------
+ALTER TABLE users
+  ADD COLUMN failed_login_count INT NOT NULL DEFAULT 0,
+  ADD COLUMN last_failed_login_at DATETIME NULL,
+  ADD COLUMN locked_until DATETIME NULL,
+  ADD COLUMN unlock_token VARCHAR(64) NULL,
+  ADD COLUMN unlock_token_expires DATETIME NULL,
+  ADD KEY idx_users_unlock_token (unlock_token);
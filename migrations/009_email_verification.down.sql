@@ -0,0 +1,7 @@
+-- migrations/009_email_verification.down.sql
+
+ALTER TABLE users
+  DROP KEY idx_users_email_verification_token,
+  DROP COLUMN email_verification_expires,
+  DROP COLUMN email_verification_token,
+  DROP COLUMN email_verified_at;
@@ -0,0 +1,18 @@
+-- migrations/009_email_verification.up.sql
+
+-- ------------------------------------------------------
+-- Email verification for password-registered accounts
+-- - email_verified_at: NULL = not verified yet
+-- - email_verification_token (SHA-256) + expiry for the emailed link
+-- ------------------------------------------------------
+ALTER TABLE users
+  ADD COLUMN email_verified_at DATETIME NULL,
+  ADD COLUMN email_verification_token VARCHAR(64) NULL,
+  ADD COLUMN email_verification_expires DATETIME NULL,
+  ADD KEY idx_users_email_verification_token (email_verification_token);
+
+-- Existing accounts predate verification: treat them as verified
+-- (Google accounts were already checked via email_verified)
+UPDATE users
+SET email_verified_at = created_at
+WHERE email_verified_at IS NULL;
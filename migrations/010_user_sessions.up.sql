@@ -0,0 +1,28 @@
+-- migrations/010_user_sessions.up.sql
+
+-- ------------------------------------------------------
+-- user_sessions: one row per login (a refresh-token "family")
+-- - access tokens are short-lived JWTs carrying the session id (sid)
+-- - the refresh token is rotated on every use; only the SHA-256
+--   hash of the CURRENT token is stored
+-- - presenting an older token of the family = reuse → whole
+--   session is revoked (src/utils/sessions.js)
+-- ------------------------------------------------------
+CREATE TABLE user_sessions (
+  id INT NOT NULL AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  family_id CHAR(32) NOT NULL, -- public part of the refresh token
+  refresh_token_hash CHAR(64) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at DATETIME NULL, -- last refresh
+  expires_at DATETIME NOT NULL,
+  revoked_at DATETIME NULL,
+  revoked_reason VARCHAR(32) NULL, -- logout, reuse, password_change, ...
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_user_sessions_family (family_id),
+  KEY idx_user_sessions_user (user_id),
+  CONSTRAINT fk_user_sessions_user
+    FOREIGN KEY (user_id) REFERENCES users (id)
+    ON DELETE CASCADE
+);
@@ -0,0 +1,6 @@
+-- migrations/011_session_devices.down.sql
+
+ALTER TABLE user_sessions
+  DROP COLUMN user_agent,
+  DROP COLUMN ip,
+  DROP COLUMN last_seen_at;
@@ -0,0 +1,11 @@
+-- migrations/011_session_devices.up.sql
+
+-- ------------------------------------------------------
+-- Where is each session used? (GET /api/v1/users/me/sessions)
+-- - user_agent / ip: recorded at login, ip refreshed on use
+-- - last_seen_at: bumped by auth.protect (at most once a minute)
+-- ------------------------------------------------------
+ALTER TABLE user_sessions
+  ADD COLUMN user_agent VARCHAR(255) NULL,
+  ADD COLUMN ip VARCHAR(45) NULL,
+  ADD COLUMN last_seen_at DATETIME NULL;
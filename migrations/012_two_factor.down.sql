@@ -0,0 +1,8 @@
+-- migrations/012_two_factor.down.sql
+
+DROP TABLE IF EXISTS user_recovery_codes;
+
+ALTER TABLE users
+  DROP COLUMN two_factor_secret,
+  DROP COLUMN two_factor_enabled_at,
+  DROP COLUMN two_factor_last_step;
@@ -0,0 +1,28 @@
+-- migrations/012_two_factor.up.sql
+
+-- ------------------------------------------------------
+-- TOTP two-factor authentication (src/utils/twoFactor.js)
+-- - two_factor_secret: base32 TOTP secret (set on setup,
+--   only active once two_factor_enabled_at is set)
+-- - two_factor_last_step: last accepted 30s time step, so a
+--   code cannot be replayed inside its validity window
+-- - user_recovery_codes: one-time codes, SHA-256 hashed
+-- ------------------------------------------------------
+ALTER TABLE users
+  ADD COLUMN two_factor_secret VARCHAR(64) NULL,
+  ADD COLUMN two_factor_enabled_at DATETIME NULL,
+  ADD COLUMN two_factor_last_step BIGINT NULL;
+
+CREATE TABLE user_recovery_codes (
+  id INT NOT NULL AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  used_at DATETIME NULL,
+
+  PRIMARY KEY (id),
+  KEY idx_user_recovery_codes_user (user_id),
+  CONSTRAINT fk_user_recovery_codes_user
+    FOREIGN KEY (user_id) REFERENCES users (id)
+    ON DELETE CASCADE
+);
@@ -0,0 +1,4 @@
+-- migrations/013_password_reset_required.down.sql
+
+ALTER TABLE users
+  DROP COLUMN password_reset_required;
@@ -0,0 +1,8 @@
+-- migrations/013_password_reset_required.up.sql
+
+-- ------------------------------------------------------
+-- Admin "force password reset": the current password stops
+-- working until the user sets a new one via the emailed link.
+-- ------------------------------------------------------
+ALTER TABLE users
+  ADD COLUMN password_reset_required TINYINT(1) NOT NULL DEFAULT 0;
@@ -0,0 +1,30 @@
+-- migrations/014_audit_log.up.sql
+
+-- ------------------------------------------------------
+-- audit_log: who did what, to what, from where
+-- - actor_user_id: NULL for anonymous events (failed login
+--   for an unknown email) and kept NULL after a user is deleted
+-- - action: dotted name, e.g. auth.login, movie.update
+-- - details: JSON (movie updates store { changes: { field: { from, to } } })
+-- Written by src/utils/audit.js; read via GET /api/v1/admin/audit
+-- ------------------------------------------------------
+CREATE TABLE audit_log (
+  id BIGINT NOT NULL AUTO_INCREMENT,
+  actor_user_id INT NULL,
+  action VARCHAR(64) NOT NULL,
+  target_type VARCHAR(32) NULL, -- user, movie, ...
+  target_id INT NULL,
+  ip VARCHAR(45) NULL,
+  user_agent VARCHAR(255) NULL,
+  details JSON NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (id),
+  KEY idx_audit_log_action (action),
+  KEY idx_audit_log_actor (actor_user_id),
+  KEY idx_audit_log_target (target_type, target_id),
+  KEY idx_audit_log_created (created_at),
+  CONSTRAINT fk_audit_log_actor
+    FOREIGN KEY (actor_user_id) REFERENCES users (id)
+    ON DELETE SET NULL
+);
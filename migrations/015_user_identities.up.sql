@@ -0,0 +1,32 @@
+-- migrations/015_user_identities.up.sql
+
+-- ------------------------------------------------------
+-- user_identities: external logins linked to an account
+-- (one row per provider account, e.g. Google "sub")
+-- - a user can have a password, linked identities, or both
+-- - users.provider / provider_id stay as a summary of the
+--   Google link for older code and views; lookups at login
+--   use this table (src/utils/identities.js)
+-- ------------------------------------------------------
+CREATE TABLE user_identities (
+  id INT NOT NULL AUTO_INCREMENT,
+  user_id INT NOT NULL,
+  provider VARCHAR(32) NOT NULL, -- google, ...
+  provider_subject VARCHAR(255) NOT NULL, -- stable id at the provider ("sub")
+  email VARCHAR(255) NULL, -- as reported by the provider when linked
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at DATETIME NULL,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_user_identities_subject (provider, provider_subject),
+  UNIQUE KEY uq_user_identities_user_provider (user_id, provider),
+  CONSTRAINT fk_user_identities_user
+    FOREIGN KEY (user_id) REFERENCES users (id)
+    ON DELETE CASCADE
+);
+
+-- Existing Google accounts
+INSERT INTO user_identities (user_id, provider, provider_subject, email)
+SELECT id, 'google', provider_id, email
+FROM users
+WHERE provider = 'google' AND provider_id IS NOT NULL;
@@ -0,0 +1,5 @@
+-- migrations/016_movie_versions.down.sql
+
+ALTER TABLE movies
+  DROP COLUMN updated_at,
+  DROP COLUMN version;
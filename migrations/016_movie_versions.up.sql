@@ -0,0 +1,12 @@
+-- migrations/016_movie_versions.up.sql
+
+-- ------------------------------------------------------
+-- Optimistic concurrency for movie edits:
+-- - version: +1 on every UPDATE (ETag "<id>-<version>")
+-- - updated_at: Last-Modified
+-- PATCH / DELETE with If-Match only apply when the version
+-- is still the one the client has seen (else 412).
+-- ------------------------------------------------------
+ALTER TABLE movies
+  ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1,
+  ADD COLUMN updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP;
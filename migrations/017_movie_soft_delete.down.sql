@@ -0,0 +1,8 @@
+-- migrations/017_movie_soft_delete.down.sql
+
+-- Trashed movies would become visible again: remove them first
+DELETE FROM movies WHERE deleted_at IS NOT NULL;
+
+ALTER TABLE movies
+  DROP KEY idx_movies_deleted_at,
+  DROP COLUMN deleted_at;
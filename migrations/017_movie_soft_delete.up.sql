@@ -0,0 +1,13 @@
+-- migrations/017_movie_soft_delete.up.sql
+
+-- ------------------------------------------------------
+-- Soft delete for movies:
+-- - DELETE /movies/:id sets deleted_at (the movie goes to the trash)
+-- - lists, search and lookups only show rows with deleted_at IS NULL
+-- - POST /movies/:id/restore clears it again
+-- Favorites, details, people and genres stay until the movie is
+-- purged (admin purge / npm run purge-trash), then FK cascades apply.
+-- ------------------------------------------------------
+ALTER TABLE movies
+  ADD COLUMN deleted_at TIMESTAMP NULL DEFAULT NULL,
+  ADD KEY idx_movies_deleted_at (deleted_at);
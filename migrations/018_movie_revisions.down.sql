@@ -0,0 +1,3 @@
+-- migrations/018_movie_revisions.down.sql
+
+DROP TABLE IF EXISTS movie_revisions;
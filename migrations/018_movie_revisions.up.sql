@@ -0,0 +1,62 @@
+-- migrations/018_movie_revisions.up.sql
+
+-- ------------------------------------------------------
+-- movie_revisions: a snapshot of a movie after every change
+-- - revision: movies.version right after the change (so a
+--   revision matches the ETag "<id>-<revision>"; trash/restore
+--   bump the version without a new snapshot, hence gaps)
+-- - editor_user_id: who made the change (NULL after the user
+--   is deleted, or for the baseline below)
+-- - action: create | update | revert (+ baseline)
+-- - reverted_from: revision copied by a revert
+-- - snapshot: the writable fields (title, overview, genre_ids, ...)
+-- Written by movieController; read via GET /api/v1/movies/:id/revisions
+-- ------------------------------------------------------
+CREATE TABLE movie_revisions (
+  id BIGINT NOT NULL AUTO_INCREMENT,
+  movie_id INT NOT NULL,
+  revision INT UNSIGNED NOT NULL,
+  editor_user_id INT NULL,
+  action VARCHAR(20) NOT NULL,
+  reverted_from INT UNSIGNED NULL,
+  snapshot JSON NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_movie_revisions_movie_revision (movie_id, revision),
+  KEY idx_movie_revisions_editor (editor_user_id),
+  CONSTRAINT fk_movie_revisions_movie
+    FOREIGN KEY (movie_id) REFERENCES movies (id)
+    ON DELETE CASCADE,
+  CONSTRAINT fk_movie_revisions_editor
+    FOREIGN KEY (editor_user_id) REFERENCES users (id)
+    ON DELETE SET NULL
+);
+
+-- Existing movies start with their current state as a baseline
+-- (npm run seed does the same for the movies it inserts)
+-- (0/1 flags become booleans when the snapshot is read)
+INSERT INTO movie_revisions (movie_id, revision, editor_user_id, action, snapshot, created_at)
+SELECT
+  id,
+  version,
+  NULL,
+  'baseline',
+  JSON_OBJECT(
+    'title', title,
+    'original_title', original_title,
+    'overview', overview,
+    'release_date', release_date,
+    'vote_average', vote_average,
+    'vote_count', vote_count,
+    'popularity', popularity,
+    'poster_path', poster_path,
+    'backdrop_path', backdrop_path,
+    'original_language', original_language,
+    'adult', adult,
+    'video', video,
+    'most_popular', most_popular,
+    'genre_ids', COALESCE(genre_ids, JSON_ARRAY())
+  ),
+  updated_at
+FROM movies;
@@ -4,7 +4,7 @@
     return match ? decodeURIComponent(match[1]) : '';
   }
 
-  window.csrfFetch = function csrfFetch(url, options = {}) {
+  function send(url, options) {
     const csrfToken = getCookie('csrfToken');
 
     const headers = Object.assign({}, options.headers || {}, {
@@ -15,5 +15,39 @@
       credentials: 'same-origin',
       headers
     }));
+  }
+
+  // One refresh at a time: parallel 401s share the same rotation
+  let refreshing = null;
+
+  function refreshSession() {
+    if (!refreshing) {
+      refreshing = send('/api/v1/auth/refresh', { method: 'POST' })
+        .then((res) => res.ok)
+        .catch(() => false)
+        .finally(() => { refreshing = null; });
+    }
+    return refreshing;
+  }
+
+  // 401 here means bad credentials, not an expired access token
+  const NO_RETRY = [
+    '/api/v1/auth/login',
+    '/api/v1/auth/login/2fa',
+    '/api/v1/auth/register',
+    '/api/v1/auth/google',
+    '/api/v1/auth/refresh'
+  ];
+
+  // Access tokens are short-lived: on 401, refresh once and retry
+  window.csrfFetch = async function csrfFetch(url, options = {}) {
+    const res = await send(url, options);
+
+    if (res.status !== 401 || NO_RETRY.includes(url)) {
+      return res;
+    }
+
+    const refreshed = await refreshSession();
+    return refreshed ? send(url, options) : res;
   };
 })();
@@ -0,0 +1,67 @@
+(function () {
+  const form = document.getElementById('delete-account-form');
+  const errorBox = document.getElementById('delete-error');
+
+  function setError(msg) {
+    if (errorBox) errorBox.textContent = msg || '';
+  }
+
+  if (!form) return;
+
+  function readOptions() {
+    const selected = form.querySelector('input[name="movies"]:checked');
+
+    return {
+      movies: selected ? selected.value : 'reassign',
+      code: form.elements.code.value.trim()
+    };
+  }
+
+  // body: { password } or { credential } + movies / code
+  async function deleteAccount(body) {
+    setError('');
+
+    if (!form.elements.confirm.checked) {
+      setError('Please tick the box to confirm.');
+      return;
+    }
+
+    try {
+      const res = await csrfFetch('/api/v1/users/me', {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...readOptions(), ...body })
+      });
+
+      const data = await res.json().catch(() => null);
+
+      if (!res.ok) {
+        const msg = data?.message || data?.error?.message || `Request failed (${res.status})`;
+        throw new Error(msg);
+      }
+
+      window.location.href = '/';
+    } catch (err) {
+      setError(err && err.message ? err.message : 'Request failed.');
+    }
+  }
+
+  form.addEventListener('submit', function (e) {
+    e.preventDefault();
+
+    const password = form.elements.password.value;
+    if (!password) {
+      setError('Please enter your password.');
+      return;
+    }
+
+    deleteAccount({ password });
+  });
+
+  // Button: <div data-google-action="delete-account"> (see google-actions.js)
+  if (window.googleActions) {
+    window.googleActions.register('delete-account', function (credential) {
+      deleteAccount({ credential });
+    });
+  }
+})();
@@ -0,0 +1,57 @@
+// Several Google buttons on one page (link Google, set password, delete account).
+// Google Identity Services allows ONE callback per page, so every button
+// remembers which action it belongs to and the callback dispatches to it.
+//
+// Usage:
+//   <div data-google-action="link-google"></div>
+//   window.googleActions.register('link-google', (credential) => { ... });
+(function () {
+  const handlers = {};
+  let pendingAction = null;
+
+  window.googleActions = {
+    register(action, handler) {
+      handlers[action] = handler;
+    }
+  };
+
+  function onCredential(response) {
+    const handler = handlers[pendingAction];
+    const credential = response && response.credential;
+
+    if (handler && credential) handler(credential);
+  }
+
+  function renderButtons() {
+    const meta = document.querySelector('meta[name="google-client-id"]');
+    if (!meta || !window.google?.accounts?.id) return;
+
+    window.google.accounts.id.initialize({
+      client_id: meta.content,
+      callback: onCredential,
+      auto_select: false
+    });
+
+    document.querySelectorAll('[data-google-action]').forEach((container) => {
+      window.google.accounts.id.renderButton(container, {
+        type: 'standard',
+        size: 'large',
+        theme: 'outline',
+        text: 'continue_with',
+        shape: 'rectangular',
+        click_listener: () => {
+          pendingAction = container.dataset.googleAction;
+        }
+      });
+    });
+  }
+
+  // Called by https://accounts.google.com/gsi/client once loaded
+  window.onGoogleLibraryLoad = function onGoogleLibraryLoad() {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', renderButtons);
+    } else {
+      renderButtons();
+    }
+  };
+})();
@@ -0,0 +1,148 @@
+(function () {
+  const list = document.getElementById('identities-list');
+  const errorBox = document.getElementById('identities-error');
+  const okBox = document.getElementById('identities-ok');
+  const linkSection = document.getElementById('link-google');
+  const linkPasswordField = document.getElementById('link-google-password-field');
+  const setPasswordForm = document.getElementById('set-password-form');
+
+  function setError(msg) {
+    if (errorBox) errorBox.textContent = msg || '';
+    if (okBox) okBox.textContent = '';
+  }
+
+  function setOk(msg) {
+    if (okBox) okBox.textContent = msg || '';
+    if (errorBox) errorBox.textContent = '';
+  }
+
+  if (!list) return;
+
+  async function readJson(res) {
+    const data = await res.json().catch(() => null);
+
+    if (!res.ok) {
+      const msg = data?.message || data?.error?.message || `Request failed (${res.status})`;
+      throw new Error(msg);
+    }
+
+    return data;
+  }
+
+  function addItem(text, button) {
+    const item = document.createElement('li');
+    item.textContent = text;
+
+    if (button) {
+      item.appendChild(document.createTextNode(' '));
+      item.appendChild(button);
+    }
+
+    list.appendChild(item);
+  }
+
+  // Build with textContent only: emails come from the provider
+  function render({ hasPassword, identities }) {
+    list.textContent = '';
+
+    addItem(hasPassword ? 'Password: set' : 'Password: not set');
+
+    const lastMethod = !hasPassword && identities.length <= 1;
+
+    for (const identity of identities) {
+      const name = identity.provider === 'google' ? 'Google' : identity.provider;
+
+      const unlink = document.createElement('button');
+      unlink.type = 'button';
+      unlink.textContent = 'Unlink';
+      unlink.disabled = lastMethod;
+      unlink.title = lastMethod ? `Set a password first: ${name} is your only way to log in.` : '';
+      unlink.addEventListener('click', () => unlinkIdentity(identity.provider, name));
+
+      addItem(`${name}: linked${identity.email ? ` (${identity.email})` : ''}`, unlink);
+    }
+
+    const google = identities.find((identity) => identity.provider === 'google');
+    if (!google) addItem('Google: not linked');
+
+    if (linkSection) linkSection.hidden = Boolean(google);
+    if (linkPasswordField) linkPasswordField.hidden = !hasPassword;
+    if (setPasswordForm) setPasswordForm.hidden = hasPassword || !google;
+  }
+
+  async function load() {
+    try {
+      const res = await fetch('/api/v1/users/me/identities', { credentials: 'same-origin' });
+      render((await readJson(res)).data);
+    } catch (err) {
+      setError(err && err.message ? err.message : 'Could not load sign-in methods.');
+    }
+  }
+
+  async function unlinkIdentity(provider, name) {
+    setError('');
+
+    try {
+      const res = await csrfFetch(`/api/v1/users/me/identities/${encodeURIComponent(provider)}`, { method: 'DELETE' });
+      render((await readJson(res)).data);
+      setOk(`${name} account unlinked.`);
+    } catch (err) {
+      setError(err && err.message ? err.message : 'Request failed.');
+    }
+  }
+
+  if (window.googleActions) {
+    window.googleActions.register('link-google', async function (credential) {
+      setError('');
+
+      try {
+        const password = document.getElementById('link-google-password')?.value || '';
+
+        const res = await csrfFetch('/api/v1/users/me/identities/google', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ credential, password })
+        });
+
+        render((await readJson(res)).data);
+        setOk('Google account linked.');
+      } catch (err) {
+        setError(err && err.message ? err.message : 'Request failed.');
+      }
+    });
+
+    window.googleActions.register('set-password', async function (credential) {
+      setError('');
+
+      const newPassword = setPasswordForm.elements.newPassword.value;
+      const newPasswordConfirm = setPasswordForm.elements.newPasswordConfirm.value;
+
+      if (!newPassword || newPassword !== newPasswordConfirm) {
+        setError('Please enter the new password twice.');
+        return;
+      }
+
+      try {
+        const res = await csrfFetch('/api/v1/auth/set-password', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ newPassword, newPasswordConfirm, credential })
+        });
+
+        await readJson(res);
+        setPasswordForm.reset();
+        setOk('Password set. You can now also log in with your email and password.');
+        load();
+      } catch (err) {
+        setError(err && err.message ? err.message : 'Request failed.');
+      }
+    });
+  }
+
+  // The form is completed by the Google button, not by a submit
+  if (setPasswordForm) {
+    setPasswordForm.addEventListener('submit', (e) => e.preventDefault());
+  }
+
+  load();
+})();
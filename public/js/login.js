@@ -1,5 +1,6 @@
 (function () {
   const form = document.getElementById('login-form');
+  const twoFactorForm = document.getElementById('two-factor-form');
 
   const errorBox = document.getElementById('error');
   const googleErrorBox = document.getElementById('google-error');
@@ -17,6 +18,56 @@
     return el ? String(el.value || '') : '';
   }
 
+  // -------------------------
+  // 2FA: password/Google step returned a challenge instead of a session
+  // -------------------------
+  let challengeToken = null;
+
+  function handleLoginSuccess(data) {
+    if (data?.data?.twoFactorRequired) {
+      challengeToken = data.data.challengeToken;
+      if (form) form.hidden = true;
+      if (twoFactorForm) twoFactorForm.hidden = false;
+      return;
+    }
+
+    window.location.assign('/');
+  }
+
+  if (twoFactorForm) {
+    twoFactorForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      setError('');
+
+      const code = getValue(twoFactorForm, 'code').trim();
+      const recoveryCode = getValue(twoFactorForm, 'recoveryCode').trim();
+
+      if (!code && !recoveryCode) {
+        setError('Please enter a code or a recovery code.');
+        return;
+      }
+
+      try {
+        const res = await csrfFetch('/api/v1/auth/login/2fa', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ challengeToken, code, recoveryCode })
+        });
+
+        const data = await res.json().catch(() => null);
+
+        if (!res.ok) {
+          const msg = data?.message || data?.error?.message || `Verification failed (${res.status})`;
+          throw new Error(msg);
+        }
+
+        window.location.assign('/');
+      } catch (err) {
+        setError(err && err.message ? err.message : 'Verification failed.');
+      }
+    });
+  }
+
   // -------------------------
   // GOOGLE CALLBACK (SAME STYLE AS REGISTER)
   // -------------------------
@@ -45,7 +96,7 @@
         throw new Error(msg);
       }
 
-      window.location.assign('/');
+      handleLoginSuccess(data);
     } catch (err) {
       setGoogleError(err && err.message ? err.message : 'Google login failed');
     }
@@ -83,7 +134,7 @@
         throw new Error(msg);
       }
 
-      window.location.assign('/');
+      handleLoginSuccess(data);
     } catch (err) {
       setError(err && err.message ? err.message : 'Login failed.');
     }
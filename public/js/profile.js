@@ -0,0 +1,75 @@
+(function () {
+  const form = document.getElementById('profile-form');
+  const errorBox = document.getElementById('profile-error');
+  const okBox = document.getElementById('profile-ok');
+
+  function setError(msg) {
+    if (errorBox) errorBox.textContent = msg || '';
+    if (okBox) okBox.textContent = '';
+  }
+
+  function setOk(msg) {
+    if (okBox) okBox.textContent = msg || '';
+    if (errorBox) errorBox.textContent = '';
+  }
+
+  if (!form) return;
+
+  // body: { currentPassword } or { credential } (email change) + name / email / code
+  async function saveProfile(confirmation) {
+    setError('');
+    setOk('');
+
+    const name = form.elements.name.value.trim();
+    const email = form.elements.email.value.trim().toLowerCase();
+    const code = form.elements.code.value.trim();
+
+    if (!name || !email) {
+      setError('Please provide name and email.');
+      return;
+    }
+
+    const submitButton = form.querySelector('button[type="submit"]');
+    if (submitButton) submitButton.disabled = true;
+
+    try {
+      const res = await csrfFetch('/api/v1/users/me', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, email, ...(code ? { code } : {}), ...confirmation })
+      });
+
+      const data = await res.json().catch(() => null);
+
+      if (!res.ok) {
+        const msg = data?.message || data?.error?.message || `Request failed (${res.status})`;
+        throw new Error(msg);
+      }
+
+      form.elements.currentPassword.value = '';
+      form.elements.code.value = '';
+
+      if (data?.data?.verificationEmailSent !== undefined) {
+        setOk('Saved. Please confirm your new email address using the link we sent you.');
+      } else {
+        setOk('Saved.');
+      }
+    } catch (err) {
+      setError(err && err.message ? err.message : 'Request failed.');
+    } finally {
+      if (submitButton) submitButton.disabled = false;
+    }
+  }
+
+  form.addEventListener('submit', function (e) {
+    e.preventDefault();
+    saveProfile({ currentPassword: form.elements.currentPassword.value });
+  });
+
+  // Button: <div data-google-action="update-profile"> (see google-actions.js)
+  if (window.googleActions) {
+    window.googleActions.register('update-profile', function (credential) {
+      saveProfile({ credential });
+    });
+  }
+})();
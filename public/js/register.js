@@ -47,6 +47,12 @@
         throw new Error(msg);
       }
 
+      // Existing account with 2FA: the code is entered on the login page
+      if (data?.data?.twoFactorRequired) {
+        window.location.assign('/login');
+        return;
+      }
+
       window.location.assign('/');
     } catch (err) {
       setGoogleError(err && err.message ? err.message : 'Google login failed');
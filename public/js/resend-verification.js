@@ -0,0 +1,42 @@
+(function () {
+  const button = document.getElementById('resend-verification');
+  const errorBox = document.getElementById('verify-error');
+  const okBox = document.getElementById('verify-ok');
+
+  function setError(msg) {
+    if (errorBox) errorBox.textContent = msg || '';
+    if (okBox) okBox.textContent = '';
+  }
+
+  function setOk(msg) {
+    if (okBox) okBox.textContent = msg || '';
+    if (errorBox) errorBox.textContent = '';
+  }
+
+  if (!button) return;
+
+  button.addEventListener('click', async function () {
+    setError('');
+    setOk('');
+    button.disabled = true;
+
+    try {
+      const res = await csrfFetch('/api/v1/auth/resend-verification', {
+        method: 'POST'
+      });
+
+      const data = await res.json().catch(() => null);
+
+      if (!res.ok) {
+        const msg = data?.message || data?.error?.message || `Request failed (${res.status})`;
+        throw new Error(msg);
+      }
+
+      setOk('Verification email sent. Please check your inbox.');
+    } catch (err) {
+      setError(err && err.message ? err.message : 'Request failed.');
+    } finally {
+      button.disabled = false;
+    }
+  });
+})();
@@ -0,0 +1,112 @@
+(function () {
+  const list = document.getElementById('sessions-list');
+  const logoutAllButton = document.getElementById('logout-all');
+  const errorBox = document.getElementById('sessions-error');
+  const okBox = document.getElementById('sessions-ok');
+
+  function setError(msg) {
+    if (errorBox) errorBox.textContent = msg || '';
+    if (okBox) okBox.textContent = '';
+  }
+
+  function setOk(msg) {
+    if (okBox) okBox.textContent = msg || '';
+    if (errorBox) errorBox.textContent = '';
+  }
+
+  if (!list) return;
+
+  async function readJson(res) {
+    const data = await res.json().catch(() => null);
+
+    if (!res.ok) {
+      const msg = data?.message || data?.error?.message || `Request failed (${res.status})`;
+      throw new Error(msg);
+    }
+
+    return data;
+  }
+
+  function formatDate(value) {
+    return value ? new Date(value).toLocaleString() : '—';
+  }
+
+  // Build with textContent only: user agents are client-controlled strings
+  function renderSession(session) {
+    const item = document.createElement('li');
+
+    const title = document.createElement('strong');
+    title.textContent = session.current ? `${session.device} (this device)` : session.device;
+    item.appendChild(title);
+
+    const details = document.createElement('div');
+    details.textContent =
+      `IP: ${session.ip || 'unknown'} · Signed in: ${formatDate(session.created_at)}` +
+      ` · Last seen: ${formatDate(session.last_seen_at)}`;
+    item.appendChild(details);
+
+    if (session.user_agent) {
+      const ua = document.createElement('small');
+      ua.textContent = session.user_agent;
+      item.appendChild(ua);
+    }
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = 'Sign out';
+    button.addEventListener('click', () => revokeSession(session));
+    item.appendChild(button);
+
+    return item;
+  }
+
+  async function loadSessions() {
+    try {
+      const res = await csrfFetch('/api/v1/users/me/sessions');
+      const data = await readJson(res);
+      const sessions = data?.data?.sessions || [];
+
+      list.replaceChildren(...sessions.map(renderSession));
+    } catch (err) {
+      list.replaceChildren();
+      setError(err && err.message ? err.message : 'Could not load sessions.');
+    }
+  }
+
+  async function revokeSession(session) {
+    setError('');
+    setOk('');
+
+    try {
+      const res = await csrfFetch(`/api/v1/users/me/sessions/${session.id}`, { method: 'DELETE' });
+      await readJson(res);
+
+      if (session.current) {
+        window.location.assign('/login');
+        return;
+      }
+
+      setOk('Session signed out.');
+      await loadSessions();
+    } catch (err) {
+      setError(err && err.message ? err.message : 'Request failed.');
+    }
+  }
+
+  if (logoutAllButton) {
+    logoutAllButton.addEventListener('click', async function () {
+      setError('');
+      setOk('');
+
+      try {
+        const res = await csrfFetch('/api/v1/auth/logout-all', { method: 'POST' });
+        await readJson(res);
+        window.location.assign('/login');
+      } catch (err) {
+        setError(err && err.message ? err.message : 'Request failed.');
+      }
+    });
+  }
+
+  loadSessions();
+})();
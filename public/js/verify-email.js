@@ -0,0 +1,39 @@
+(function () {
+  const errorBox = document.getElementById('error');
+  const okBox = document.getElementById('ok');
+  const token = String(document.getElementById('verifyToken')?.value || '').trim();
+
+  function setError(msg) {
+    if (errorBox) errorBox.textContent = msg || '';
+    if (okBox) okBox.textContent = '';
+  }
+
+  function setOk(msg) {
+    if (okBox) okBox.textContent = msg || '';
+    if (errorBox) errorBox.textContent = '';
+  }
+
+  if (!token) {
+    setError('Verification token is missing. Please use the email link again.');
+    return;
+  }
+
+  (async function () {
+    try {
+      const res = await fetch(`/api/v1/auth/verify-email/${encodeURIComponent(token)}`, {
+        credentials: 'same-origin'
+      });
+
+      const data = await res.json().catch(() => null);
+
+      if (!res.ok) {
+        const msg = data?.message || data?.error?.message || `Verification failed (${res.status})`;
+        throw new Error(msg);
+      }
+
+      setOk(data?.data?.message || 'Your email address is verified.');
+    } catch (err) {
+      setError(err && err.message ? err.message : 'Verification failed.');
+    }
+  })();
+})();
@@ -0,0 +1,180 @@
+// scripts/migrate.js
+// ------------------------------------------------------
+// Schema migrations CLI.
+//
+// Migrations live in /migrations as versioned SQL pairs:
+//   001_initial_schema.up.sql   → apply
+//   001_initial_schema.down.sql → revert
+// Applied versions are recorded in the "migrations" table.
+//
+// Usage:
+//   npm run migrate up            apply all pending migrations
+//   npm run migrate down [steps]  revert the last applied (default 1)
+//   npm run migrate status        list applied / pending migrations
+//
+// NOTE: MySQL commits DDL implicitly, so a failing migration
+// is NOT rolled back. Keep one statement per ";" line ending.
+// ------------------------------------------------------
+
+require('dotenv').config(); // Load .env so db.js gets DB credentials
+
+const fs = require('fs');
+const path = require('path');
+
+const db = require('../src/config/db'); // Our MySQL pool
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Read /migrations and group files by version
+function loadMigrations() {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+
+    if (!byVersion.has(version)) {
+      byVersion.set(version, { version, name, up: null, down: null });
+    }
+
+    byVersion.get(version)[direction] = path.join(MIGRATIONS_DIR, file);
+  }
+
+  return [...byVersion.values()].sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+// Split a SQL file into single statements (mysql2 runs one per query).
+// Full-line "--" comments are dropped first.
+function readStatements(file) {
+  return fs
+    .readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .filter((line) => !line.trim().startsWith('--'))
+    .join('\n')
+    .split(/;\s*(?:\n|$)/)
+    .map((statement) => statement.trim())
+    .filter(Boolean);
+}
+
+async function ensureMigrationsTable() {
+  await db.query(
+    `CREATE TABLE IF NOT EXISTS migrations (
+       version VARCHAR(20) NOT NULL,
+       name VARCHAR(255) NOT NULL,
+       applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+       PRIMARY KEY (version)
+     )`
+  );
+}
+
+async function getAppliedVersions() {
+  const [rows] = await db.query(
+    'SELECT version, name, applied_at FROM migrations ORDER BY version ASC'
+  );
+  return rows;
+}
+
+async function runFile(file) {
+  for (const statement of readStatements(file)) {
+    await db.query(statement);
+  }
+}
+
+async function up() {
+  const applied = new Set((await getAppliedVersions()).map((row) => row.version));
+  const pending = loadMigrations().filter((m) => !applied.has(m.version));
+
+  if (pending.length === 0) {
+    console.log('✅ Database is up to date.');
+    return;
+  }
+
+  for (const migration of pending) {
+    if (!migration.up) {
+      throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+    }
+
+    console.log(`⬆️  Applying ${migration.version}_${migration.name}...`);
+    await runFile(migration.up);
+
+    await db.query(
+      'INSERT INTO migrations (version, name) VALUES (?, ?)',
+      [migration.version, migration.name]
+    );
+  }
+
+  console.log(`✅ Applied ${pending.length} migration(s).`);
+}
+
+async function down(steps) {
+  const migrations = new Map(loadMigrations().map((m) => [m.version, m]));
+  const toRevert = (await getAppliedVersions()).reverse().slice(0, steps);
+
+  if (toRevert.length === 0) {
+    console.log('ℹ️  Nothing to revert.');
+    return;
+  }
+
+  for (const row of toRevert) {
+    const migration = migrations.get(row.version);
+
+    if (!migration || !migration.down) {
+      throw new Error(`Migration ${row.version}_${row.name} has no .down.sql file`);
+    }
+
+    console.log(`⬇️  Reverting ${row.version}_${row.name}...`);
+    await runFile(migration.down);
+
+    await db.query('DELETE FROM migrations WHERE version = ?', [row.version]);
+  }
+
+  console.log(`✅ Reverted ${toRevert.length} migration(s).`);
+}
+
+async function status() {
+  const applied = new Map((await getAppliedVersions()).map((row) => [row.version, row]));
+
+  for (const migration of loadMigrations()) {
+    const row = applied.get(migration.version);
+    const state = row
+      ? `applied ${new Date(row.applied_at).toISOString()}`
+      : 'pending';
+
+    console.log(`${migration.version}_${migration.name}  ${state}`);
+  }
+}
+
+async function main() {
+  const [command, arg] = process.argv.slice(2);
+
+  try {
+    await ensureMigrationsTable();
+
+    if (command === 'up') {
+      await up();
+    } else if (command === 'down') {
+      const steps = arg ? parseInt(arg, 10) : 1;
+
+      if (Number.isNaN(steps) || steps < 1) {
+        throw new Error('down expects a positive number of steps');
+      }
+
+      await down(steps);
+    } else if (command === 'status') {
+      await status();
+    } else {
+      console.log('Usage: npm run migrate <up|down [steps]|status>');
+      process.exit(1);
+    }
+
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Migration failed:', err);
+    process.exit(1);
+  }
+}
+
+main();
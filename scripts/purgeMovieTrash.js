@@ -0,0 +1,40 @@
+// scripts/purgeMovieTrash.js
+// ------------------------------------------------------
+// Movie trash purge job (run it from cron, e.g. daily).
+//
+// Permanently deletes movies that have been in the trash
+// (movies.deleted_at) longer than the retention window.
+// Admins can run the same purge with POST /api/v1/admin/movies/purge.
+//
+// Usage:
+//   npm run purge-trash          use MOVIE_TRASH_RETENTION_DAYS (default 30)
+//   npm run purge-trash -- 7     movies trashed more than 7 days ago
+// ------------------------------------------------------
+
+require('dotenv').config(); // Load .env so db.js gets DB credentials
+
+const { getTrashRetentionDays, purgeTrashedMovies } = require('../src/utils/movieTrash');
+
+async function main() {
+  const [arg] = process.argv.slice(2);
+  const olderThanDays = arg ? parseInt(arg, 10) : getTrashRetentionDays();
+
+  try {
+    if (Number.isNaN(olderThanDays) || olderThanDays < 1) {
+      throw new Error('expects a positive number of days');
+    }
+
+    const { purged, movieIds } = await purgeTrashedMovies({ olderThanDays });
+
+    console.log(purged > 0
+      ? `✅ Purged ${purged} movie(s) trashed more than ${olderThanDays} day(s) ago: ${movieIds.join(', ')}`
+      : `ℹ️  No movies trashed more than ${olderThanDays} day(s) ago.`);
+
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Purge failed:', err);
+    process.exit(1);
+  }
+}
+
+main();
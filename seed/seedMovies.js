@@ -1,14 +1,49 @@
 // seed/seedMovies.js
 // ------------------------------------------------------
 // Seed script to load movies from source/data/movies.js
-// into the MySQL "movies" table.
-// Run manually with:  node seed/seedMovies.js
+// into the MySQL "movies" table, plus the extra details
+// from source/data/movieDetails.js into "movie_details"
+// and the cast from source/data/people.js into "people"
+// + "movie_people". Genre names go into "genres" and each
+// movie's genre_ids into "movie_genres", and every movie
+// gets a "baseline" revision in "movie_revisions".
+// Create the tables first with:  npm run migrate up
+// Run manually with:  node seed/seedMovies.js  (or npm run seed)
 // ------------------------------------------------------
 
 require('dotenv').config(); // Load .env so db.js gets DB credentials
 
 const db = require('../src/config/db');      // Our MySQL pool
 const movies = require('../src/data/movies'); // Your data file
+const movieDetails = require('../src/data/movieDetails'); // Extra details (budget, runtime, ...)
+const people = require('../src/data/people'); // Cast with known_for movies
+
+// TMDB genre names used in movies.js genre_ids but missing
+// from the genres[] lists in movieDetails.js
+const EXTRA_GENRE_NAMES = {
+  14: 'Fantasy',
+  80: 'Crime',
+  99: 'Documentary',
+  9648: 'Mystery',
+  10770: 'TV Movie',
+};
+
+// Collect unique { id, name } genres: movieDetails.js first, then the extras
+function collectGenres() {
+  const namesById = new Map();
+
+  for (const details of movieDetails) {
+    for (const genre of details.genres || []) {
+      if (!namesById.has(genre.id)) namesById.set(genre.id, genre.name);
+    }
+  }
+
+  for (const [id, name] of Object.entries(EXTRA_GENRE_NAMES)) {
+    if (!namesById.has(Number(id))) namesById.set(Number(id), name);
+  }
+
+  return [...namesById].map(([id, name]) => ({ id, name }));
+}
 
 // Helper to convert JS movie object -> DB row values
 function mapMovieToRow(movie) {
@@ -36,15 +71,85 @@ function mapMovieToRow(movie) {
   };
 }
 
+// Snapshot of a seeded movie for movie_revisions (same fields and
+// types as movieDocument() in movieController.js)
+function mapRowToSnapshot(row) {
+  return JSON.stringify({
+    title: row.title,
+    original_title: row.original_title,
+    overview: row.overview,
+    release_date: row.release_date,
+    vote_average: row.vote_average,
+    vote_count: row.vote_count,
+    popularity: row.popularity,
+    poster_path: row.poster_path,
+    backdrop_path: row.backdrop_path,
+    original_language: row.original_language,
+    adult: row.adult === 1,
+    video: row.video === 1,
+    most_popular: row.most_popular === 1,
+    genre_ids: JSON.parse(row.genre_ids),
+  });
+}
+
+// Helper to convert JS person object -> people row values
+function mapPersonToRow(person) {
+  return {
+    name: person.name,
+    popularity:
+      typeof person.popularity === 'number' ? person.popularity : 0.0,
+    profile_path: person.profile_path || null,
+    adult: person.adult ? 1 : 0,
+  };
+}
+
+// Helper to convert JS details object -> movie_details row values
+function mapDetailsToRow(details) {
+  return {
+    budget: typeof details.budget === 'number' ? details.budget : null,
+    revenue: typeof details.revenue === 'number' ? details.revenue : null,
+    runtime: typeof details.runtime === 'number' ? details.runtime : null,
+    tagline: details.tagline || null,
+    status: details.status || null,
+    imdb_id: details.imdb_id || null,
+    homepage: details.homepage || null,
+
+    // Nested objects/lists are stored as JSON
+    belongs_to_collection: details.belongs_to_collection
+      ? JSON.stringify(details.belongs_to_collection)
+      : null,
+    genres: JSON.stringify(details.genres || []),
+    production_companies: JSON.stringify(details.production_companies || []),
+    production_countries: JSON.stringify(details.production_countries || []),
+    spoken_languages: JSON.stringify(details.spoken_languages || []),
+  };
+}
+
 async function seedMovies() {
   console.log('🚀 Starting movies seeding...');
 
   try {
-    // 1) Clear the table first (so seeding is repeatable)
-    console.log('🧹 Truncating movies table...');
-    await db.query('TRUNCATE TABLE movies');
+    // 1) Clear the tables first (so seeding is repeatable)
+    // Child tables reference movies, so FK checks are paused for the truncate.
+    // movie_revisions too: movie ids start again at 1, old history must not
+    // end up attached to the new movies.
+    console.log('🧹 Truncating movies, movie_details, movie_revisions, people, genres + join tables...');
+    const truncateConnection = await db.getConnection();
+    try {
+      await truncateConnection.query('SET FOREIGN_KEY_CHECKS = 0');
+      await truncateConnection.query('TRUNCATE TABLE movie_genres');
+      await truncateConnection.query('TRUNCATE TABLE genres');
+      await truncateConnection.query('TRUNCATE TABLE movie_people');
+      await truncateConnection.query('TRUNCATE TABLE people');
+      await truncateConnection.query('TRUNCATE TABLE movie_details');
+      await truncateConnection.query('TRUNCATE TABLE movie_revisions');
+      await truncateConnection.query('TRUNCATE TABLE movies');
+    } finally {
+      await truncateConnection.query('SET FOREIGN_KEY_CHECKS = 1');
+      truncateConnection.release();
+    }
 
-    // 2) Prepare INSERT statement
+    // 2) Prepare INSERT statements
     const insertSql = `
       INSERT INTO movies (
         title,
@@ -65,15 +170,73 @@ async function seedMovies() {
       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
+    const insertDetailsSql = `
+      INSERT INTO movie_details (
+        movie_id,
+        budget,
+        revenue,
+        runtime,
+        tagline,
+        status,
+        imdb_id,
+        homepage,
+        belongs_to_collection,
+        genres,
+        production_companies,
+        production_countries,
+        spoken_languages
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    // Revision 1 = the version a new movie row starts with (migrations/016)
+    const insertRevisionSql = `
+      INSERT INTO movie_revisions (movie_id, revision, editor_user_id, action, snapshot)
+      VALUES (?, 1, NULL, 'baseline', ?)
+    `;
+
+    const insertGenreSql = `
+      INSERT INTO genres (id, name)
+      VALUES (?, ?)
+    `;
+
+    const insertMovieGenreSql = `
+      INSERT IGNORE INTO movie_genres (movie_id, genre_id)
+      VALUES (?, ?)
+    `;
+
+    const insertPersonSql = `
+      INSERT INTO people (name, popularity, profile_path, adult)
+      VALUES (?, ?, ?, ?)
+    `;
+
+    const insertMoviePersonSql = `
+      INSERT IGNORE INTO movie_people (movie_id, person_id)
+      VALUES (?, ?)
+    `;
+
     // 3) Insert all movies in a transaction for safety
     const connection = await db.getConnection();
     try {
       await connection.beginTransaction();
 
+      // Genres first (movie_genres references them)
+      const genres = collectGenres();
+      const genreIds = new Set(genres.map((genre) => genre.id));
+
+      for (const genre of genres) {
+        await connection.query(insertGenreSql, [genre.id, genre.name]);
+      }
+
+      // Data files use TMDB ids; the DB assigns its own ids.
+      // Map TMDB id -> DB id so details can be linked to the right row.
+      const dbIdByTmdbId = new Map();
+      let genreLinkCount = 0;
+
       for (const movie of movies) {
         const row = mapMovieToRow(movie);
 
-        await connection.query(insertSql, [
+        const [result] = await connection.query(insertSql, [
           row.title,
           row.original_title,
           row.overview,
@@ -89,10 +252,82 @@ async function seedMovies() {
           row.most_popular,
           row.genre_ids,
         ]);
+
+        dbIdByTmdbId.set(movie.id, result.insertId);
+
+        await connection.query(insertRevisionSql, [result.insertId, mapRowToSnapshot(row)]);
+
+        for (const genreId of movie.genre_ids || []) {
+          if (!genreIds.has(genreId)) continue;
+
+          await connection.query(insertMovieGenreSql, [result.insertId, genreId]);
+          genreLinkCount += 1;
+        }
+      }
+
+      // 4) Insert details for every movie we know about
+      // (skip duplicates and details for movies missing in movies.js)
+      const seededDetails = new Set();
+
+      for (const details of movieDetails) {
+        const movieId = dbIdByTmdbId.get(details.id);
+
+        if (!movieId || seededDetails.has(movieId)) {
+          continue;
+        }
+
+        const row = mapDetailsToRow(details);
+
+        await connection.query(insertDetailsSql, [
+          movieId,
+          row.budget,
+          row.revenue,
+          row.runtime,
+          row.tagline,
+          row.status,
+          row.imdb_id,
+          row.homepage,
+          row.belongs_to_collection,
+          row.genres,
+          row.production_companies,
+          row.production_countries,
+          row.spoken_languages,
+        ]);
+
+        seededDetails.add(movieId);
+      }
+
+      // 5) Insert people + link them to the movies they are known for
+      // (known_for entries for movies missing in movies.js are skipped)
+      let linkCount = 0;
+
+      for (const person of people) {
+        const row = mapPersonToRow(person);
+
+        const [personResult] = await connection.query(insertPersonSql, [
+          row.name,
+          row.popularity,
+          row.profile_path,
+          row.adult,
+        ]);
+
+        for (const knownFor of person.known_for || []) {
+          const movieId = dbIdByTmdbId.get(knownFor.id);
+          if (!movieId) continue;
+
+          await connection.query(insertMoviePersonSql, [
+            movieId,
+            personResult.insertId,
+          ]);
+          linkCount += 1;
+        }
       }
 
       await connection.commit();
-      console.log(`✅ Inserted ${movies.length} movies into the database.`);
+      console.log(`✅ Inserted ${movies.length} movies (with a baseline revision each) into the database.`);
+      console.log(`✅ Inserted ${genres.length} genres and ${genreLinkCount} movie genre links.`);
+      console.log(`✅ Inserted ${seededDetails.size} movie details rows.`);
+      console.log(`✅ Inserted ${people.length} people and ${linkCount} movie links.`);
     } catch (err) {
       await connection.rollback();
       throw err;
@@ -19,6 +19,9 @@ const viewRoutes = require('./routes/viewRoutes');
 const userRoutes = require('./routes/userRoutes');
 const healthRoutes = require('./routes/healthRoutes');
 const favoriteRoutes = require('./routes/favouriteRoutes.js');
+const peopleRoutes = require('./routes/peopleRoutes');
+const genreRoutes = require('./routes/genreRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 
 const app = express();
 
@@ -84,7 +87,10 @@ if (process.env.NODE_ENV === 'development') {
 
 // -------------------- PARSERS --------------------
 app.use(cookieParser());
-app.use(express.json());
+// JSON + the PATCH formats for movies (RFC 7396 merge patch, RFC 6902 JSON Patch)
+app.use(express.json({
+  type: ['application/json', 'application/merge-patch+json', 'application/json-patch+json'],
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // -------------------- VIEW ENGINE --------------------
@@ -104,9 +110,12 @@ app.use(viewAuth.attachUserIfLoggedIn);
 app.use('/', healthRoutes);
 app.use('/api/v1', healthRoutes);
 app.use('/api/v1/movies', movieRoutes);
+app.use('/api/v1/people', peopleRoutes);
+app.use('/api/v1/genres', genreRoutes);
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/users', userRoutes);
 app.use('/api/v1/favorites', favoriteRoutes)
+app.use('/api/v1/admin', adminRoutes);
 app.use('/', viewRoutes);
 
 // -------------------- 404 (EXPRESS 5) --------------------
@@ -0,0 +1,120 @@
+// ------------------------------------------------------
+// Login providers (OpenID Connect) known to the app.
+//
+// - "google" is built in (GOOGLE_CLIENT_ID, verified with
+//   google-auth-library, see utils/googleIdToken.js)
+// - more providers come from the environment, e.g.
+//
+//     OIDC_PROVIDERS=keycloak,microsoft
+//     OIDC_KEYCLOAK_ISSUER=https://sso.example.com/realms/main
+//     OIDC_KEYCLOAK_CLIENT_ID=movie-api
+//     OIDC_KEYCLOAK_JWKS_URI=https://sso.example.com/realms/main/protocol/openid-connect/certs
+//     OIDC_KEYCLOAK_LABEL=Company SSO            (optional)
+//     OIDC_KEYCLOAK_ALGORITHMS=RS256,ES256       (optional, default RS256)
+//
+//   and are verified against their JWKS (utils/oidc.js)
+//
+// The name is stored in user_identities.provider and users.provider
+// (VARCHAR(20)), so it must be short, lowercase and stable.
+// Read on every call: tests (and restarts) can change the environment.
+// ------------------------------------------------------
+
+const { verifyGoogleCredential } = require('../utils/googleIdToken');
+const { verifyIdToken } = require('../utils/oidc');
+
+const PROVIDER_NAME = /^[a-z][a-z0-9_-]{1,19}$/;
+const RESERVED_NAMES = ['local', 'google'];
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const warned = new Set();
+
+function warnOnce(message) {
+  if (warned.has(message)) return;
+  warned.add(message);
+  console.warn(`[oidc] ${message}`);
+}
+
+function googleProvider() {
+  return {
+    name: 'google',
+    label: 'Google',
+    issuer: 'https://accounts.google.com',
+    clientId: process.env.GOOGLE_CLIENT_ID || null,
+    verify: (credential) => verifyGoogleCredential(credential),
+  };
+}
+
+function envProvider(name) {
+  const prefix = `OIDC_${name.toUpperCase().replace(/-/g, '_')}_`;
+  const env = (key) => String(process.env[prefix + key] || '').trim();
+
+  const issuer = env('ISSUER');
+  const clientId = env('CLIENT_ID');
+  const jwksUri = env('JWKS_URI');
+
+  if (!issuer || !clientId || !jwksUri) {
+    warnOnce(`provider "${name}" needs ${prefix}ISSUER, ${prefix}CLIENT_ID and ${prefix}JWKS_URI; ignored`);
+    return null;
+  }
+
+  const algorithms = (env('ALGORITHMS') || 'RS256')
+    .split(',')
+    .map((alg) => alg.trim().toUpperCase())
+    .filter((alg) => SUPPORTED_ALGORITHMS.includes(alg));
+
+  if (algorithms.length === 0) {
+    warnOnce(`provider "${name}" has no supported ${prefix}ALGORITHMS; ignored`);
+    return null;
+  }
+
+  return {
+    name,
+    label: env('LABEL') || name,
+    issuer,
+    clientId,
+    verify: (credential) => verifyIdToken(credential, { issuer, audience: clientId, jwksUri, algorithms }),
+  };
+}
+
+/**
+ * All providers, keyed by name. Each has { name, label, issuer, clientId, verify(credential) };
+ * verify() resolves to the ID token payload or throws AppError.
+ */
+function getProviders() {
+  const providers = new Map([['google', googleProvider()]]);
+
+  const names = String(process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const name of names) {
+    if (!PROVIDER_NAME.test(name) || RESERVED_NAMES.includes(name)) {
+      warnOnce(`invalid provider name "${name}" in OIDC_PROVIDERS; ignored`);
+      continue;
+    }
+
+    const provider = envProvider(name);
+    if (provider) providers.set(name, provider);
+  }
+
+  return providers;
+}
+
+function getProvider(name) {
+  return getProviders().get(String(name || '').toLowerCase()) || null;
+}
+
+/**
+ * Public description of the configured providers (for login pages / clients).
+ */
+function listProviders() {
+  return [...getProviders().values()]
+    .filter((provider) => provider.clientId)
+    .map(({ name, label, issuer, clientId }) => ({ name, label, issuer, clientId }));
+}
+
+module.exports = {
+  getProvider,
+  listProviders,
+};
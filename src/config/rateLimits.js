@@ -0,0 +1,102 @@
+// ------------------------------------------------------
+// Rate limiters used by the routes.
+// Limits can be tuned from the environment; the store is
+// in-memory by default, or MySQL with RATE_LIMIT_STORE=mysql
+// (needed when running several app processes).
+// ------------------------------------------------------
+
+const crypto = require('crypto');
+
+const db = require('./db');
+const { rateLimit, createMemoryStore, createMySqlStore } = require('../middlewares/rateLimit');
+
+const store = process.env.RATE_LIMIT_STORE === 'mysql'
+  ? createMySqlStore(db)
+  : createMemoryStore();
+
+// Same normalization as authController (trim + lowercase), hashed so
+// the key stays short whatever the client sends (bucket_key is VARCHAR(255))
+function emailKey(req) {
+  const email = String(req.body?.email || '').trim().toLowerCase();
+  return crypto.createHash('sha256').update(email).digest('hex');
+}
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const MINUTE = 60 * 1000;
+
+// Per API key (catalog routes). Legacy env key shares one bucket.
+exports.apiKeyLimiter = rateLimit({
+  name: 'apikey',
+  windowMs: MINUTE,
+  max: envNumber('RATE_LIMIT_API_PER_MINUTE', 120),
+  store,
+  keyGenerator: (req) => (req.apiClient ? String(req.apiClient.id ?? 'env') : null),
+});
+
+// Per logged-in user (write routes, after auth.protect)
+exports.userLimiter = rateLimit({
+  name: 'user',
+  windowMs: MINUTE,
+  max: envNumber('RATE_LIMIT_USER_PER_MINUTE', 30),
+  store,
+  keyGenerator: (req) => (req.user ? String(req.user.id) : null),
+});
+
+// Per IP + email: login attempts
+exports.loginLimiter = rateLimit({
+  name: 'login',
+  windowMs: 15 * MINUTE,
+  max: envNumber('RATE_LIMIT_LOGIN_PER_15_MIN', 10),
+  store,
+  keyGenerator: (req) => `${req.ip}:${emailKey(req)}`,
+  message: 'Too many login attempts. Please try again later.',
+});
+
+// Per IP + email: password reset emails
+exports.forgotPasswordLimiter = rateLimit({
+  name: 'forgot-password',
+  windowMs: 60 * MINUTE,
+  max: envNumber('RATE_LIMIT_FORGOT_PASSWORD_PER_HOUR', 5),
+  store,
+  keyGenerator: (req) => `${req.ip}:${emailKey(req)}`,
+  message: 'Too many password reset requests. Please try again later.',
+});
+
+// Per user: "resend verification email"
+exports.verificationEmailLimiter = rateLimit({
+  name: 'verification-email',
+  windowMs: 60 * MINUTE,
+  max: envNumber('RATE_LIMIT_VERIFICATION_EMAIL_PER_HOUR', 3),
+  store,
+  keyGenerator: (req) => (req.user ? String(req.user.id) : null),
+  message: 'Too many verification emails requested. Please try again later.',
+});
+
+// Per user: authentication codes sent by a logged-in user (email change,
+// account deletion, new recovery codes, turning 2FA off). Requests without
+// a code are not counted, so plain profile edits are not limited here.
+exports.twoFactorCodeLimiter = rateLimit({
+  name: 'two-factor-code',
+  windowMs: 15 * MINUTE,
+  max: envNumber('RATE_LIMIT_TWO_FACTOR_CODE_PER_15_MIN', 5),
+  store,
+  keyGenerator: (req) =>
+    req.user && (req.body?.code != null || req.body?.recoveryCode != null) ? String(req.user.id) : null,
+  message: 'Too many authentication codes tried. Please try again later.',
+});
+
+// Per user: personal data export (several queries per download)
+exports.dataExportLimiter = rateLimit({
+  name: 'data-export',
+  windowMs: 60 * MINUTE,
+  max: envNumber('RATE_LIMIT_DATA_EXPORT_PER_HOUR', 5),
+  store,
+  keyGenerator: (req) => (req.user ? String(req.user.id) : null),
+  message: 'Too many data exports requested. Please try again later.',
+});
+
+exports.store = store;
@@ -0,0 +1,456 @@
+// src/controllers/adminController.js
+//
+// Admin-only user management endpoints (+ audit log, movie trash purge).
+// Routes are gated by auth.protect + auth.restrictTo('ADMIN').
+// This controller is API-only (JSON responses).
+
+const db = require('../config/db');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { clearFailedLogins } = require('../utils/loginLockout');
+const { paginateQuery } = require('../utils/paginateQuery');
+const { revokeAllSessions } = require('../utils/sessions');
+const { sendPasswordResetEmail } = require('../utils/passwordReset');
+const { getBaseUrl } = require('../utils/baseUrl');
+const { recordAudit } = require('../utils/audit');
+const { getTrashRetentionDays, purgeTrashedMovies } = require('../utils/movieTrash');
+
+const ROLES = ['USER', 'ADMIN'];
+
+// Safe columns for admins (never password / tokens / 2FA secret)
+const ADMIN_USER_FIELDS = `
+  id, name, email, role, provider, active, created_at, email_verified_at,
+  failed_login_count, locked_until, password_reset_required,
+  (two_factor_enabled_at IS NOT NULL) AS two_factor_enabled
+`;
+
+function parseUserIdOrThrow(value) {
+  const userId = Number(value);
+
+  if (!Number.isInteger(userId) || userId <= 0) {
+    throw new AppError('Invalid user ID', 400);
+  }
+
+  return userId;
+}
+
+// Admins must not lock themselves out (role / active / delete on own account)
+function rejectSelfOrThrow(req, userId, action) {
+  if (req.user.id === userId) {
+    throw new AppError(`You cannot ${action} your own account`, 400);
+  }
+}
+
+function parseBooleanOrThrow(value, field) {
+  if (value === true || value === 1 || value === 'true' || value === '1') return true;
+  if (value === false || value === 0 || value === 'false' || value === '0') return false;
+
+  throw new AppError(`${field} must be true or false`, 400);
+}
+
+async function findUserOrThrow(userId) {
+  const [rows] = await db.query(
+    `SELECT ${ADMIN_USER_FIELDS}
+     FROM users
+     WHERE id = ?
+     LIMIT 1`,
+    [userId]
+  );
+
+  if (rows.length === 0) {
+    throw new AppError('User not found', 404);
+  }
+
+  return rows[0];
+}
+
+/**
+ * GET /api/v1/admin/users
+ * ?search= (name or email contains) &role=USER|ADMIN &active=true|false &page= &limit=
+ */
+exports.getAllUsers = catchAsync(async (req, res, next) => {
+  const conditions = [];
+  const params = [];
+
+  const search = req.query.search ? String(req.query.search).trim() : '';
+  if (search) {
+    conditions.push('(name LIKE ? OR email LIKE ?)');
+    params.push(`%${search}%`, `%${search}%`);
+  }
+
+  if (req.query.role) {
+    const role = String(req.query.role).trim().toUpperCase();
+    if (!ROLES.includes(role)) {
+      return next(new AppError(`role must be one of: ${ROLES.join(', ')}`, 400));
+    }
+    conditions.push('role = ?');
+    params.push(role);
+  }
+
+  if (req.query.active !== undefined) {
+    conditions.push('active = ?');
+    params.push(parseBooleanOrThrow(req.query.active, 'active') ? 1 : 0);
+  }
+
+  const whereSql = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const { rows, meta } = await paginateQuery({
+    reqQuery: req.query,
+    db,
+    baseSql: `
+      SELECT ${ADMIN_USER_FIELDS}
+      FROM users
+      ${whereSql}
+      ORDER BY created_at DESC, id DESC
+    `,
+    countSql: `
+      SELECT COUNT(*) AS total
+      FROM users
+      ${whereSql}
+    `,
+    params,
+  });
+
+  return res.status(200).json({
+    status: 'success',
+    results: rows.length,
+    meta: {
+      ...meta,
+      search: search || null,
+    },
+    data: {
+      users: rows,
+    },
+  });
+});
+
+/**
+ * GET /api/v1/admin/users/:id
+ */
+exports.getUser = catchAsync(async (req, res, next) => {
+  const user = await findUserOrThrow(parseUserIdOrThrow(req.params.id));
+
+  return res.status(200).json({
+    status: 'success',
+    data: { user },
+  });
+});
+
+/**
+ * PATCH /api/v1/admin/users/:id/role
+ * Body: { role: 'USER' | 'ADMIN' }
+ */
+exports.updateUserRole = catchAsync(async (req, res, next) => {
+  const userId = parseUserIdOrThrow(req.params.id);
+  rejectSelfOrThrow(req, userId, 'change the role of');
+
+  const role = String(req.body.role || '').trim().toUpperCase();
+  if (!ROLES.includes(role)) {
+    return next(new AppError(`role must be one of: ${ROLES.join(', ')}`, 400));
+  }
+
+  const before = await findUserOrThrow(userId);
+
+  await db.query(
+    `UPDATE users
+     SET role = ?
+     WHERE id = ?
+     LIMIT 1`,
+    [role, userId]
+  );
+
+  await recordAudit(req, {
+    action: 'admin.user_role',
+    targetType: 'user',
+    targetId: userId,
+    details: { changes: { role: { from: before.role, to: role } } },
+  });
+
+  return res.status(200).json({
+    status: 'success',
+    data: { user: await findUserOrThrow(userId) },
+  });
+});
+
+/**
+ * PATCH /api/v1/admin/users/:id/active
+ * Body: { active: true | false }
+ * Deactivating also signs the user out everywhere.
+ */
+exports.updateUserActive = catchAsync(async (req, res, next) => {
+  const userId = parseUserIdOrThrow(req.params.id);
+  rejectSelfOrThrow(req, userId, 'deactivate or reactivate');
+
+  if (req.body.active === undefined) {
+    return next(new AppError('Please provide active (true or false)', 400));
+  }
+
+  const active = parseBooleanOrThrow(req.body.active, 'active');
+
+  await findUserOrThrow(userId);
+
+  await db.query(
+    `UPDATE users
+     SET active = ?
+     WHERE id = ?
+     LIMIT 1`,
+    [active ? 1 : 0, userId]
+  );
+
+  if (!active) {
+    await revokeAllSessions(userId, 'deactivated');
+  }
+
+  await recordAudit(req, {
+    action: active ? 'admin.user_activate' : 'admin.user_deactivate',
+    targetType: 'user',
+    targetId: userId,
+  });
+
+  return res.status(200).json({
+    status: 'success',
+    data: { user: await findUserOrThrow(userId) },
+  });
+});
+
+/**
+ * POST /api/v1/admin/users/:id/force-password-reset
+ * The current password stops working, every session is revoked,
+ * and the user gets a reset link (valid 24 hours).
+ */
+exports.forcePasswordReset = catchAsync(async (req, res, next) => {
+  const userId = parseUserIdOrThrow(req.params.id);
+  const user = await findUserOrThrow(userId);
+
+  await db.query(
+    `UPDATE users
+     SET password_reset_required = 1
+     WHERE id = ?
+     LIMIT 1`,
+    [userId]
+  );
+
+  await revokeAllSessions(userId, 'password_reset_forced');
+
+  await recordAudit(req, { action: 'admin.force_password_reset', targetType: 'user', targetId: userId });
+
+  let emailSent = true;
+  try {
+    await sendPasswordResetEmail(user, {
+      baseUrl: getBaseUrl(req),
+      expiresInMinutes: 24 * 60,
+      intro: 'An administrator requires you to set a new password.',
+    });
+  } catch (errEmail) {
+    // The reset is still enforced; the user can use "Forgot password"
+    emailSent = false;
+  }
+
+  return res.status(200).json({
+    status: 'success',
+    data: {
+      emailSent,
+      message: emailSent
+        ? `Password reset forced for user ${userId}; reset link emailed.`
+        : `Password reset forced for user ${userId}, but the email could not be sent.`,
+    },
+  });
+});
+
+/**
+ * DELETE /api/v1/admin/users/:id
+ * Favorites, sessions, API keys go with the user (FK cascade);
+ * movies stay, with owner_id set to NULL.
+ */
+exports.deleteUser = catchAsync(async (req, res, next) => {
+  const userId = parseUserIdOrThrow(req.params.id);
+  rejectSelfOrThrow(req, userId, 'delete');
+
+  const [result] = await db.query(
+    'DELETE FROM users WHERE id = ? LIMIT 1',
+    [userId]
+  );
+
+  if (!result || result.affectedRows === 0) {
+    return next(new AppError('User not found', 404));
+  }
+
+  await recordAudit(req, { action: 'admin.user_delete', targetType: 'user', targetId: userId });
+
+  return res.status(200).json({
+    status: 'success',
+    data: { message: `User ${userId} deleted.` },
+  });
+});
+
+/**
+ * PATCH /api/v1/admin/users/:id/unlock
+ * Clears a login lockout (failed attempts + locked_until).
+ */
+exports.unlockUser = catchAsync(async (req, res, next) => {
+  const userId = parseUserIdOrThrow(req.params.id);
+
+  const [rows] = await db.query(
+    'SELECT id FROM users WHERE id = ? LIMIT 1',
+    [userId]
+  );
+
+  if (rows.length === 0) {
+    return next(new AppError('User not found', 404));
+  }
+
+  await clearFailedLogins(userId);
+
+  await recordAudit(req, { action: 'admin.user_unlock', targetType: 'user', targetId: userId });
+
+  return res.status(200).json({
+    status: 'success',
+    data: { message: `User ${userId} unlocked.` },
+  });
+});
+
+// -----------------------------------------------------------------------------
+// Audit log
+// -----------------------------------------------------------------------------
+
+function parsePositiveIntOrThrow(value, field) {
+  const number = Number(value);
+
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new AppError(`${field} must be a positive integer`, 400);
+  }
+
+  return number;
+}
+
+function parseDateOrThrow(value, field) {
+  const date = new Date(String(value));
+
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(`${field} must be a valid date (e.g. 2024-01-31 or an ISO timestamp)`, 400);
+  }
+
+  return date;
+}
+
+/**
+ * GET /api/v1/admin/audit
+ * ?action= (exact, or "auth.*" for a whole area) &actorId= &targetType= &targetId=
+ * &from= &to= (dates / ISO timestamps) &page= &limit=
+ * Newest first.
+ */
+exports.getAuditLog = catchAsync(async (req, res, next) => {
+  const conditions = [];
+  const params = [];
+  const filters = {};
+
+  if (req.query.action) {
+    const action = String(req.query.action).trim();
+
+    if (action.endsWith('.*')) {
+      conditions.push('a.action LIKE ?');
+      params.push(`${action.slice(0, -2).replace(/[\\%_]/g, '\\$&')}.%`);
+    } else {
+      conditions.push('a.action = ?');
+      params.push(action);
+    }
+    filters.action = action;
+  }
+
+  if (req.query.actorId !== undefined) {
+    filters.actorId = parsePositiveIntOrThrow(req.query.actorId, 'actorId');
+    conditions.push('a.actor_user_id = ?');
+    params.push(filters.actorId);
+  }
+
+  if (req.query.targetType) {
+    filters.targetType = String(req.query.targetType).trim().toLowerCase();
+    conditions.push('a.target_type = ?');
+    params.push(filters.targetType);
+  }
+
+  if (req.query.targetId !== undefined) {
+    filters.targetId = parsePositiveIntOrThrow(req.query.targetId, 'targetId');
+    conditions.push('a.target_id = ?');
+    params.push(filters.targetId);
+  }
+
+  if (req.query.from) {
+    filters.from = parseDateOrThrow(req.query.from, 'from');
+    conditions.push('a.created_at >= ?');
+    params.push(filters.from);
+  }
+
+  if (req.query.to) {
+    filters.to = parseDateOrThrow(req.query.to, 'to');
+    conditions.push('a.created_at <= ?');
+    params.push(filters.to);
+  }
+
+  const whereSql = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const { rows, meta } = await paginateQuery({
+    reqQuery: req.query,
+    db,
+    baseSql: `
+      SELECT a.id, a.actor_user_id, u.email AS actor_email, a.action,
+             a.target_type, a.target_id, a.ip, a.user_agent, a.details, a.created_at
+      FROM audit_log a
+      LEFT JOIN users u ON u.id = a.actor_user_id
+      ${whereSql}
+      ORDER BY a.id DESC
+    `,
+    countSql: `
+      SELECT COUNT(*) AS total
+      FROM audit_log a
+      ${whereSql}
+    `,
+    params,
+  });
+
+  return res.status(200).json({
+    status: 'success',
+    results: rows.length,
+    meta: {
+      ...meta,
+      filters,
+    },
+    data: {
+      entries: rows,
+    },
+  });
+});
+
+// -----------------------------------------------------------------------------
+// Movie trash
+// -----------------------------------------------------------------------------
+
+/**
+ * POST /api/v1/admin/movies/purge
+ * Body: { olderThanDays } (optional, default MOVIE_TRASH_RETENTION_DAYS)
+ * Permanently deletes movies that have been in the trash that long.
+ * The same job runs from cron with: npm run purge-trash
+ */
+exports.purgeMovieTrash = catchAsync(async (req, res, next) => {
+  const olderThanDays = req.body?.olderThanDays === undefined
+    ? getTrashRetentionDays()
+    : parsePositiveIntOrThrow(req.body.olderThanDays, 'olderThanDays');
+
+  const { purged, movieIds } = await purgeTrashedMovies({ olderThanDays });
+
+  await recordAudit(req, {
+    action: 'admin.movie_purge',
+    targetType: 'movie',
+    details: { olderThanDays, purged, movieIds },
+  });
+
+  return res.status(200).json({
+    status: 'success',
+    data: {
+      olderThanDays,
+      purged,
+      movieIds,
+      message: `${purged} movie(s) permanently deleted from the trash.`,
+    },
+  });
+});
@@ -0,0 +1,222 @@
+// src/controllers/apiKeyController.js
+//
+// Per-client API keys owned by the logged-in user.
+// Table: api_keys(id, user_id, label, key_prefix, key_hash, scopes,
+//                 created_at, last_used_at, expires_at, revoked_at)
+//
+// The raw key is returned ONCE (on create / rotate) and never stored.
+// This controller is API-only (JSON responses).
+
+const db = require('../config/db');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { API_KEY_SCOPES, generateApiKey, parseScopes } = require('../utils/apiKeys');
+
+// Safe columns (never return key_hash)
+const API_KEY_FIELDS = `
+  id, label, key_prefix, scopes, created_at, last_used_at, expires_at, revoked_at
+`;
+
+function toApiKeyResponse(row) {
+  return { ...row, scopes: parseScopes(row.scopes) };
+}
+
+function validateLabelOrThrow(label) {
+  const trimmed = String(label || '').trim();
+
+  if (!trimmed) {
+    throw new AppError('Please provide a label for the API key', 400);
+  }
+
+  if (trimmed.length > 100) {
+    throw new AppError('Label must be at most 100 characters long', 400);
+  }
+
+  return trimmed;
+}
+
+function validateScopesOrThrow(scopes) {
+  // Default: read-only key
+  if (scopes === undefined) return ['movies:read'];
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new AppError('scopes must be a non-empty array', 400);
+  }
+
+  const unknown = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length) {
+    throw new AppError(
+      `Unknown scope(s): ${unknown.join(', ')}. Allowed: ${API_KEY_SCOPES.join(', ')}`,
+      400
+    );
+  }
+
+  return [...new Set(scopes)];
+}
+
+function getExpiryOrThrow(expiresInDays) {
+  if (expiresInDays === undefined || expiresInDays === null || expiresInDays === '') {
+    return null; // never expires
+  }
+
+  const days = Number(expiresInDays);
+
+  if (!Number.isInteger(days) || days < 1 || days > 365) {
+    throw new AppError('expiresInDays must be an integer between 1 and 365', 400);
+  }
+
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+async function insertApiKey({ userId, label, scopes, expiresAt }) {
+  const { key, prefix, hash } = generateApiKey();
+
+  const [result] = await db.query(
+    `INSERT INTO api_keys (user_id, label, key_prefix, key_hash, scopes, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [userId, label, prefix, hash, JSON.stringify(scopes), expiresAt]
+  );
+
+  const [rows] = await db.query(
+    `SELECT ${API_KEY_FIELDS}
+     FROM api_keys
+     WHERE id = ?
+     LIMIT 1`,
+    [result.insertId]
+  );
+
+  return { key, apiKey: toApiKeyResponse(rows[0]) };
+}
+
+/**
+ * GET /api/v1/users/me/api-keys
+ * List the current user's keys (active + revoked), newest first.
+ */
+exports.getMyApiKeys = catchAsync(async (req, res, next) => {
+  const userId = req.user && req.user.id;
+  if (!userId) return next(new AppError('Not authenticated', 401));
+
+  const [rows] = await db.query(
+    `SELECT ${API_KEY_FIELDS}
+     FROM api_keys
+     WHERE user_id = ?
+     ORDER BY created_at DESC`,
+    [userId]
+  );
+
+  return res.status(200).json({
+    status: 'success',
+    results: rows.length,
+    data: {
+      apiKeys: rows.map(toApiKeyResponse),
+    },
+  });
+});
+
+/**
+ * POST /api/v1/users/me/api-keys
+ * Body: { label, scopes?, expiresInDays? }
+ * Returns the raw key ONCE.
+ */
+exports.createApiKey = catchAsync(async (req, res, next) => {
+  const userId = req.user && req.user.id;
+  if (!userId) return next(new AppError('Not authenticated', 401));
+
+  const label = validateLabelOrThrow(req.body.label);
+  const scopes = validateScopesOrThrow(req.body.scopes);
+  const expiresAt = getExpiryOrThrow(req.body.expiresInDays);
+
+  const { key, apiKey } = await insertApiKey({ userId, label, scopes, expiresAt });
+
+  return res.status(201).json({
+    status: 'success',
+    data: {
+      key,
+      apiKey,
+      message: 'Store this key now. It will not be shown again.',
+    },
+  });
+});
+
+/**
+ * POST /api/v1/users/me/api-keys/:id/rotate
+ * Revokes the key and issues a new one with the same label/scopes/expiry.
+ */
+exports.rotateApiKey = catchAsync(async (req, res, next) => {
+  const userId = req.user && req.user.id;
+  if (!userId) return next(new AppError('Not authenticated', 401));
+
+  const keyId = Number(req.params.id);
+  if (!Number.isInteger(keyId) || keyId <= 0) {
+    return next(new AppError('Invalid API key ID', 400));
+  }
+
+  const [rows] = await db.query(
+    `SELECT id, label, scopes, expires_at
+     FROM api_keys
+     WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+     LIMIT 1`,
+    [keyId, userId]
+  );
+
+  const current = rows[0];
+  if (!current) {
+    return next(new AppError('API key not found or already revoked', 404));
+  }
+
+  await db.query(
+    `UPDATE api_keys
+     SET revoked_at = NOW()
+     WHERE id = ? AND user_id = ?
+     LIMIT 1`,
+    [keyId, userId]
+  );
+
+  const { key, apiKey } = await insertApiKey({
+    userId,
+    label: current.label,
+    scopes: parseScopes(current.scopes),
+    expiresAt: current.expires_at,
+  });
+
+  return res.status(201).json({
+    status: 'success',
+    data: {
+      key,
+      apiKey,
+      rotatedFrom: keyId,
+      message: 'Store this key now. It will not be shown again.',
+    },
+  });
+});
+
+/**
+ * DELETE /api/v1/users/me/api-keys/:id
+ * Revokes a key (row is kept for history).
+ */
+exports.revokeApiKey = catchAsync(async (req, res, next) => {
+  const userId = req.user && req.user.id;
+  if (!userId) return next(new AppError('Not authenticated', 401));
+
+  const keyId = Number(req.params.id);
+  if (!Number.isInteger(keyId) || keyId <= 0) {
+    return next(new AppError('Invalid API key ID', 400));
+  }
+
+  const [result] = await db.query(
+    `UPDATE api_keys
+     SET revoked_at = NOW()
+     WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+     LIMIT 1`,
+    [keyId, userId]
+  );
+
+  if (!result || result.affectedRows === 0) {
+    return next(new AppError('API key not found or already revoked', 404));
+  }
+
+  return res.status(200).json({
+    status: 'success',
+    data: { message: `API key ${keyId} revoked.` },
+  });
+});
@@ -2,28 +2,51 @@
 //
 // GOAL OF THIS CONTROLLER (Bearer + Cookies):
 // 1) On REGISTER / LOGIN / GOOGLE LOGIN we will:
-//    - create/sign a JWT
-//    - return the token in JSON (for Postman / mobile / any API client)
-//    - ALSO set an HttpOnly cookie "jwt" (for browser apps)
+//    - start a session (short-lived access JWT + rotating refresh token)
+//    - return both tokens in JSON (for Postman / mobile / any API client)
+//    - ALSO set HttpOnly cookies "jwt" + "refreshToken" (for browser apps)
+// 2) POST /refresh swaps a refresh token for a new pair
+// 3) Accounts with 2FA get a challenge token instead of a session;
+//    POST /login/2fa finishes the login with a TOTP / recovery code
 //
 // IMPORTANT LOGOUT FIX (cookie must be removed reliably):
 // - Cookie deletion MUST match the cookie identity (name + path + etc.)
-// - We centralize cookie options in ONE place below (baseJwtCookieOptions)
-// - We ALWAYS set `path: '/'` so logout clears the same cookie that login sets
+// - Cookie options live in ONE place (utils/jwtCookie.js)
+// - Logout also revokes the session server-side, so a copied token dies too
 
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
-const jwt = require('jsonwebtoken');
 
 const db = require('../config/db');
 const { sendEmail } = require('../utils/nodemailer');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
-
-// Google ID token verification (Google Identity Services -> send "credential" JWT to backend)
-const { OAuth2Client } = require('google-auth-library');
-const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
-const { buildGoogleAuthHandler } = require('./googleAuthController');
+const {
+  checkLoginAllowed,
+  recordFailedLogin,
+  clearFailedLogins,
+} = require('../utils/loginLockout');
+const { hashToken, sendVerificationEmail } = require('../utils/emailVerification');
+const { sendPasswordResetEmail } = require('../utils/passwordReset');
+const { getBaseUrl } = require('../utils/baseUrl');
+const { recordAudit } = require('../utils/audit');
+const { confirmIdentity } = require('../utils/identities');
+const { getProvider, listProviders } = require('../config/oidcProviders');
+const {
+  clearAuthCookies,
+  startSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} = require('../utils/sessions');
+const {
+  createChallengeToken,
+  verifyChallengeToken,
+  verifySecondFactor,
+} = require('../utils/twoFactor');
+
+// ID token login: Google Identity Services "credential" or any OIDC provider
+const { buildOidcAuthHandler } = require('./oidcAuthController');
 
 
 // -----------------------------------------------------------------------------
@@ -58,69 +81,18 @@ function validatePasswordOrThrow(password) {
   }
 }
 
-function signToken(payload) {
-  if (!process.env.JWT_SECRET) {
-    throw new Error('JWT_SECRET is missing in environment variables');
-  }
-
-  const expiresIn = process.env.JWT_EXPIRES_IN || '7d';
-  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
-}
-
-/**
- * Single source of truth for JWT cookie options.
- * This prevents logout "not working" due to cookie path mismatch.
- */
-function baseJwtCookieOptions() {
-  const isProd = process.env.NODE_ENV === 'production';
-
-  return {
-    httpOnly: true,
-    secure: isProd,
-    sameSite: 'lax',
-    path: '/', // CRITICAL: makes cookie global + ensures delete matches set
-  };
-}
-
-/**
- * Set JWT as HttpOnly cookie.
- */
-function setJwtCookie(res, token) {
-  const cookieDays = Number(process.env.JWT_COOKIE_EXPIRES_IN || 7);
-  const expires = new Date(Date.now() + cookieDays * 24 * 60 * 60 * 1000);
-
-  res.cookie('jwt', token, {
-    ...baseJwtCookieOptions(),
-    expires,
-  });
-}
-
-/**
- * Clear JWT cookie reliably (must match same options incl. path).
- */
-function clearJwtCookie(res) {
-  res.cookie('jwt', '', {
-    ...baseJwtCookieOptions(),
-    expires: new Date(0),
-  });
-}
-
 /**
  * Send a unified auth response:
- * - set cookie for browsers
- * - return token in JSON for API clients
+ * - start a session and set cookies for browsers
+ * - return access + refresh token in JSON for API clients
  */
-function sendAuthResponse(res, user, statusCode) {
-  const token = signToken({
-    id: user.id,
-    role: user.role,
-  });
-
-  setJwtCookie(res, token);
+async function sendAuthResponse(req, res, user, statusCode) {
+  const { accessToken, refreshToken } = await startSession(req, res, user);
 
   return res.status(statusCode).json({
     status: 'success',
-    token,
+    token: accessToken,
+    refreshToken,
     data: {
       user: {
         id: user.id,
@@ -130,14 +102,53 @@ function sendAuthResponse(res, user, statusCode) {
         provider: user.provider,
         provider_id: user.provider_id || null,
         active: user.active,
+        email_verified_at: user.email_verified_at || null,
         created_at: user.created_at,
       },
     },
   });
 }
 
-function getBaseUrl(req) {
-  return process.env.APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
+/**
+ * Password (or Google) step succeeded but 2FA is on:
+ * no session yet, only a short-lived challenge for POST /login/2fa.
+ */
+function sendTwoFactorChallenge(res, user) {
+  return res.status(200).json({
+    status: 'success',
+    data: {
+      twoFactorRequired: true,
+      challengeToken: createChallengeToken(user),
+      message: 'Enter the code from your authenticator app (or a recovery code).',
+    },
+  });
+}
+// Last step of a password / Google / password-reset login
+async function completeLogin(req, res, user, { method }) {
+  if (user.two_factor_enabled_at) {
+    return sendTwoFactorChallenge(res, user);
+  }
+
+  await recordAudit(req, {
+    actorId: user.id,
+    action: 'auth.login',
+    targetType: 'user',
+    targetId: user.id,
+    details: { method },
+  });
+
+  return sendAuthResponse(req, res, user, 200);
+}
+
+// Failed logins are audited with the account as target (actor = unknown caller)
+function recordFailedLoginAudit(req, { user = null, reason, details = {} }) {
+  return recordAudit(req, {
+    actorId: null,
+    action: 'auth.login_failed',
+    targetType: user ? 'user' : null,
+    targetId: user ? user.id : null,
+    details: { reason, ...details },
+  });
 }
 
 async function enforcePasswordChangeRateLimit(userId) {
@@ -232,7 +243,8 @@ exports.register = catchAsync(async (req, res, next) => {
   const newUserId = insertResult.insertId;
 
   const [createdRows] = await db.query(
-    `SELECT id, name, email, role, provider, provider_id, active, created_at
+    `SELECT id, name, email, role, provider, provider_id, active, created_at,
+            email_verified_at
      FROM users
      WHERE id = ?
      LIMIT 1`,
@@ -240,7 +252,21 @@ exports.register = catchAsync(async (req, res, next) => {
   );
 
   const createdUser = createdRows[0];
-  return sendAuthResponse(res, createdUser, 201);
+
+  await recordAudit(req, {
+    actorId: createdUser.id,
+    action: 'auth.register',
+    targetType: 'user',
+    targetId: createdUser.id,
+  });
+
+  try {
+    await sendVerificationEmail(createdUser, { baseUrl: getBaseUrl(req) });
+  } catch (errEmail) {
+    // Do not block registration; the user can request a new link later
+  }
+
+  return sendAuthResponse(req, res, createdUser, 201);
 });
 
 /**
@@ -256,7 +282,9 @@ exports.login = catchAsync(async (req, res, next) => {
   }
 
   const [rows] = await db.query(
-    `SELECT id, name, email, password, role, provider, provider_id, active, created_at
+    `SELECT id, name, email, password, role, provider, provider_id, active, created_at,
+            email_verified_at, failed_login_count, last_failed_login_at, locked_until,
+            two_factor_enabled_at, password_reset_required
      FROM users
      WHERE email = ?
      LIMIT 1`,
@@ -266,10 +294,12 @@ exports.login = catchAsync(async (req, res, next) => {
   const user = rows[0];
 
   if (!user) {
+    await recordFailedLoginAudit(req, { reason: 'unknown_email', details: { email } });
     return next(new AppError('Incorrect email or password', 401));
   }
 
   if (Number(user.active) !== 1) {
+    await recordFailedLoginAudit(req, { user, reason: 'disabled' });
     return next(new AppError('Account is disabled', 403));
   }
 
@@ -277,22 +307,159 @@ exports.login = catchAsync(async (req, res, next) => {
     return next(new AppError('This account does not have a local password', 401));
   }
 
+  // Set by an admin ("force password reset"): the old password no longer works
+  if (Number(user.password_reset_required) === 1) {
+    return next(new AppError(
+      'You must set a new password. Use the reset link we emailed you, or request a new one.',
+      403
+    ));
+  }
+
+  // Lockout / progressive delay BEFORE checking the password
+  const allowed = checkLoginAllowed(user);
+  if (!allowed.ok) {
+    await recordFailedLoginAudit(req, { user, reason: 'locked' });
+    res.set('Retry-After', String(allowed.retryAfter));
+    return next(allowed.error);
+  }
+
   const ok = await bcrypt.compare(password, user.password);
   if (!ok) {
+    const { locked } = await recordFailedLogin(user, { baseUrl: getBaseUrl(req) });
+    await recordFailedLoginAudit(req, { user, reason: 'wrong_password', details: { locked } });
+
+    if (locked) {
+      return next(new AppError(
+        'Too many failed logins. Your account is temporarily locked; we emailed you an unlock link.',
+        423
+      ));
+    }
+
     return next(new AppError('Incorrect email or password', 401));
   }
 
-  return sendAuthResponse(res, user, 200);
+  // With 2FA the counters are cleared only after the second step,
+  // otherwise a known password would allow unlimited code guesses
+  if (user.two_factor_enabled_at) {
+    return sendTwoFactorChallenge(res, user);
+  }
+
+  if (Number(user.failed_login_count) > 0 || user.locked_until) {
+    await clearFailedLogins(user.id);
+  }
+
+  return completeLogin(req, res, user, { method: 'password' });
+});
+
+/**
+ * POST /api/v1/auth/login/2fa
+ * Body: { challengeToken, code } or { challengeToken, recoveryCode }
+ * Second login step for accounts with 2FA. Wrong codes count as failed logins.
+ */
+exports.loginTwoFactor = catchAsync(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return next(new AppError('Please provide challengeToken and a code or recoveryCode', 400));
+  }
+
+  const userId = verifyChallengeToken(challengeToken);
+
+  const [rows] = await db.query(
+    `SELECT id, name, email, role, provider, provider_id, active, created_at,
+            email_verified_at, failed_login_count, last_failed_login_at, locked_until,
+            two_factor_secret, two_factor_enabled_at, two_factor_last_step
+     FROM users
+     WHERE id = ?
+     LIMIT 1`,
+    [userId]
+  );
+
+  const user = rows[0];
+
+  if (!user || !user.two_factor_enabled_at) {
+    return next(new AppError('Login challenge is invalid or has expired. Please log in again.', 401));
+  }
+
+  if (Number(user.active) !== 1) {
+    return next(new AppError('Account is disabled', 403));
+  }
+
+  const allowed = checkLoginAllowed(user);
+  if (!allowed.ok) {
+    res.set('Retry-After', String(allowed.retryAfter));
+    return next(allowed.error);
+  }
+
+  const method = await verifySecondFactor(user, { code, recoveryCode });
+
+  if (!method) {
+    const { locked } = await recordFailedLogin(user, { baseUrl: getBaseUrl(req) });
+    await recordFailedLoginAudit(req, { user, reason: 'invalid_2fa_code', details: { locked } });
+
+    if (locked) {
+      return next(new AppError(
+        'Too many failed logins. Your account is temporarily locked; we emailed you an unlock link.',
+        423
+      ));
+    }
+
+    return next(new AppError('Invalid authentication code', 401));
+  }
+
+  if (Number(user.failed_login_count) > 0 || user.locked_until) {
+    await clearFailedLogins(user.id);
+  }
+
+  await recordAudit(req, {
+    actorId: user.id,
+    action: 'auth.login',
+    targetType: 'user',
+    targetId: user.id,
+    details: { method: '2fa', secondFactor: method },
+  });
+
+  return sendAuthResponse(req, res, user, 200);
+});
+
+/**
+ * POST /api/v1/auth/refresh
+ * Body (API clients): { refreshToken } — browsers send the refreshToken cookie.
+ * Returns a new access token AND a new refresh token (the old one is dead now).
+ */
+exports.refresh = catchAsync(async (req, res, next) => {
+  const rawToken = req.body?.refreshToken || req.cookies?.refreshToken;
+
+  if (!rawToken) {
+    return next(new AppError('Refresh token is missing', 401));
+  }
+
+  try {
+    const { accessToken, refreshToken } = await rotateSession(req, res, rawToken);
+
+    return res.status(200).json({
+      status: 'success',
+      token: accessToken,
+      refreshToken,
+    });
+  } catch (err) {
+    clearAuthCookies(res);
+    throw err;
+  }
 });
 
 /**
  * POST /api/v1/auth/logout
  *
  * Correct behavior:
- * - clear the SAME cookie we set (same name + same cookie options + same path)
+ * - revoke the current session (refresh token stops working)
+ * - clear the SAME cookies we set (same name + same cookie options + same path)
  */
 exports.logout = catchAsync(async (req, res, next) => {
-  clearJwtCookie(res);
+  await revokeSession(req.auth.sid, 'logout');
+  clearAuthCookies(res);
+
+  await recordAudit(req, { action: 'auth.logout', targetType: 'user', targetId: req.user.id });
 
   return res.status(200).json({
     status: 'success',
@@ -300,6 +467,22 @@ exports.logout = catchAsync(async (req, res, next) => {
   });
 });
 
+/**
+ * POST /api/v1/auth/logout-all
+ * "Log out everywhere": revokes every session of the user, this one included.
+ */
+exports.logoutAll = catchAsync(async (req, res, next) => {
+  await revokeAllSessions(req.user.id, 'logout_all');
+  clearAuthCookies(res);
+
+  await recordAudit(req, { action: 'auth.logout_all', targetType: 'user', targetId: req.user.id });
+
+  return res.status(200).json({
+    status: 'success',
+    data: { message: 'Logged out on all devices.' },
+  });
+});
+
 /**
  * PATCH /api/v1/auth/change-password
  * Body: { currentPassword, newPassword, newPasswordConfirm }
@@ -377,8 +560,14 @@ exports.changePassword = catchAsync(async (req, res, next) => {
 
   await incrementPasswordChangeCount(userId);
 
+  // Every other device must log in again with the new password
+  await revokeAllSessions(userId, 'password_change');
+
+  await recordAudit(req, { action: 'auth.password_change', targetType: 'user', targetId: userId });
+
   const [updatedRows] = await db.query(
-    `SELECT id, name, email, role, provider, provider_id, active, created_at
+    `SELECT id, name, email, role, provider, provider_id, active, created_at,
+            email_verified_at
      FROM users
      WHERE id = ?
      LIMIT 1`,
@@ -386,7 +575,89 @@ exports.changePassword = catchAsync(async (req, res, next) => {
   );
 
   const updatedUser = updatedRows[0];
-  return sendAuthResponse(res, updatedUser, 200);
+  return sendAuthResponse(req, res, updatedUser, 200);
+});
+
+/**
+ * POST /api/v1/auth/set-password
+ * Body: { newPassword, newPasswordConfirm, credential, provider (default 'google') }
+ * For accounts without a password (Google / OIDC sign-up). There is no current
+ * password to confirm, so a fresh sign-in with the linked provider (credential,
+ * an ID token) is required.
+ */
+exports.setPassword = catchAsync(async (req, res, next) => {
+  const { newPassword, newPasswordConfirm, credential } = req.body;
+  const provider = getProvider(req.body.provider || 'google');
+
+  if (!provider) {
+    return next(new AppError('Unknown login provider', 404));
+  }
+
+  if (!newPassword || !newPasswordConfirm) {
+    return next(new AppError('Please provide newPassword and newPasswordConfirm', 400));
+  }
+
+  if (newPassword !== newPasswordConfirm) {
+    return next(new AppError('New password and confirmation do not match', 400));
+  }
+
+  validatePasswordOrThrow(newPassword);
+
+  const userId = req.user.id;
+
+  const [rows] = await db.query(
+    'SELECT id, password FROM users WHERE id = ? LIMIT 1',
+    [userId]
+  );
+
+  const user = rows[0];
+  if (!user) return next(new AppError('User not found', 404));
+
+  if (user.password) {
+    return next(new AppError('This account already has a password. Use change-password instead.', 400));
+  }
+
+  const identity = await confirmIdentity(userId, provider.name, credential);
+  if (!identity) {
+    return next(new AppError(`No linked ${provider.label} account to confirm this change with`, 400));
+  }
+
+  const limitCheck = await enforcePasswordChangeRateLimit(userId);
+  if (!limitCheck.ok) {
+    return next(limitCheck.error);
+  }
+
+  const hashedNewPassword = await bcrypt.hash(newPassword, 12);
+
+  // "password IS NULL": two parallel requests cannot both set it
+  const [result] = await db.query(
+    `UPDATE users
+     SET password = ?,
+         password_changed_at = NOW()
+     WHERE id = ? AND password IS NULL
+     LIMIT 1`,
+    [hashedNewPassword, userId]
+  );
+
+  if (result.affectedRows === 0) {
+    return next(new AppError('This account already has a password. Use change-password instead.', 400));
+  }
+
+  await incrementPasswordChangeCount(userId);
+  await revokeAllSessions(userId, 'password_set');
+
+  await recordAudit(req, { action: 'auth.password_set', targetType: 'user', targetId: userId });
+
+  const [updatedRows] = await db.query(
+    `SELECT id, name, email, role, provider, provider_id, active, created_at,
+            email_verified_at
+     FROM users
+     WHERE id = ?
+     LIMIT 1`,
+    [userId]
+  );
+
+  return sendAuthResponse(req, res, updatedRows[0], 200);
 });
 
 /**
@@ -416,49 +687,19 @@ exports.forgotPassword = catchAsync(async (req, res, next) => {
     return genericSuccess();
   }
 
-  const resetToken = crypto.randomBytes(32).toString('hex');
-  const hashedToken = crypto.createHash('sha256').update(resetToken).digest('hex');
-
-  const expires = new Date(Date.now() + 10 * 60 * 1000);
-
-  await db.query(
-    `UPDATE users
-     SET password_reset_token = ?,
-         password_reset_expires = ?
-     WHERE id = ?
-     LIMIT 1`,
-    [hashedToken, expires, user.id]
-  );
-
-  const baseUrl = getBaseUrl(req);
-  const resetUrl = `${baseUrl}/reset-password/${resetToken}`;
-
-  const html = `
-    <p>You requested a password reset.</p>
-    <p>Click the link below to set a new password:</p>
-    <p><a href="${resetUrl}">${resetUrl}</a></p>
-    <p>This link will expire in 10 minutes.</p>
-  `;
-
   try {
-    await sendEmail({
-      to: user.email,
-      subject: 'Password reset',
-      html,
-    });
+    await sendPasswordResetEmail(user, { baseUrl: getBaseUrl(req) });
   } catch (err) {
-    await db.query(
-      `UPDATE users
-       SET password_reset_token = NULL,
-           password_reset_expires = NULL
-       WHERE id = ?
-       LIMIT 1`,
-      [user.id]
-    );
-
     return next(new AppError('Email sending failed. Please try again later.', 500));
   }
 
+  await recordAudit(req, {
+    actorId: null,
+    action: 'auth.password_reset_requested',
+    targetType: 'user',
+    targetId: user.id,
+  });
+
   return res.status(200).json({
     status: 'success',
     data: { message: 'Password reset email sent.' },
@@ -523,13 +764,22 @@ exports.resetPassword = catchAsync(async (req, res, next) => {
      SET password = ?,
          password_changed_at = NOW(),
          password_reset_token = NULL,
-         password_reset_expires = NULL
+         password_reset_expires = NULL,
+         password_reset_required = 0
      WHERE id = ?
      LIMIT 1`,
     [hashedNewPassword, user.id]
   );
 
   await incrementPasswordChangeCount(user.id);
+  await revokeAllSessions(user.id, 'password_reset');
+
+  await recordAudit(req, {
+    actorId: user.id,
+    action: 'auth.password_reset',
+    targetType: 'user',
+    targetId: user.id,
+  });
 
   try {
     await sendEmail({
@@ -545,17 +795,155 @@ exports.resetPassword = catchAsync(async (req, res, next) => {
   }
 
   const [updatedRows] = await db.query(
-    `SELECT id, name, email, role, provider, provider_id, active, created_at
+    `SELECT id, name, email, role, provider, provider_id, active, created_at,
+            email_verified_at, two_factor_enabled_at
      FROM users
      WHERE id = ?
      LIMIT 1`,
     [user.id]
   );
 
+  // The reset link proves the mailbox, not the second factor:
+  // 2FA accounts get the challenge like any other login
   const updatedUser = updatedRows[0];
-  return sendAuthResponse(res, updatedUser, 200);
+  return completeLogin(req, res, updatedUser, { method: 'password_reset' });
 });
 
-// Re-export google auth from a separate file (keeps routes unchanged)
-exports.googleAuth = buildGoogleAuthHandler({ sendAuthResponse });
+/**
+ * GET /api/v1/auth/unlock-account/:token
+ * Link from the "account locked" email. Clears the lockout.
+ */
+exports.unlockAccount = catchAsync(async (req, res, next) => {
+  const token = req.params.token;
+
+  if (!token) {
+    return next(new AppError('Unlock token is missing', 400));
+  }
+
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+
+  const [rows] = await db.query(
+    `SELECT id
+     FROM users
+     WHERE unlock_token = ?
+       AND unlock_token_expires IS NOT NULL
+       AND unlock_token_expires > NOW()
+     LIMIT 1`,
+    [hashedToken]
+  );
+
+  const user = rows[0];
+
+  if (!user) {
+    return next(new AppError('Token is invalid or has expired', 400));
+  }
+
+  await clearFailedLogins(user.id);
+
+  await recordAudit(req, {
+    actorId: null,
+    action: 'auth.account_unlocked',
+    targetType: 'user',
+    targetId: user.id,
+  });
+
+  return res.status(200).json({
+    status: 'success',
+    data: { message: 'Your account is unlocked. You can log in again.' },
+  });
+});
+
+/**
+ * GET /api/v1/auth/verify-email/:token
+ * Link from the verification email (via the /verify-email/:token page).
+ */
+exports.verifyEmail = catchAsync(async (req, res, next) => {
+  const token = req.params.token;
+
+  if (!token) {
+    return next(new AppError('Verification token is missing', 400));
+  }
+
+  const [rows] = await db.query(
+    `SELECT id
+     FROM users
+     WHERE email_verification_token = ?
+       AND email_verification_expires IS NOT NULL
+       AND email_verification_expires > NOW()
+     LIMIT 1`,
+    [hashToken(token)]
+  );
+
+  const user = rows[0];
+
+  if (!user) {
+    return next(new AppError('Token is invalid or has expired', 400));
+  }
+
+  await db.query(
+    `UPDATE users
+     SET email_verified_at = NOW(),
+         email_verification_token = NULL,
+         email_verification_expires = NULL
+     WHERE id = ?
+     LIMIT 1`,
+    [user.id]
+  );
+
+  await recordAudit(req, {
+    actorId: null,
+    action: 'auth.email_verified',
+    targetType: 'user',
+    targetId: user.id,
+  });
+
+  return res.status(200).json({
+    status: 'success',
+    data: { message: 'Your email address is verified.' },
+  });
+});
+
+/**
+ * POST /api/v1/auth/resend-verification
+ * Protected route (unverified users allowed): emails a fresh verification link.
+ */
+exports.resendVerification = catchAsync(async (req, res, next) => {
+  const user = req.user;
+
+  if (user.email_verified_at) {
+    return next(new AppError('Your email address is already verified', 400));
+  }
+
+  try {
+    await sendVerificationEmail(user, { baseUrl: getBaseUrl(req) });
+  } catch (errEmail) {
+    return next(new AppError('Email sending failed. Please try again later.', 500));
+  }
+
+  return res.status(200).json({
+    status: 'success',
+    data: { message: 'Verification email sent.' },
+  });
+});
+
+// Provider logins live in a separate file (keeps routes unchanged)
+// POST /api/v1/auth/google           → Google Identity Services credential
+// POST /api/v1/auth/oidc/:provider   → ID token of a provider from OIDC_PROVIDERS
+exports.googleAuth = buildOidcAuthHandler({ completeLogin, providerName: 'google' });
+exports.oidcAuth = buildOidcAuthHandler({ completeLogin });
+
+/**
+ * GET /api/v1/auth/providers
+ * Configured login providers (name, label, issuer, clientId): public
+ * values that clients need to start a sign-in at the provider.
+ */
+exports.getProviders = (req, res) => {
+  const providers = listProviders();
+
+  res.status(200).json({
+    status: 'success',
+    results: providers.length,
+    data: { providers },
+  });
+};
 
@@ -9,6 +9,7 @@ const sendErrorDev = (err, req, res) => {
   return res.status(err.statusCode || 500).json({
     status: err.status || 'error',
     message: err.message,
+    ...(err.errors ? { errors: err.errors } : {}),
     error: err,
     stack: err.stack,
   });
@@ -21,15 +22,21 @@ const handleJWTError = () =>
 const handleJWTExpiredError = () =>
   new AppError('Your session has expired. Please log in again.', 401);
 
+// express.json(): body is not valid JSON
+const handleJSONParseError = () =>
+  new AppError('Request body is not valid JSON', 400);
+
 // Helper: send safe error in production
 const sendErrorProd = (err, req, res) => {
   console.error('🔥 PROD ERROR:', err);
 
   // Operational, trusted error -> send message
+  // (+ per-field details from the validation layer)
   if (err.isOperational) {
     return res.status(err.statusCode).json({
       status: err.status,
       message: err.message,
+      ...(err.errors ? { errors: err.errors } : {}),
     });
   }
 
@@ -67,5 +74,10 @@ module.exports = (err, req, res, next) => {
     error = handleJWTExpiredError();
   }
 
+  // Malformed JSON body
+  if (error.type === 'entity.parse.failed') {
+    error = handleJSONParseError();
+  }
+
   return sendErrorProd(error, req, res);
 };
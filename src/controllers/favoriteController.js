@@ -9,6 +9,8 @@ const db = require('../config/db');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 const { paginateQuery } = require('../utils/paginateQuery');
+const { attachGenres } = require('../utils/genres');
+const { recordAudit } = require('../utils/audit');
 
 
 /**
@@ -41,11 +43,14 @@ exports.getMyFavorites = catchAsync(async (req, res, next) => {
        f.created_at AS favorited_at
      FROM favorite_movies f
      INNER JOIN movies m ON m.id = f.movie_id
-     WHERE f.user_id = ?
+     WHERE f.user_id = ? AND m.deleted_at IS NULL
      ORDER BY f.created_at DESC`,
     [userId]
   );
 
+  // Embed genre names ({ id, name }) next to raw genre_ids
+  await attachGenres(db, rows);
+
   return res.status(200).json({
     status: 'success',
     results: rows.length,
@@ -71,9 +76,9 @@ exports.addFavorite = catchAsync(async (req, res, next) => {
     return next(new AppError('Please provide a valid movieId', 400));
   }
 
-  // Ensure movie exists (clean 404 instead of DB FK error)
+  // Ensure movie exists and is not in the trash (clean 404 instead of DB FK error)
   const [movieRows] = await db.query(
-    'SELECT id FROM movies WHERE id = ? LIMIT 1',
+    'SELECT id FROM movies WHERE id = ? AND deleted_at IS NULL LIMIT 1',
     [movieId]
   );
 
@@ -100,6 +105,8 @@ exports.addFavorite = catchAsync(async (req, res, next) => {
     throw err;
   }
 
+  await recordAudit(req, { action: 'favorite.add', targetType: 'movie', targetId: movieId });
+
   return res.status(201).json({
     status: 'success',
     data: { message: 'Added to favorites.' },
@@ -136,6 +143,8 @@ exports.removeFavorite = catchAsync(async (req, res, next) => {
     });
   }
 
+  await recordAudit(req, { action: 'favorite.remove', targetType: 'movie', targetId: movieId });
+
   return res.status(200).json({
     status: 'success',
     data: { message: 'Removed from favorites.' },
@@ -170,14 +179,15 @@ exports.loadFavorites = catchAsync(async (req, res, next) => {
       f.created_at AS favorited_at
     FROM favorite_movies f
     INNER JOIN movies m ON m.id = f.movie_id
-    WHERE f.user_id = ?
+    WHERE f.user_id = ? AND m.deleted_at IS NULL
     ORDER BY f.created_at DESC
   `;
 
   const countSql = `
     SELECT COUNT(*) AS total
     FROM favorite_movies f
-    WHERE f.user_id = ?
+    INNER JOIN movies m ON m.id = f.movie_id
+    WHERE f.user_id = ? AND m.deleted_at IS NULL
   `;
 
   const { rows, meta } = await paginateQuery({
@@ -0,0 +1,35 @@
+// src/controllers/genreController.js
+// ======================================================
+// Controller functions for the genres lookup table.
+// Table: genres(id, name)
+// ======================================================
+
+const db = require('../config/db');
+const catchAsync = require('../utils/catchAsync');
+
+// ------------------------------------------------------
+// GET /api/v1/genres
+// Returns all genres (id + name) with how many movies use each
+// (movies in the trash are not counted).
+// ------------------------------------------------------
+exports.getAllGenres = catchAsync(async (req, res, next) => {
+  const [genres] = await db.query(
+    `SELECT
+       g.id,
+       g.name,
+       COUNT(m.id) AS movie_count
+     FROM genres g
+     LEFT JOIN movie_genres mg ON mg.genre_id = g.id
+     LEFT JOIN movies m ON m.id = mg.movie_id AND m.deleted_at IS NULL
+     GROUP BY g.id, g.name
+     ORDER BY g.name ASC`
+  );
+
+  res.status(200).json({
+    status: 'success',
+    results: genres.length,
+    data: {
+      genres,
+    },
+  });
+});
@@ -0,0 +1,140 @@
+// src/controllers/identityController.js
+//
+// Sign-in methods of the logged-in user: password + linked identities.
+// - GET    /me/identities            → what can be used to log in
+// - POST   /me/identities/:provider  → link a Google / OIDC account
+// - DELETE /me/identities/:provider  → unlink it (never the last method)
+// Providers: config/oidcProviders.js ("google" + OIDC_PROVIDERS).
+//
+// Users without a password add one via POST /auth/set-password.
+// This controller is API-only (JSON responses).
+
+const bcrypt = require('bcryptjs');
+
+const db = require('../config/db');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { getProvider } = require('../config/oidcProviders');
+const {
+  findIdentity,
+  listIdentities,
+  linkIdentity,
+  unlinkIdentity,
+  countLoginMethods,
+} = require('../utils/identities');
+const { recordAudit } = require('../utils/audit');
+
+async function sendIdentities(res, userId, statusCode = 200) {
+  const [{ hasPassword }, identities] = await Promise.all([
+    countLoginMethods(userId),
+    listIdentities(userId),
+  ]);
+
+  return res.status(statusCode).json({
+    status: 'success',
+    data: {
+      hasPassword,
+      identities,
+    },
+  });
+}
+
+/**
+ * GET /api/v1/users/me/identities
+ */
+exports.getMyIdentities = catchAsync(async (req, res, next) => {
+  return sendIdentities(res, req.user.id);
+});
+
+function providerOrThrow(name) {
+  const provider = getProvider(name);
+  if (!provider) throw new AppError('Unknown login provider', 404);
+  return provider;
+}
+
+/**
+ * POST /api/v1/users/me/identities/:provider
+ * Body: { credential (ID token), password (accounts with a password) }
+ * Re-auth with the password: a stolen session must not be able to
+ * add a permanent way back in.
+ */
+exports.linkMyIdentity = catchAsync(async (req, res, next) => {
+  const provider = providerOrThrow(req.params.provider);
+
+  const [rows] = await db.query(
+    'SELECT id, email, password FROM users WHERE id = ? LIMIT 1',
+    [req.user.id]
+  );
+
+  const user = rows[0];
+  if (!user) return next(new AppError('User not found', 404));
+
+  if (user.password) {
+    const password = req.body.password;
+
+    if (!password || !(await bcrypt.compare(String(password), user.password))) {
+      return next(new AppError('Your password is wrong', 401));
+    }
+  }
+
+  if (await findIdentity(user.id, provider.name)) {
+    return next(new AppError(`A ${provider.label} account is already linked. Unlink it first.`, 409));
+  }
+
+  const payload = await provider.verify(req.body.credential || req.body.id_token);
+  const providerEmail = payload.email ? String(payload.email).trim().toLowerCase() : null;
+
+  await linkIdentity(user.id, { provider: provider.name, subject: String(payload.sub), email: providerEmail });
+
+  // The provider vouches for the address when it is the account email
+  const emailVerified = payload.email_verified === true || payload.email_verified === 'true';
+
+  if (emailVerified && providerEmail === user.email) {
+    await db.query(
+      `UPDATE users
+       SET email_verified_at = COALESCE(email_verified_at, NOW())
+       WHERE id = ?
+       LIMIT 1`,
+      [user.id]
+    );
+  }
+
+  await recordAudit(req, {
+    action: 'auth.identity_linked',
+    targetType: 'user',
+    targetId: user.id,
+    details: { provider: provider.name },
+  });
+
+  return sendIdentities(res, user.id, 201);
+});
+
+/**
+ * DELETE /api/v1/users/me/identities/:provider
+ * Refused when it is the only way to log in (set a password first).
+ */
+exports.unlinkMyIdentity = catchAsync(async (req, res, next) => {
+  const userId = req.user.id;
+  const provider = providerOrThrow(req.params.provider);
+
+  if (!(await findIdentity(userId, provider.name))) {
+    return next(new AppError(`No ${provider.label} account is linked`, 404));
+  }
+
+  const { hasPassword, identities } = await countLoginMethods(userId);
+
+  if (!hasPassword && identities <= 1) {
+    return next(new AppError(`${provider.label} is your only way to log in. Set a password before unlinking it.`, 400));
+  }
+
+  await unlinkIdentity(userId, provider.name);
+
+  await recordAudit(req, {
+    action: 'auth.identity_unlinked',
+    targetType: 'user',
+    targetId: userId,
+    details: { provider: provider.name },
+  });
+
+  return sendIdentities(res, userId);
+});
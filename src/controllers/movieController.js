@@ -10,14 +10,324 @@
 const db = require('../config/db');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
-const { getPagination } = require('../utils/pagination');
+const { getPagination, shouldIncludeTotal } = require('../utils/pagination');
 const { getSearch } = require('../utils/search');
 const { getFilters } = require('../utils/filters');
-const { getSort } = require('../utils/sort')
+const { getSort, getSortSpec } = require('../utils/sort')
+const { isCursorMode, getCursorPagination, buildCursorPage } = require('../utils/cursor')
+const { getIncludes } = require('../utils/include')
+const { attachGenres, syncMovieGenres } = require('../utils/genres')
+const { recordAudit, diffObjects } = require('../utils/audit')
+const { setVersionHeaders, getIfMatchVersions, preconditionFailed } = require('../utils/preconditions')
+const { applyJsonPatch } = require('../utils/jsonPatch')
+const { validateBody } = require('../utils/validation')
+const ValidationError = require('../utils/validationError')
+const movieSchemas = require('../schemas/movieSchemas')
+const { getTrashRetentionDays, getPurgeAfter } = require('../utils/movieTrash')
+const { paginateQuery } = require('../utils/paginateQuery')
+const { isDeepStrictEqual } = require('util')
+
+// Columns a client may write (bodies are checked by validate(movieSchemas.movie)
+// in the routes; this list is what actually reaches SQL as column names)
+const UPDATABLE_FIELDS = [
+  'title',
+  'original_title',
+  'overview',
+  'release_date',
+  'vote_average',
+  'vote_count',
+  'popularity',
+  'poster_path',
+  'backdrop_path',
+  'original_language',
+  'adult',
+  'video',
+  'most_popular',
+  'genre_ids'
+]
+
+const BOOLEAN_FIELDS = ['adult', 'video', 'most_popular']
+
+// Value of a field that a PUT leaves out or a merge patch sets to null
+// (same as createMovie / the column defaults)
+const MOVIE_DEFAULTS = {
+  original_title: null,
+  overview: null,
+  release_date: null,
+  vote_average: 0,
+  vote_count: 0,
+  popularity: 0,
+  poster_path: null,
+  backdrop_path: null,
+  original_language: null,
+  adult: false,
+  video: false,
+  most_popular: false,
+  genre_ids: []
+}
+
+// ------------------------------------------------------
+// WHERE for UPDATE / DELETE of one movie:
+// - id
+// - owner_id unless ADMIN (ownership enforced by SQL)
+// - not in the trash (or only in the trash: trashed, for restore)
+// - version IN (...) when If-Match lists ETags, or the version
+//   the controller read (expectedVersion, JSON Patch)
+// ------------------------------------------------------
+function movieWriteConditions(req, movieId, { expectedVersion, trashed = false } = {}) {
+  const conditions = ['id = ?']
+  const params = [movieId]
+
+  if (req.user.role !== 'ADMIN') {
+    conditions.push('owner_id = ?')
+    params.push(req.user.id)
+  }
+
+  conditions.push(trashed ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL')
+
+  const versions = expectedVersion !== undefined
+    ? [expectedVersion]
+    : getIfMatchVersions(req, movieId)
+
+  if (versions !== undefined && versions !== null) {
+    // An empty list can never match: keep the query valid anyway
+    conditions.push('version IN (?)')
+    params.push(versions.length ? versions : [0])
+  }
+
+  return {
+    conditions,
+    params,
+    conditional: versions !== undefined,
+    implicit: expectedVersion !== undefined,
+    trashed
+  }
+}
+
+// ------------------------------------------------------
+// UPDATE / DELETE touched no row: 412 when the movie is there and
+// the caller may write it (so only If-Match failed), else the usual 403.
+// When the version came from our own read (JSON Patch, revert), it is a 409.
+// ------------------------------------------------------
+async function writeFailure(req, movieId, where, verb) {
+  if (where.conditional) {
+    const [rows] = await db.query('SELECT id, owner_id, deleted_at FROM movies WHERE id = ? LIMIT 1', [movieId])
+    const movie = rows[0]
+    const canWrite = movie
+      && Boolean(movie.deleted_at) === where.trashed
+      && (req.user.role === 'ADMIN' || movie.owner_id === req.user.id)
+
+    if (canWrite) {
+      return where.implicit
+        ? new AppError('The movie was changed by someone else in the meantime. Please try again.', 409)
+        : preconditionFailed('movie')
+    }
+  }
+
+  return new AppError(`Movie not found or you do not have permission to ${verb} it.`, 403)
+}
+
+// ------------------------------------------------------
+// Writable fields of a movie row as JSON (the document JSON Patch
+// works on): DATE → "YYYY-MM-DD", DECIMAL → number, TINYINT → boolean
+// ------------------------------------------------------
+function toDateString(value) {
+  if (!value) return null
+  if (typeof value === 'string') return value.slice(0, 10)
+
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`
+}
+
+function toGenreIds(value) {
+  if (Array.isArray(value)) return value
+  try {
+    const parsed = JSON.parse(value || '[]')
+    return Array.isArray(parsed) ? parsed : []
+  } catch (err) {
+    return []
+  }
+}
+
+function movieDocument(row) {
+  return {
+    title: row.title,
+    original_title: row.original_title ?? null,
+    overview: row.overview ?? null,
+    release_date: toDateString(row.release_date),
+    vote_average: Number(row.vote_average ?? 0),
+    vote_count: Number(row.vote_count ?? 0),
+    popularity: Number(row.popularity ?? 0),
+    poster_path: row.poster_path ?? null,
+    backdrop_path: row.backdrop_path ?? null,
+    original_language: row.original_language ?? null,
+    adult: Boolean(Number(row.adult)),
+    video: Boolean(Number(row.video)),
+    most_popular: Boolean(Number(row.most_popular)),
+    genre_ids: toGenreIds(row.genre_ids)
+  }
+}
+
+// ------------------------------------------------------
+// Revision history (movie_revisions, see migrations/018):
+// one snapshot (movieDocument) per create / update / revert,
+// numbered with the movie version it produced.
+// INSERT IGNORE: when two saves race, the later one may read the
+// other's version after its UPDATE; that snapshot is then already
+// stored (by its own save), and is the correct one for that number.
+// ------------------------------------------------------
+async function recordRevision(req, movie, { action, revertedFrom = null }) {
+  await db.query(
+    `INSERT IGNORE INTO movie_revisions (movie_id, revision, editor_user_id, action, reverted_from, snapshot)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      movie.id,
+      Number(movie.version || 1),
+      req.user.id,
+      action,
+      revertedFrom,
+      JSON.stringify(movieDocument(movie))
+    ]
+  )
+}
+
+// mysql2 parses JSON columns; other drivers / fakes hand back a string
+function revisionSnapshot(row) {
+  const snapshot = typeof row.snapshot === 'string' ? JSON.parse(row.snapshot) : row.snapshot
+  return movieDocument(snapshot || {})
+}
+
+function revisionView(row) {
+  return {
+    revision: Number(row.revision),
+    action: row.action,
+    reverted_from: row.reverted_from ?? null,
+    editor: row.editor_user_id ? { id: row.editor_user_id, name: row.editor_name ?? null } : null,
+    created_at: row.created_at,
+    movie: revisionSnapshot(row)
+  }
+}
+
+const REVISION_SELECT = `
+  SELECT r.revision, r.action, r.reverted_from, r.editor_user_id, u.name AS editor_name,
+         r.snapshot, r.created_at
+  FROM movie_revisions r
+  LEFT JOIN users u ON u.id = r.editor_user_id
+`
+
+function parseRevisionOrThrow(value, field = 'revision') {
+  const revision = Number(value)
+
+  if (!Number.isInteger(revision) || revision <= 0) {
+    throw new AppError(`Invalid ${field}: it must be a positive integer`, 400)
+  }
+
+  return revision
+}
+
+async function findRevisionOrThrow(movieId, revision) {
+  const [rows] = await db.query(
+    `${REVISION_SELECT}
+     WHERE r.movie_id = ? AND r.revision = ?
+     LIMIT 1`,
+    [movieId, revision]
+  )
+
+  if (rows.length === 0) {
+    throw new AppError(`Revision ${revision} of movie ${movieId} not found`, 404)
+  }
+
+  return rows[0]
+}
+
+// History is for the people who may edit the movie: owner or ADMIN
+// (trashed movies included, so you can look before restoring)
+async function findMovieForHistoryOrThrow(req, movieId) {
+  const [rows] = await db.query('SELECT id, owner_id FROM movies WHERE id = ? LIMIT 1', [movieId])
+  const movie = rows[0]
+
+  if (!movie || (req.user.role !== 'ADMIN' && movie.owner_id !== req.user.id)) {
+    throw new AppError('Movie not found or you do not have permission to see its history.', 403)
+  }
+
+  return movie
+}
+
+// ------------------------------------------------------
+// Shared helper for list endpoints in cursor (keyset) mode.
+// Called with the already-built WHERE parts of the list query.
+// ------------------------------------------------------
+async function sendCursorPage(req, res, {
+  conditions,
+  params,
+  relevanceSelect,
+  relevanceParams,
+  sortOptions,
+  meta
+}) {
+  const { limit } = getPagination(req.query);
+  const { sort, order } = getSortSpec(req.query, sortOptions);
+
+  // relevance is computed per query, so it cannot be used as a keyset
+  if (sort === 'relevance') {
+    throw new AppError('sort=relevance is not supported with cursor pagination', 400);
+  }
+
+  const cursorPage = getCursorPagination(req.query, { sort, order, limit });
+
+  // Cursor condition goes last, so its params go last too
+  const allConditions = [...conditions, ...cursorPage.conditions];
+  const whereClause = allConditions.length
+    ? 'WHERE ' + allConditions.join(' AND ')
+    : '';
+
+  const [rows] = await db.query(
+    `SELECT *${relevanceSelect}${cursorPage.cursorSelect}
+     FROM movies ${whereClause} ${cursorPage.orderByClause} LIMIT ?`,
+    [...relevanceParams, ...params, ...cursorPage.params, cursorPage.fetchLimit]
+  );
+
+  const { rows: movies, meta: cursorMeta } = buildCursorPage(rows, {
+    sort,
+    order,
+    limit,
+    cursor: cursorPage.cursor,
+    backwards: cursorPage.backwards
+  });
+
+  await attachGenres(db, movies);
+
+  // Total is optional (?includeTotal=false skips the COUNT query)
+  let total = null;
+  if (shouldIncludeTotal(req.query)) {
+    const [countRows] = await db.query(
+      `SELECT COUNT(*) AS total FROM movies ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}`,
+      params
+    );
+    total = countRows[0].total;
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: movies.length,
+    meta: {
+      ...cursorMeta,
+      total,
+      ...meta,
+      sort,
+      order: order.toLowerCase()
+    },
+    data: {
+      movies,
+    },
+  });
+}
 
 // ------------------------------------------------------
 // GET /api/v1/movies
 // Returns ALL movies from the dataset.
+// Pagination: ?page=&limit= (default) or ?cursor= (keyset).
+// ?includeTotal=false skips the COUNT query.
 // ------------------------------------------------------
 
 
@@ -25,12 +335,19 @@ exports.getAllMovies = catchAsync(async (req, res, next) => {
   // 1) Pagination
   const { page, limit, offset } = getPagination(req.query);
 
-  // 2) Base conditions (none here)
-  const baseConditions = [];
+  // 2) Base condition: not in the trash
+  const baseConditions = ['deleted_at IS NULL'];
   const baseParams = [];
 
   // 3) Search + filters
-  const { conditions: searchConditions, params: searchParams, search } = getSearch(req.query);
+  const {
+    conditions: searchConditions,
+    params: searchParams,
+    search,
+    matchMode,
+    relevanceSelect,
+    relevanceParams
+  } = getSearch(req.query);
   const { conditions: filterConditions, params: filterParams } = getFilters(req.query);
 
   // 4) Merge all conditions and params
@@ -50,26 +367,49 @@ exports.getAllMovies = catchAsync(async (req, res, next) => {
     ? 'WHERE ' + allConditions.join(' AND ')
     : '';
 
+  const sortOptions = {
+    defaultSort: 'title',
+    defaultOrder: 'ASC',
+    hasRelevance: Boolean(search)
+  }
+
+  // Cursor (keyset) mode
+
+  if (isCursorMode(req.query)) {
+    return sendCursorPage(req, res, {
+      conditions: allConditions,
+      params: allParams,
+      relevanceSelect,
+      relevanceParams,
+      sortOptions,
+      meta: { search: search || null, matchMode }
+    })
+  }
+
   // ORDER BY
 
-  const orderByClause = getSort(req.query, {
-    defaultSort: 'title',
-    defaultOrder: 'ASC'
-  })
+  const orderByClause = getSort(req.query, sortOptions)
 
-  // 5) Get paginated movies
+  // 5) Get paginated movies (+ relevance column when searching)
   const [movies] = await db.query(
-    `SELECT * FROM movies ${whereClause} ${orderByClause} LIMIT ? OFFSET ?`,
-    [...allParams, limit, offset]
+    `SELECT *${relevanceSelect} FROM movies ${whereClause} ${orderByClause} LIMIT ? OFFSET ?`,
+    [...relevanceParams, ...allParams, limit, offset]
   );
 
-  // 6) Get total count with same conditions
-  const [countRows] = await db.query(
-    `SELECT COUNT(*) AS total FROM movies ${whereClause}`,
-    allParams
-  );
-  const total = countRows[0].total;
-  const totalPages = Math.ceil(total / limit);
+  // Embed genre names ({ id, name }) next to raw genre_ids
+  await attachGenres(db, movies);
+
+  // 6) Get total count with same conditions (optional)
+  let total = null;
+  let totalPages = null;
+  if (shouldIncludeTotal(req.query)) {
+    const [countRows] = await db.query(
+      `SELECT COUNT(*) AS total FROM movies ${whereClause}`,
+      allParams
+    );
+    total = countRows[0].total;
+    totalPages = Math.ceil(total / limit);
+  }
 
   // 7) Response
   res.status(200).json({
@@ -81,6 +421,7 @@ exports.getAllMovies = catchAsync(async (req, res, next) => {
       total,
       totalPages,
       search: search || null,
+      matchMode,
       sort: req.query.sort || 'title',
       order: req.query.order || 'asc'
     },
@@ -97,18 +438,26 @@ exports.getAllMovies = catchAsync(async (req, res, next) => {
 // ------------------------------------------------------
 // GET /api/v1/movies/popular
 // Returns only movies where movie.most_popular === true
+// Same pagination options as GET /api/v1/movies.
 // ------------------------------------------------------
 
 exports.getMostPopularMovies = catchAsync(async (req, res, next) => {
   // 1) Pagination
   const { page, limit, offset } = getPagination(req.query);
 
-  // 2) Base condition: must always be most_popular = 1
-  const baseConditions = ['most_popular = 1'];
+  // 2) Base conditions: must always be most_popular = 1, not in the trash
+  const baseConditions = ['most_popular = 1', 'deleted_at IS NULL'];
   const baseParams = []; // no params needed for this condition
 
   // 3) Search + filters
-  const { conditions: searchConditions, params: searchParams, search } = getSearch(req.query);
+  const {
+    conditions: searchConditions,
+    params: searchParams,
+    search,
+    matchMode,
+    relevanceSelect,
+    relevanceParams
+  } = getSearch(req.query);
   const { conditions: filterConditions, params: filterParams } = getFilters(req.query);
 
   // 4) Merge all conditions and params
@@ -128,26 +477,49 @@ exports.getMostPopularMovies = catchAsync(async (req, res, next) => {
     ? 'WHERE ' + allConditions.join(' AND ')
     : '';
 
-  // Order
-
-  const orderByClause = getSort(req.query, {
+  const sortOptions = {
     defaultSort: 'popularity',
-    defaultOrder: 'DESC'
-  })
+    defaultOrder: 'DESC',
+    hasRelevance: Boolean(search)
+  }
+
+  // Cursor (keyset) mode
+
+  if (isCursorMode(req.query)) {
+    return sendCursorPage(req, res, {
+      conditions: allConditions,
+      params: allParams,
+      relevanceSelect,
+      relevanceParams,
+      sortOptions,
+      meta: { search: search || null, matchMode }
+    })
+  }
+
+  // ORDER BY
+
+  const orderByClause = getSort(req.query, sortOptions)
 
-  // 5) Get paginated popular movies (sorted by popularity DESC)
+  // 5) Get paginated popular movies (sorted by popularity DESC by default)
   const [movies] = await db.query(
-    `SELECT * FROM movies ${whereClause} ${orderByClause} ORDER BY popularity DESC LIMIT ? OFFSET ?`,
-    [...allParams, limit, offset]
+    `SELECT *${relevanceSelect} FROM movies ${whereClause} ${orderByClause} LIMIT ? OFFSET ?`,
+    [...relevanceParams, ...allParams, limit, offset]
   );
 
-  // 6) Count total popular movies with same conditions
-  const [countRows] = await db.query(
-    `SELECT COUNT(*) AS total FROM movies ${whereClause}`,
-    allParams
-  );
-  const total = countRows[0].total;
-  const totalPages = Math.ceil(total / limit);
+  // Embed genre names ({ id, name }) next to raw genre_ids
+  await attachGenres(db, movies);
+
+  // 6) Count total popular movies with same conditions (optional)
+  let total = null;
+  let totalPages = null;
+  if (shouldIncludeTotal(req.query)) {
+    const [countRows] = await db.query(
+      `SELECT COUNT(*) AS total FROM movies ${whereClause}`,
+      allParams
+    );
+    total = countRows[0].total;
+    totalPages = Math.ceil(total / limit);
+  }
 
   // 7) Response
   res.status(200).json({
@@ -159,6 +531,7 @@ exports.getMostPopularMovies = catchAsync(async (req, res, next) => {
       total,
       totalPages,
       search: search || null,
+      matchMode,
       sort: req.query.sort || 'popularity',
       order: req.query.order || 'desc'
     },
@@ -172,7 +545,8 @@ exports.getMostPopularMovies = catchAsync(async (req, res, next) => {
 // ------------------------------------------------------
 // GET /api/v1/movies/:id
 // Returns a single movie based on its numeric ID.
-// We search both movies.js (basic info) and movieDetails.js.
+// Optional: ?include=details adds the movie_details row
+// (budget, revenue, runtime, genres, companies, ...).
 // ------------------------------------------------------
 exports.getMovieById = catchAsync(async (req, res, next) => {
     const id = Number(req.params.id);
@@ -185,15 +559,52 @@ exports.getMovieById = catchAsync(async (req, res, next) => {
 
     // Query db for movie
 
-    const[rows] = await db.query('SELECT * FROM movies WHERE id = ?', [id])
+    const[rows] = await db.query('SELECT * FROM movies WHERE id = ? AND deleted_at IS NULL', [id])
 
     if (rows.length === 0) {
-        // No movie found
+        // No movie found (or it is in the trash)
         return next(new AppError(`Movie with ID ${id} not found`, 404))
     }
 
     const movie = rows[0];
 
+    // Genre names
+
+    await attachGenres(db, [movie]);
+
+    // Optional relations
+
+    const includes = getIncludes(req.query, ['details']);
+
+    if (includes.has('details')) {
+        const [detailsRows] = await db.query(
+            `SELECT
+               budget,
+               revenue,
+               runtime,
+               tagline,
+               status,
+               imdb_id,
+               homepage,
+               belongs_to_collection,
+               genres,
+               production_companies,
+               production_countries,
+               spoken_languages
+             FROM movie_details
+             WHERE movie_id = ?
+             LIMIT 1`,
+            [id]
+        );
+
+        // null = we have no extra details for this movie
+        movie.details = detailsRows[0] || null;
+    }
+
+    // Conditional requests: If-None-Match / If-Modified-Since => 304,
+    // If-Match on PATCH / DELETE => 412 when stale
+    setVersionHeaders(res, movie);
+
     res.status(200).json({
         status: 'success',
         data: {
@@ -203,6 +614,43 @@ exports.getMovieById = catchAsync(async (req, res, next) => {
     });
 });
 
+// ------------------------------------------------------
+// GET /api/v1/movies/:id/people
+// Returns the people (cast) linked to a movie.
+// ------------------------------------------------------
+exports.getMoviePeople = catchAsync(async (req, res, next) => {
+    const id = Number(req.params.id);
+
+    if (Number.isNaN(id) || id <= 0) {
+        return next(new AppError('Invalid movie ID', 400))
+    }
+
+    // Clean 404 for unknown movies (instead of an empty list)
+
+    const [movieRows] = await db.query('SELECT id FROM movies WHERE id = ? AND deleted_at IS NULL LIMIT 1', [id])
+
+    if (movieRows.length === 0) {
+        return next(new AppError(`Movie with ID ${id} not found`, 404))
+    }
+
+    const [people] = await db.query(
+        `SELECT p.id, p.name, p.popularity, p.profile_path, p.adult
+         FROM movie_people mp
+         INNER JOIN people p ON p.id = mp.person_id
+         WHERE mp.movie_id = ?
+         ORDER BY p.popularity DESC`,
+        [id]
+    );
+
+    res.status(200).json({
+        status: 'success',
+        results: people.length,
+        data: {
+            people,
+        },
+    });
+});
+
 // ------------------------------------------------------
 // POST /api/v1/movies
 // Creates a new movie in the MySQL database
@@ -278,10 +726,27 @@ const sql = `
 
   const [result] = await db.query(sql, params);
 
+  // Keep movie_genres in sync with genre_ids
+
+  await syncMovieGenres(db, result.insertId, genre_ids)
+
   // Fetch the newly-created movie
 
   const [rows] = await db.query('SELECT * FROM movies WHERE id = ?', [result.insertId])
 
+  await attachGenres(db, rows)
+
+  await recordRevision(req, rows[0], { action: 'create' })
+
+  await recordAudit(req, {
+    action: 'movie.create',
+    targetType: 'movie',
+    targetId: result.insertId,
+    details: { title }
+  })
+
+  setVersionHeaders(res, rows[0])
+
   res.status(201).json({
     status: 'success',
     data: {
@@ -293,81 +758,210 @@ const sql = `
 
   // UPDATE
 
-  // UPDATE movie (ONE QUERY ONLY)
+  // UPDATE movie (ONE WRITE QUERY)
 // Rules enforced by SQL:
 // - ADMIN can update any movie
 // - USER can update only movies where owner_id = req.user.id
+// - If-Match: only while the movie still has that version (else 412)
 //
-// IMPORTANT consequence of "one query only":
-// - We do NOT return the updated movie object (no extra SELECT).
-exports.updateMovie = catchAsync(async (req, res, next) => {
-  const movieId = Number(req.params.id);
-
-  // 1) Validate movie id
-  if (Number.isNaN(movieId) || movieId <= 0) {
-    return next(new AppError('Invalid movie ID', 400));
-  }
-
-  // 2) Build update fields dynamically
-  // Never allow changing owner_id from request body (security).
-  const keys = Object.keys(req.body).filter((k) => k !== 'owner_id');
+// Used by PATCH (3 formats), PUT and revert; `changes` is { field: value }
+// with validated values (middlewares/validate.js).
+//
+// Notes:
+// - Only UPDATABLE_FIELDS become column names (never raw body keys).
+// - Every UPDATE bumps version (new ETag); updated_at follows by itself.
+// - The row is read before the UPDATE for the audit diff, and after it
+//   for the audit diff + the response.
+// - When genre_ids changes, movie_genres is re-synced after the UPDATE.
+// - The new state is stored as a revision (action: update | revert).
+async function saveMovieChanges(req, res, next, movieId, changes, {
+  expectedVersion,
+  beforeRow,
+  action = 'update',
+  revertedFrom
+} = {}) {
+  // 1) Build update fields from the whitelist
+  // owner_id is not in it: the body can never change ownership (security).
+  const keys = UPDATABLE_FIELDS.filter((k) => changes[k] !== undefined);
 
   // If no allowed fields were sent, nothing to update
   if (keys.length === 0) {
     return next(new AppError('No fields provided to update', 400));
   }
 
-  // 3) Prepare values in the same order as keys
+  // 2) Prepare values in the same order as keys
   const values = keys.map((k) => {
     // Convert genre_ids array into JSON string for DB
-    if (k === 'genre_ids') return JSON.stringify(req.body.genre_ids || []);
-    return req.body[k];
+    if (k === 'genre_ids') return JSON.stringify(changes.genre_ids || []);
+    if (BOOLEAN_FIELDS.includes(k)) return changes[k] ? 1 : 0;
+    return changes[k];
   });
 
-  // 4) Build WHERE based on role
+  // 3) Build WHERE based on role (+ If-Match)
   // Admin: WHERE id = ?
   // User : WHERE id = ? AND owner_id = ?
-  let sql = `
+  // If-Match: ... AND version IN (?)
+  const where = movieWriteConditions(req, movieId, { expectedVersion });
+
+  const sql = `
     UPDATE movies
-    SET ${keys.map((k) => `${k} = ?`).join(', ')}
-    WHERE id = ?
+    SET ${keys.map((k) => `${k} = ?`).join(', ')}, version = version + 1
+    WHERE ${where.conditions.join(' AND ')}
   `;
 
-  const params = [...values, movieId];
+  // 4) Snapshot for the audit diff, then ONE write query
+  let before = beforeRow;
 
-  // Only non-admin must match ownership
-  if (req.user.role !== 'ADMIN') {
-    sql += ` AND owner_id = ?`;
-    params.push(req.user.id);
+  if (!before) {
+    const [beforeRows] = await db.query('SELECT * FROM movies WHERE id = ? LIMIT 1', [movieId]);
+    before = beforeRows[0];
   }
 
-  // 5) ONE database query
-  const [result] = await db.query(sql, params);
+  const [result] = await db.query(sql, [...values, ...where.params]);
 
-  // 6) If no rows updated -> either:
+  // 5) If no rows updated -> either:
   // - movie does not exist
   // - OR user does not own it (when not admin)
+  // - OR If-Match no longer matches (someone else saved first)
   if (result.affectedRows === 0) {
-    return next(new AppError('Movie not found or you do not have permission to update it.', 403));
+    return next(await writeFailure(req, movieId, where, 'update'));
+  }
+
+  // 6) Keep movie_genres in sync with genre_ids
+  if (keys.includes('genre_ids')) {
+    await syncMovieGenres(db, movieId, changes.genre_ids);
   }
 
-  // 7) Return minimal success response (still professional API)
+  // 7) Revision + audit: which fields changed (old → new)
+  const [afterRows] = await db.query('SELECT * FROM movies WHERE id = ? LIMIT 1', [movieId]);
+  const movie = afterRows[0];
+
+  await recordRevision(req, movie, { action, revertedFrom });
+
+  const details = { changes: diffObjects(before, movie, keys) };
+  if (revertedFrom !== undefined) details.revertedFrom = revertedFrom;
+
+  await recordAudit(req, {
+    action: `movie.${action}`,
+    targetType: 'movie',
+    targetId: movieId,
+    details,
+  });
+
+  // 8) Return the updated movie + its new ETag
+  return sendMovie(res, movie);
+}
+
+async function sendMovie(res, movie) {
+  await attachGenres(db, [movie]);
+  setVersionHeaders(res, movie);
+
   return res.status(200).json({
     status: 'success',
     data: {
-      message: `Movie ${movieId} updated successfully.`,
-      affectedRows: result.affectedRows
+      movie
     }
   });
+}
+
+// ------------------------------------------------------
+// PATCH with application/json-patch+json (RFC 6902)
+// The ops run on the current movie (movieDocument) in JS, so:
+// - the owner/ADMIN rule is checked on the row we read
+// - the UPDATE only applies while the row still has that version
+// - the patched movie is validated like a PUT body
+// ------------------------------------------------------
+async function applyMovieJsonPatch(req, res, next, movieId) {
+  const [rows] = await db.query('SELECT * FROM movies WHERE id = ? LIMIT 1', [movieId]);
+  const row = rows[0];
+
+  if (!row || row.deleted_at || (req.user.role !== 'ADMIN' && row.owner_id !== req.user.id)) {
+    return next(new AppError('Movie not found or you do not have permission to update it.', 403));
+  }
+
+  const ifMatch = getIfMatchVersions(req, movieId);
+
+  if (Array.isArray(ifMatch) && !ifMatch.includes(Number(row.version))) {
+    return next(preconditionFailed('movie'));
+  }
+
+  const current = movieDocument(row);
+  const patched = applyJsonPatch(current, req.body);
+
+  const { value, errors } = validateBody(movieSchemas.movie, patched);
+  if (errors.length > 0) return next(new ValidationError(errors));
+
+  // "remove" of an optional field = back to its default
+  const result = { ...MOVIE_DEFAULTS, ...value };
+  const changes = {};
+
+  for (const field of UPDATABLE_FIELDS) {
+    if (!isDeepStrictEqual(current[field], result[field])) changes[field] = result[field];
+  }
+
+  // Only "test" ops (or no-op edits): nothing to write
+  if (Object.keys(changes).length === 0) {
+    return sendMovie(res, row);
+  }
+
+  return saveMovieChanges(req, res, next, movieId, changes, {
+    expectedVersion: Number(row.version),
+    beforeRow: row
+  });
+}
+
+// ------------------------------------------------------
+// PATCH /api/v1/movies/:id
+// Content-Type decides the format:
+// - application/json               → only the sent fields change
+// - application/merge-patch+json   → same, null resets a field (RFC 7396)
+// - application/json-patch+json    → list of ops (RFC 6902), e.g.
+//   [{ "op": "add", "path": "/genre_ids/-", "value": 18 }]
+// ------------------------------------------------------
+exports.updateMovie = catchAsync(async (req, res, next) => {
+  const movieId = Number(req.params.id);
+
+  if (Number.isNaN(movieId) || movieId <= 0) {
+    return next(new AppError('Invalid movie ID', 400));
+  }
+
+  if (req.is('application/json-patch+json')) {
+    return applyMovieJsonPatch(req, res, next, movieId);
+  }
+
+  const changes = req.is('application/merge-patch+json')
+    ? Object.fromEntries(Object.entries(req.body).map(([k, v]) => [k, v === null ? MOVIE_DEFAULTS[k] : v]))
+    : req.body;
+
+  return saveMovieChanges(req, res, next, movieId, changes);
+});
+
+// ------------------------------------------------------
+// PUT /api/v1/movies/:id
+// Full replacement: the body is the whole movie (validated like POST);
+// fields left out go back to their defaults. Same owner/ADMIN and
+// If-Match rules as PATCH.
+// ------------------------------------------------------
+exports.replaceMovie = catchAsync(async (req, res, next) => {
+  const movieId = Number(req.params.id);
+
+  if (Number.isNaN(movieId) || movieId <= 0) {
+    return next(new AppError('Invalid movie ID', 400));
+  }
+
+  return saveMovieChanges(req, res, next, movieId, { ...MOVIE_DEFAULTS, ...req.body });
 });
 
 
   // DELETE
 
-// DELETE movie (ONE QUERY ONLY)
+// DELETE movie = move it to the trash (ONE WRITE QUERY)
 // Rules enforced by SQL:
 // - ADMIN can delete any movie
 // - USER can delete only movies where owner_id = req.user.id
+// - If-Match: only while the movie still has that version (else 412)
+// The row stays (deleted_at is set), so favorites etc. survive until
+// the movie is restored or purged (utils/movieTrash.js).
 exports.deleteMovie = catchAsync(async (req, res, next) => {
   const movieId = Number(req.params.id);
 
@@ -375,25 +969,303 @@ exports.deleteMovie = catchAsync(async (req, res, next) => {
     return next(new AppError('Invalid movie ID', 400));
   }
 
-  let sql = `DELETE FROM movies WHERE id = ?`;
-  const params = [movieId];
+  // Snapshot so the audit entry still says WHICH movie was deleted
+  const [beforeRows] = await db.query('SELECT * FROM movies WHERE id = ? LIMIT 1', [movieId]);
 
-  if (req.user.role !== 'ADMIN') {
-    sql += ` AND owner_id = ?`;
-    params.push(req.user.id);
-  }
+  const where = movieWriteConditions(req, movieId);
 
-  const [result] = await db.query(sql, params);
+  const [result] = await db.query(
+    `UPDATE movies
+     SET deleted_at = NOW(), version = version + 1
+     WHERE ${where.conditions.join(' AND ')}`,
+    where.params
+  );
 
   if (result.affectedRows === 0) {
-    return next(new AppError('Movie not found or you do not have permission to delete it.', 403));
+    return next(await writeFailure(req, movieId, where, 'delete'));
   }
 
+  await recordAudit(req, {
+    action: 'movie.delete',
+    targetType: 'movie',
+    targetId: movieId,
+    details: { title: beforeRows[0] ? beforeRows[0].title : null },
+  });
+
   return res.status(200).json({
     status: 'success',
     data: {
-      message: `Movie ${movieId} deleted successfully.`,
+      message: `Movie ${movieId} moved to the trash. It can be restored for ${getTrashRetentionDays()} days.`,
       affectedRows: result.affectedRows
     }
   });
 });
+
+// ------------------------------------------------------
+// POST /api/v1/movies/:id/restore
+// Takes a movie out of the trash. Same owner/ADMIN and If-Match
+// rules as DELETE; returns the movie + its new ETag.
+// ------------------------------------------------------
+exports.restoreMovie = catchAsync(async (req, res, next) => {
+  const movieId = Number(req.params.id);
+
+  if (Number.isNaN(movieId) || movieId <= 0) {
+    return next(new AppError('Invalid movie ID', 400));
+  }
+
+  const where = movieWriteConditions(req, movieId, { trashed: true });
+
+  const [result] = await db.query(
+    `UPDATE movies
+     SET deleted_at = NULL, version = version + 1
+     WHERE ${where.conditions.join(' AND ')}`,
+    where.params
+  );
+
+  if (result.affectedRows === 0) {
+    return next(await writeFailure(req, movieId, where, 'restore'));
+  }
+
+  const [rows] = await db.query('SELECT * FROM movies WHERE id = ? LIMIT 1', [movieId]);
+
+  await recordAudit(req, {
+    action: 'movie.restore',
+    targetType: 'movie',
+    targetId: movieId,
+    details: { title: rows[0] ? rows[0].title : null },
+  });
+
+  return sendMovie(res, rows[0]);
+});
+
+// ------------------------------------------------------
+// GET /api/v1/movies/trash
+// Movies in the trash: your own, or every user's for ADMIN
+// (?ownerId= narrows it down). Newest first, ?page=&limit=.
+// purge_after: when the purge job may remove the movie for good.
+// ------------------------------------------------------
+exports.getTrash = catchAsync(async (req, res, next) => {
+  const conditions = ['deleted_at IS NOT NULL'];
+  const params = [];
+
+  if (req.user.role !== 'ADMIN') {
+    conditions.push('owner_id = ?');
+    params.push(req.user.id);
+  } else if (req.query.ownerId !== undefined) {
+    const ownerId = Number(req.query.ownerId);
+
+    if (!Number.isInteger(ownerId) || ownerId <= 0) {
+      return next(new AppError('ownerId must be a positive integer', 400));
+    }
+
+    conditions.push('owner_id = ?');
+    params.push(ownerId);
+  }
+
+  const whereSql = `WHERE ${conditions.join(' AND ')}`;
+
+  const { rows, meta } = await paginateQuery({
+    reqQuery: req.query,
+    db,
+    baseSql: `
+      SELECT *
+      FROM movies
+      ${whereSql}
+      ORDER BY deleted_at DESC, id DESC
+    `,
+    countSql: `
+      SELECT COUNT(*) AS total
+      FROM movies
+      ${whereSql}
+    `,
+    params,
+  });
+
+  const retentionDays = getTrashRetentionDays();
+
+  for (const movie of rows) {
+    movie.purge_after = getPurgeAfter(movie.deleted_at, retentionDays);
+  }
+
+  await attachGenres(db, rows);
+
+  return res.status(200).json({
+    status: 'success',
+    results: rows.length,
+    meta: {
+      ...meta,
+      retentionDays,
+    },
+    data: {
+      movies: rows,
+    },
+  });
+});
+
+// ------------------------------------------------------
+// GET /api/v1/movies/:id/revisions
+// Snapshots of the movie, newest first (?page=&limit=).
+// Owner or ADMIN only.
+// ------------------------------------------------------
+exports.getMovieRevisions = catchAsync(async (req, res, next) => {
+  const movieId = Number(req.params.id);
+
+  if (Number.isNaN(movieId) || movieId <= 0) {
+    return next(new AppError('Invalid movie ID', 400));
+  }
+
+  await findMovieForHistoryOrThrow(req, movieId);
+
+  const { rows, meta } = await paginateQuery({
+    reqQuery: req.query,
+    db,
+    baseSql: `
+      ${REVISION_SELECT}
+      WHERE r.movie_id = ?
+      ORDER BY r.revision DESC
+    `,
+    countSql: `
+      SELECT COUNT(*) AS total
+      FROM movie_revisions r
+      WHERE r.movie_id = ?
+    `,
+    params: [movieId],
+  });
+
+  return res.status(200).json({
+    status: 'success',
+    results: rows.length,
+    meta,
+    data: {
+      revisions: rows.map(revisionView),
+    },
+  });
+});
+
+// ------------------------------------------------------
+// GET /api/v1/movies/:id/revisions/:rev
+// ------------------------------------------------------
+exports.getMovieRevision = catchAsync(async (req, res, next) => {
+  const movieId = Number(req.params.id);
+
+  if (Number.isNaN(movieId) || movieId <= 0) {
+    return next(new AppError('Invalid movie ID', 400));
+  }
+
+  const revision = parseRevisionOrThrow(req.params.rev);
+
+  await findMovieForHistoryOrThrow(req, movieId);
+
+  return res.status(200).json({
+    status: 'success',
+    data: {
+      revision: revisionView(await findRevisionOrThrow(movieId, revision)),
+    },
+  });
+});
+
+// ------------------------------------------------------
+// GET /api/v1/movies/:id/revisions/diff?from=&to=
+// Field-level diff: { field: { from, to } } for changed fields.
+// to defaults to the latest revision, from to the one before `to`
+// (none for the first revision: from is null, changes is empty).
+// ------------------------------------------------------
+exports.diffMovieRevisions = catchAsync(async (req, res, next) => {
+  const movieId = Number(req.params.id);
+
+  if (Number.isNaN(movieId) || movieId <= 0) {
+    return next(new AppError('Invalid movie ID', 400));
+  }
+
+  await findMovieForHistoryOrThrow(req, movieId);
+
+  let to = req.query.to !== undefined ? parseRevisionOrThrow(req.query.to, 'to') : null;
+  let from = req.query.from !== undefined ? parseRevisionOrThrow(req.query.from, 'from') : null;
+
+  if (to === null) {
+    const [latest] = await db.query(
+      'SELECT MAX(revision) AS revision FROM movie_revisions WHERE movie_id = ?',
+      [movieId]
+    );
+    to = latest[0] ? latest[0].revision : null;
+
+    if (!to) return next(new AppError(`Movie ${movieId} has no revisions`, 404));
+  }
+
+  const toRow = await findRevisionOrThrow(movieId, to);
+
+  if (from === null) {
+    const [previous] = await db.query(
+      'SELECT MAX(revision) AS revision FROM movie_revisions WHERE movie_id = ? AND revision < ?',
+      [movieId, to]
+    );
+    from = previous[0] ? previous[0].revision : null;
+  }
+
+  // `to` is the first revision (create / baseline): nothing to compare it with
+  const fromRow = from ? await findRevisionOrThrow(movieId, from) : null;
+  const changes = fromRow
+    ? diffObjects(revisionSnapshot(fromRow), revisionSnapshot(toRow), UPDATABLE_FIELDS)
+    : {};
+
+  return res.status(200).json({
+    status: 'success',
+    results: Object.keys(changes).length,
+    data: {
+      from: fromRow ? revisionView(fromRow) : null,
+      to: revisionView(toRow),
+      changes,
+    },
+  });
+});
+
+// ------------------------------------------------------
+// POST /api/v1/movies/:id/revisions/:rev/revert
+// Sets the movie back to the fields of revision :rev. This is a new
+// change (a new revision, action "revert"), with the same owner/ADMIN
+// and If-Match rules as PATCH; trashed movies must be restored first.
+// ------------------------------------------------------
+exports.revertMovie = catchAsync(async (req, res, next) => {
+  const movieId = Number(req.params.id);
+
+  if (Number.isNaN(movieId) || movieId <= 0) {
+    return next(new AppError('Invalid movie ID', 400));
+  }
+
+  const revision = parseRevisionOrThrow(req.params.rev);
+
+  const [rows] = await db.query('SELECT * FROM movies WHERE id = ? LIMIT 1', [movieId]);
+  const row = rows[0];
+
+  if (!row || row.deleted_at || (req.user.role !== 'ADMIN' && row.owner_id !== req.user.id)) {
+    return next(new AppError('Movie not found or you do not have permission to update it.', 403));
+  }
+
+  const ifMatch = getIfMatchVersions(req, movieId);
+
+  if (Array.isArray(ifMatch) && !ifMatch.includes(Number(row.version))) {
+    return next(preconditionFailed('movie'));
+  }
+
+  const target = revisionSnapshot(await findRevisionOrThrow(movieId, revision));
+  const current = movieDocument(row);
+  const changes = {};
+
+  for (const field of UPDATABLE_FIELDS) {
+    if (!isDeepStrictEqual(current[field], target[field])) changes[field] = target[field];
+  }
+
+  // Already the same as that revision: nothing to write
+  if (Object.keys(changes).length === 0) {
+    return sendMovie(res, row);
+  }
+
+  // Only the fields that differ from the row we read are written, so
+  // the UPDATE must hit that version (else 409, like JSON Patch)
+  return saveMovieChanges(req, res, next, movieId, changes, {
+    expectedVersion: Number(row.version),
+    beforeRow: row,
+    action: 'revert',
+    revertedFrom: revision
+  });
+});
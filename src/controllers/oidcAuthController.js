@@ -0,0 +1,125 @@
+// src/controllers/oidcAuthController.js
+//
+// Login/register with an OpenID Connect ID token (Google and the
+// providers from config/oidcProviders.js).
+// The client signs in at the provider and sends the ID token here;
+// we verify it (Google: google-auth-library, others: their JWKS).
+// This keeps authController.js clean and avoids mixing providers.
+// Accounts are found through user_identities (see utils/identities.js);
+// linking a provider to an existing account happens in identityController.
+
+const db = require('../config/db');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { checkLoginAllowed } = require('../utils/loginLockout');
+const { recordAudit } = require('../utils/audit');
+const { getProvider } = require('../config/oidcProviders');
+const { findUserByIdentity, linkIdentity, touchIdentity } = require('../utils/identities');
+
+// We import shared helpers from authController WITHOUT circular imports by
+// passing them in from authController (see below). For now we export a factory.
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Factory that injects completeLogin from authController.js
+ * so we don't duplicate session/cookie/2FA logic here.
+ *
+ * providerName: fixed provider (POST /auth/google), or omitted to take
+ * it from the URL (POST /auth/oidc/:provider).
+ * Body: { credential } (Google Identity Services) or { id_token }.
+ */
+exports.buildOidcAuthHandler = function buildOidcAuthHandler({ completeLogin, providerName } = {}) {
+  if (typeof completeLogin !== 'function') {
+    throw new Error('buildOidcAuthHandler requires completeLogin function');
+  }
+
+  return catchAsync(async (req, res, next) => {
+    const provider = getProvider(providerName || req.params.provider);
+    if (!provider) return next(new AppError('Unknown login provider', 404));
+
+    // 1) Verify the ID token
+    const payload = await provider.verify(req.body?.credential || req.body?.id_token);
+    const subject = String(payload.sub);
+
+    // You want provider OR email login. Your register page requires email.
+    const email = payload.email ? normalizeEmail(payload.email) : null;
+    if (!email) return next(new AppError(`${provider.label} account did not provide an email`, 400));
+
+    const emailVerified =
+      payload.email_verified === true || payload.email_verified === 'true';
+
+    if (!emailVerified) {
+      return next(new AppError(`${provider.label} email is not verified`, 401));
+    }
+
+    const nameFromProvider = String(payload.name || `${provider.label} User`).trim().slice(0, 100);
+
+    // 2) Account with this identity linked
+    let user = await findUserByIdentity(provider.name, subject);
+
+    if (user) {
+      await touchIdentity(provider.name, subject);
+    } else {
+      // 3) Same email but not linked: NO silent merge. The owner links the
+      //    provider from /me after logging in (otherwise unlinking would not
+      //    stick, and anyone controlling a provider account with that address
+      //    could take over)
+      const [byEmailRows] = await db.query(
+        'SELECT id FROM users WHERE email = ? LIMIT 1',
+        [email]
+      );
+
+      if (byEmailRows.length > 0) {
+        return next(new AppError(
+          `An account with this email already exists. Log in with your password, then link ${provider.label} on your account page.`,
+          409
+        ));
+      }
+
+      // 4) Create new user for this identity
+      const [insertResult] = await db.query(
+        `INSERT INTO users (name, email, password, provider, provider_id, role, active, email_verified_at)
+         VALUES (?, ?, NULL, ?, ?, 'USER', 1, NOW())`,
+        [nameFromProvider, email, provider.name, subject]
+      );
+
+      const newUserId = insertResult.insertId;
+
+      await linkIdentity(newUserId, { provider: provider.name, subject, email });
+
+      const [createdRows] = await db.query(
+        `SELECT id, name, email, role, provider, provider_id, active, created_at,
+                email_verified_at, locked_until, two_factor_enabled_at
+         FROM users
+         WHERE id = ?
+         LIMIT 1`,
+        [newUserId]
+      );
+
+      user = createdRows[0] || null;
+
+      await recordAudit(req, {
+        actorId: newUserId,
+        action: 'auth.register',
+        targetType: 'user',
+        targetId: newUserId,
+        details: { provider: provider.name },
+      });
+    }
+
+    if (!user) return next(new AppError(`Failed to authenticate with ${provider.label}`, 500));
+    if (Number(user.active) !== 1) return next(new AppError('Account is disabled', 403));
+
+    // A password lockout also blocks provider sign-in for the same account
+    const allowed = checkLoginAllowed({ locked_until: user.locked_until });
+    if (!allowed.ok) {
+      res.set('Retry-After', String(allowed.retryAfter));
+      return next(allowed.error);
+    }
+
+    // 2FA accounts get a challenge here too (the provider is not a second factor)
+    return completeLogin(req, res, user, { method: provider.name });
+  });
+};
@@ -0,0 +1,154 @@
+// src/controllers/peopleController.js
+// ======================================================
+// Controller functions for people (cast) API requests.
+// Tables: people(id, name, popularity, profile_path, adult)
+//         movie_people(movie_id, person_id)
+// All async controllers are wrapped with catchAsync.
+// ======================================================
+
+const db = require('../config/db');
+const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { getPagination } = require('../utils/pagination');
+const { getSort } = require('../utils/sort');
+const { attachGenres } = require('../utils/genres');
+
+// ------------------------------------------------------
+// GET /api/v1/people
+// Returns people with pagination + optional ?search=
+// (name contains the search string).
+// ------------------------------------------------------
+exports.getAllPeople = catchAsync(async (req, res, next) => {
+  // 1) Pagination
+  const { page, limit, offset } = getPagination(req.query);
+
+  // 2) Search by name
+  const search = req.query.search ? String(req.query.search).trim() : '';
+
+  const conditions = [];
+  const params = [];
+
+  if (search) {
+    conditions.push('name LIKE ?');
+    params.push(`%${search}%`);
+  }
+
+  const whereClause = conditions.length
+    ? 'WHERE ' + conditions.join(' AND ')
+    : '';
+
+  // 3) ORDER BY (people only have name + popularity to sort by)
+  const orderByClause = getSort(req.query, {
+    allowedFields: ['name', 'popularity'],
+    defaultSort: 'popularity',
+    defaultOrder: 'DESC'
+  });
+
+  // 4) Get paginated people
+  const [people] = await db.query(
+    `SELECT id, name, popularity, profile_path, adult
+     FROM people
+     ${whereClause}
+     ${orderByClause}
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+
+  // 5) Total count with same conditions
+  const [countRows] = await db.query(
+    `SELECT COUNT(*) AS total FROM people ${whereClause}`,
+    params
+  );
+  const total = countRows[0].total;
+  const totalPages = Math.ceil(total / limit);
+
+  // 6) Response
+  res.status(200).json({
+    status: 'success',
+    results: people.length,
+    meta: {
+      page,
+      limit,
+      total,
+      totalPages,
+      search: search || null,
+      sort: req.query.sort || 'popularity',
+      order: req.query.order || 'desc'
+    },
+    data: {
+      people,
+    },
+  });
+});
+
+// ------------------------------------------------------
+// GET /api/v1/people/:id
+// Returns a single person based on its numeric ID.
+// ------------------------------------------------------
+exports.getPersonById = catchAsync(async (req, res, next) => {
+  const id = Number(req.params.id);
+
+  if (Number.isNaN(id) || id <= 0) {
+    return next(new AppError('Invalid person ID', 400));
+  }
+
+  const [rows] = await db.query(
+    `SELECT id, name, popularity, profile_path, adult
+     FROM people
+     WHERE id = ?
+     LIMIT 1`,
+    [id]
+  );
+
+  if (rows.length === 0) {
+    return next(new AppError(`Person with ID ${id} not found`, 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      person: rows[0],
+    },
+  });
+});
+
+// ------------------------------------------------------
+// GET /api/v1/people/:id/movies
+// Returns the movies a person is known for.
+// ------------------------------------------------------
+exports.getPersonMovies = catchAsync(async (req, res, next) => {
+  const id = Number(req.params.id);
+
+  if (Number.isNaN(id) || id <= 0) {
+    return next(new AppError('Invalid person ID', 400));
+  }
+
+  // Clean 404 for unknown people (instead of an empty list)
+  const [personRows] = await db.query(
+    'SELECT id FROM people WHERE id = ? LIMIT 1',
+    [id]
+  );
+
+  if (personRows.length === 0) {
+    return next(new AppError(`Person with ID ${id} not found`, 404));
+  }
+
+  const [movies] = await db.query(
+    `SELECT m.*
+     FROM movie_people mp
+     INNER JOIN movies m ON m.id = mp.movie_id
+     WHERE mp.person_id = ? AND m.deleted_at IS NULL
+     ORDER BY m.popularity DESC`,
+    [id]
+  );
+
+  await attachGenres(db, movies);
+
+  res.status(200).json({
+    status: 'success',
+    results: movies.length,
+    data: {
+      movies,
+    },
+  });
+});
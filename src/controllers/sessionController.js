@@ -0,0 +1,88 @@
+// src/controllers/sessionController.js
+//
+// The logged-in user's sessions ("where am I signed in?").
+// Table: user_sessions (see utils/sessions.js)
+//
+// This controller is API-only (JSON responses).
+
+const db = require('../config/db');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { describeDevice, clearAuthCookies } = require('../utils/sessions');
+
+function toSessionResponse(row, currentSessionId) {
+  return {
+    id: row.id,
+    device: describeDevice(row.user_agent),
+    user_agent: row.user_agent,
+    ip: row.ip,
+    created_at: row.created_at,
+    last_seen_at: row.last_seen_at,
+    expires_at: row.expires_at,
+    current: row.id === currentSessionId,
+  };
+}
+
+/**
+ * GET /api/v1/users/me/sessions
+ * Active sessions of the current user, most recently used first.
+ */
+exports.getMySessions = catchAsync(async (req, res, next) => {
+  const userId = req.user && req.user.id;
+  if (!userId) return next(new AppError('Not authenticated', 401));
+
+  const [rows] = await db.query(
+    `SELECT id, user_agent, ip, created_at, last_seen_at, expires_at
+     FROM user_sessions
+     WHERE user_id = ?
+       AND revoked_at IS NULL
+       AND expires_at > NOW()
+     ORDER BY COALESCE(last_seen_at, created_at) DESC`,
+    [userId]
+  );
+
+  return res.status(200).json({
+    status: 'success',
+    results: rows.length,
+    data: {
+      sessions: rows.map((row) => toSessionResponse(row, req.auth.sid)),
+    },
+  });
+});
+
+/**
+ * DELETE /api/v1/users/me/sessions/:id
+ * Signs one session out (its access + refresh tokens stop working).
+ */
+exports.revokeMySession = catchAsync(async (req, res, next) => {
+  const userId = req.user && req.user.id;
+  if (!userId) return next(new AppError('Not authenticated', 401));
+
+  const sessionId = Number(req.params.id);
+  if (!Number.isInteger(sessionId) || sessionId <= 0) {
+    return next(new AppError('Invalid session ID', 400));
+  }
+
+  const [result] = await db.query(
+    `UPDATE user_sessions
+     SET revoked_at = NOW(),
+         revoked_reason = 'user_revoked'
+     WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+     LIMIT 1`,
+    [sessionId, userId]
+  );
+
+  if (!result || result.affectedRows === 0) {
+    return next(new AppError('Session not found or already signed out', 404));
+  }
+
+  // Signing out the session we are using = normal logout
+  if (sessionId === req.auth.sid) {
+    clearAuthCookies(res);
+  }
+
+  return res.status(200).json({
+    status: 'success',
+    data: { message: `Session ${sessionId} signed out.` },
+  });
+});
@@ -0,0 +1,192 @@
+// src/controllers/twoFactorController.js
+//
+// TOTP two-factor authentication for the logged-in user.
+// Flow:
+// 1) POST /2fa/setup   → secret + otpauth URI + QR code (data URL)
+// 2) POST /2fa/verify  → first valid code turns 2FA on, returns recovery codes
+// 3) POST /2fa/disable → password (local accounts) + code turns it off
+//
+// The login side lives in authController.loginTwoFactor.
+// This controller is API-only (JSON responses).
+
+const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
+
+const db = require('../config/db');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+const { generateSecret, buildOtpauthUri } = require('../utils/totp');
+const {
+  getIssuer,
+  generateRecoveryCodes,
+  useTotpCode,
+  verifySecondFactor,
+  disableTwoFactor,
+} = require('../utils/twoFactor');
+const { recordAudit } = require('../utils/audit');
+
+async function loadTwoFactorUser(userId) {
+  const [rows] = await db.query(
+    `SELECT id, email, password, two_factor_secret, two_factor_enabled_at, two_factor_last_step
+     FROM users
+     WHERE id = ?
+     LIMIT 1`,
+    [userId]
+  );
+
+  const user = rows[0];
+  if (!user) throw new AppError('User not found', 404);
+
+  return user;
+}
+
+/**
+ * POST /api/v1/auth/2fa/setup
+ * Starts (or restarts) enrollment. 2FA stays OFF until /2fa/verify.
+ */
+exports.setupTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await loadTwoFactorUser(req.user.id);
+
+  if (user.two_factor_enabled_at) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+
+  const secret = generateSecret();
+
+  await db.query(
+    `UPDATE users
+     SET two_factor_secret = ?,
+         two_factor_last_step = NULL
+     WHERE id = ?
+     LIMIT 1`,
+    [secret, user.id]
+  );
+
+  const otpauthUri = buildOtpauthUri({ secret, accountName: user.email, issuer: getIssuer() });
+
+  // Generated here (never sent to a third-party QR service: it contains the secret)
+  const qrCodeDataUrl = await QRCode.toDataURL(otpauthUri);
+
+  return res.status(200).json({
+    status: 'success',
+    data: {
+      secret,
+      otpauthUri,
+      qrCodeDataUrl,
+      message: 'Scan the QR code, then confirm with a code from your app.',
+    },
+  });
+});
+
+/**
+ * POST /api/v1/auth/2fa/verify
+ * Body: { code }
+ * Confirms enrollment and returns the recovery codes ONCE.
+ */
+exports.verifyTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await loadTwoFactorUser(req.user.id);
+
+  if (user.two_factor_enabled_at) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+
+  if (!user.two_factor_secret) {
+    return next(new AppError('Start two-factor setup first', 400));
+  }
+
+  if (!(await useTotpCode(user, req.body.code))) {
+    return next(new AppError('Invalid authentication code', 400));
+  }
+
+  await db.query(
+    `UPDATE users
+     SET two_factor_enabled_at = NOW()
+     WHERE id = ?
+     LIMIT 1`,
+    [user.id]
+  );
+
+  const recoveryCodes = await generateRecoveryCodes(user.id);
+
+  await recordAudit(req, { action: 'auth.2fa_enabled', targetType: 'user', targetId: user.id });
+
+  return res.status(200).json({
+    status: 'success',
+    data: {
+      recoveryCodes,
+      message: 'Two-factor authentication is on. Store these recovery codes now. They will not be shown again.',
+    },
+  });
+});
+
+/**
+ * POST /api/v1/auth/2fa/recovery-codes
+ * Body: { code }
+ * Replaces all recovery codes (old ones stop working).
+ */
+exports.regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+  const user = await loadTwoFactorUser(req.user.id);
+
+  if (!user.two_factor_enabled_at) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  if (!(await useTotpCode(user, req.body.code))) {
+    return next(new AppError('Invalid authentication code', 400));
+  }
+
+  const recoveryCodes = await generateRecoveryCodes(user.id);
+
+  await recordAudit(req, { action: 'auth.2fa_recovery_codes_regenerated', targetType: 'user', targetId: user.id });
+
+  return res.status(200).json({
+    status: 'success',
+    data: {
+      recoveryCodes,
+      message: 'Store these recovery codes now. They will not be shown again.',
+    },
+  });
+});
+
+/**
+ * POST /api/v1/auth/2fa/disable
+ * Body: { password (local accounts), code | recoveryCode }
+ */
+exports.disableTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await loadTwoFactorUser(req.user.id);
+
+  if (!user.two_factor_enabled_at) {
+    return next(new AppError('Two-factor authentication is not enabled', 400));
+  }
+
+  if (user.password) {
+    const password = req.body.password;
+
+    if (!password || !(await bcrypt.compare(String(password), user.password))) {
+      return next(new AppError('Your password is wrong', 401));
+    }
+  }
+
+  const method = await verifySecondFactor(user, {
+    code: req.body.code,
+    recoveryCode: req.body.recoveryCode,
+  });
+
+  if (!method) {
+    return next(new AppError('Invalid authentication code', 400));
+  }
+
+  await disableTwoFactor(user.id);
+
+  await recordAudit(req, {
+    action: 'auth.2fa_disabled',
+    targetType: 'user',
+    targetId: user.id,
+    details: { method },
+  });
+
+  return res.status(200).json({
+    status: 'success',
+    data: { message: 'Two-factor authentication is off.' },
+  });
+});
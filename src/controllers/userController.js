@@ -3,24 +3,31 @@
 // User-focused endpoints (current user profile etc.)
 // This keeps authController focused on login/register/reset flows.
 
+const bcrypt = require('bcryptjs');
+
 const db = require('../config/db');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
+const { sendEmail } = require('../utils/nodemailer');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const { getBaseUrl } = require('../utils/baseUrl');
+const { clearAuthCookies } = require('../utils/sessions');
+const { verifySecondFactor } = require('../utils/twoFactor');
+const { confirmIdentity } = require('../utils/identities');
+const { recordAudit, diffObjects } = require('../utils/audit');
+const { createZip } = require('../utils/zip');
 
-/**
- * GET /api/v1/users/me
- * Protected route:
- * - auth.protect must set req.user.id
- * - returns the currently authenticated user's profile
- */
-exports.getMe = catchAsync(async (req, res, next) => {
-  const userId = req.user && req.user.id;
+// DELETE /me: what happens to movies the user created
+// - reassign → kept, owner_id = NULL (like seeded movies: only ADMIN can edit)
+// - delete   → removed (their favorites by other users go with them)
+const OWNED_MOVIES_OPTIONS = ['reassign', 'delete'];
 
-  if (!userId) {
-    return next(new AppError('Not authenticated', 401));
-  }
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
 
-  // Only safe fields (never return password)
+// Only safe fields (never return password)
+async function findProfile(userId) {
   const [rows] = await db.query(
     `SELECT
        id,
@@ -33,6 +40,7 @@ exports.getMe = catchAsync(async (req, res, next) => {
        provider,
        provider_id,
        active,
+       email_verified_at,
        created_at
      FROM users
      WHERE id = ?
@@ -40,7 +48,23 @@ exports.getMe = catchAsync(async (req, res, next) => {
     [userId]
   );
 
-  const user = rows[0];
+  return rows[0] || null;
+}
+
+/**
+ * GET /api/v1/users/me
+ * Protected route:
+ * - auth.protect must set req.user.id
+ * - returns the currently authenticated user's profile
+ */
+exports.getMe = catchAsync(async (req, res, next) => {
+  const userId = req.user && req.user.id;
+
+  if (!userId) {
+    return next(new AppError('Not authenticated', 401));
+  }
+
+  const user = await findProfile(userId);
 
   if (!user) {
     return next(new AppError('User not found', 404));
@@ -55,3 +79,396 @@ exports.getMe = catchAsync(async (req, res, next) => {
     data: { user },
   });
 });
+
+/**
+ * PATCH /api/v1/users/me
+ * Body: { name?, email?, currentPassword? | credential?, provider?, code? | recoveryCode? }
+ * - email change: needs currentPassword, or a provider sign-in
+ *   (credential) for password-less accounts, + a 2FA code when 2FA is on;
+ *   marks the email unverified and sends a new verification link
+ * - the old address is told about the change
+ */
+exports.updateMe = catchAsync(async (req, res, next) => {
+  const hasName = req.body.name !== undefined;
+  const hasEmail = req.body.email !== undefined;
+
+  if (!hasName && !hasEmail) {
+    return next(new AppError('Please provide name and/or email', 400));
+  }
+
+  const [rows] = await db.query(
+    `SELECT id, name, email, password, active,
+            two_factor_secret, two_factor_enabled_at, two_factor_last_step
+     FROM users
+     WHERE id = ?
+     LIMIT 1`,
+    [req.user.id]
+  );
+
+  const user = rows[0];
+  if (!user) return next(new AppError('User not found', 404));
+
+  const before = { name: user.name, email: user.email };
+  const sets = [];
+  const params = [];
+
+  if (hasName) {
+    const name = String(req.body.name || '').trim();
+
+    if (!name || name.length > 100) {
+      return next(new AppError('Name must be between 1 and 100 characters', 400));
+    }
+
+    sets.push('name = ?');
+    params.push(name);
+  }
+
+  const email = hasEmail ? normalizeEmail(req.body.email) : user.email;
+  const emailChanged = email !== user.email;
+
+  if (emailChanged) {
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.length > 255) {
+      return next(new AppError('Please provide a valid email address', 400));
+    }
+
+    // Changing the email moves password resets to the new address: re-auth
+    // first (same rules as DELETE /me): password, or a fresh provider sign-in
+    // for the SAME linked account, + the second factor when 2FA is on
+    if (req.body.credential) {
+      const identity = await confirmIdentity(user.id, req.body.provider || 'google', req.body.credential);
+
+      if (!identity) {
+        return next(new AppError('This sign-in method is not linked to your account. Confirm with your password.', 400));
+      }
+    } else if (user.password) {
+      const currentPassword = req.body.currentPassword;
+
+      if (!currentPassword || !(await bcrypt.compare(String(currentPassword), user.password))) {
+        return next(new AppError('Your current password is wrong', 401));
+      }
+    } else {
+      return next(new AppError('Please confirm the change with a fresh sign-in (credential) from a linked provider', 401));
+    }
+
+    if (user.two_factor_enabled_at) {
+      const method = await verifySecondFactor(user, {
+        code: req.body.code,
+        recoveryCode: req.body.recoveryCode,
+      });
+
+      if (!method) {
+        return next(new AppError('Invalid authentication code', 401));
+      }
+    }
+
+    const [existingRows] = await db.query(
+      'SELECT id FROM users WHERE email = ? LIMIT 1',
+      [email]
+    );
+
+    if (existingRows.length > 0) {
+      return next(new AppError('Email is already in use', 409));
+    }
+
+    sets.push('email = ?', 'email_verified_at = NULL');
+    params.push(email);
+  }
+
+  if (sets.length === 0) {
+    return res.status(200).json({
+      status: 'success',
+      data: { user: await findProfile(user.id) },
+    });
+  }
+
+  try {
+    await db.query(
+      `UPDATE users
+       SET ${sets.join(', ')}
+       WHERE id = ?
+       LIMIT 1`,
+      [...params, user.id]
+    );
+  } catch (err) {
+    // Same email taken between the check and the UPDATE
+    if (err && err.code === 'ER_DUP_ENTRY') {
+      return next(new AppError('Email is already in use', 409));
+    }
+    throw err;
+  }
+
+  const updated = await findProfile(user.id);
+
+  await recordAudit(req, {
+    action: 'user.profile_update',
+    targetType: 'user',
+    targetId: user.id,
+    details: { changes: diffObjects(before, updated, ['name', 'email']) },
+  });
+
+  let verificationEmailSent = false;
+
+  if (emailChanged) {
+    try {
+      await sendVerificationEmail(updated, { baseUrl: getBaseUrl(req) });
+      verificationEmailSent = true;
+    } catch (errEmail) {
+      // The user can use "Resend verification email"
+    }
+
+    try {
+      await sendEmail({
+        to: before.email,
+        subject: 'Your email address was changed',
+        html: `
+          <p>The email address of your account was changed.</p>
+          <p>If this wasn’t you, please contact support immediately.</p>
+        `,
+      });
+    } catch (errEmail) {
+      // Notification only
+    }
+  }
+
+  return res.status(200).json({
+    status: 'success',
+    data: {
+      user: updated,
+      ...(emailChanged ? { verificationEmailSent } : {}),
+    },
+  });
+});
+
+/**
+ * DELETE /api/v1/users/me
+ * Body: { password } or { credential, provider } (ID token of a linked
+ *       provider; provider defaults to 'google'),
+ *       + { code | recoveryCode } when 2FA is on,
+ *       + { movies: 'reassign' | 'delete' } (default 'reassign')
+ * Favorites, sessions, API keys and recovery codes go with the user (FK cascade).
+ */
+exports.deleteMe = catchAsync(async (req, res, next) => {
+  const moviesOption = String(req.body.movies || 'reassign').trim().toLowerCase();
+
+  if (!OWNED_MOVIES_OPTIONS.includes(moviesOption)) {
+    return next(new AppError(`movies must be one of: ${OWNED_MOVIES_OPTIONS.join(', ')}`, 400));
+  }
+
+  const [rows] = await db.query(
+    `SELECT id, role, password,
+            two_factor_secret, two_factor_enabled_at, two_factor_last_step
+     FROM users
+     WHERE id = ?
+     LIMIT 1`,
+    [req.user.id]
+  );
+
+  const user = rows[0];
+  if (!user) return next(new AppError('User not found', 404));
+
+  // 1) Re-authenticate: password, or a fresh provider sign-in for the SAME linked account
+  if (req.body.password) {
+    if (!user.password || !(await bcrypt.compare(String(req.body.password), user.password))) {
+      return next(new AppError('Your password is wrong', 401));
+    }
+  } else if (req.body.credential) {
+    const identity = await confirmIdentity(user.id, req.body.provider || 'google', req.body.credential);
+
+    if (!identity) {
+      return next(new AppError('This sign-in method is not linked to your account. Confirm with your password.', 400));
+    }
+  } else {
+    return next(new AppError('Please confirm with your password (or Google sign-in)', 400));
+  }
+
+  // 2) Second factor
+  if (user.two_factor_enabled_at) {
+    const method = await verifySecondFactor(user, {
+      code: req.body.code,
+      recoveryCode: req.body.recoveryCode,
+    });
+
+    if (!method) {
+      return next(new AppError('Invalid authentication code', 401));
+    }
+  }
+
+  // 3) Never leave the site without an active admin
+  if (user.role === 'ADMIN') {
+    const [adminRows] = await db.query(
+      `SELECT COUNT(*) AS total
+       FROM users
+       WHERE role = 'ADMIN' AND active = 1 AND id <> ?`,
+      [user.id]
+    );
+
+    if (Number(adminRows[0]?.total || 0) === 0) {
+      return next(new AppError('You are the only admin. Make another user ADMIN first.', 400));
+    }
+  }
+
+  // 4) Owned movies
+  const [moviesResult] = moviesOption === 'delete'
+    ? await db.query('DELETE FROM movies WHERE owner_id = ?', [user.id])
+    : await db.query('UPDATE movies SET owner_id = NULL WHERE owner_id = ?', [user.id]);
+
+  // 5) The account (everything else cascades)
+  await db.query('DELETE FROM users WHERE id = ? LIMIT 1', [user.id]);
+
+  // The account is gone, so the entry has no actor (FK) — target keeps the id
+  await recordAudit(req, {
+    actorId: null,
+    action: 'user.delete_self',
+    targetType: 'user',
+    targetId: user.id,
+    details: { movies: moviesOption, moviesAffected: moviesResult.affectedRows },
+  });
+
+  clearAuthCookies(res);
+
+  return res.status(200).json({
+    status: 'success',
+    data: {
+      message: 'Your account was deleted.',
+      movies: moviesOption,
+      moviesAffected: moviesResult.affectedRows,
+    },
+  });
+});
+
+// -----------------------------------------------------------------------------
+// Personal data export
+// -----------------------------------------------------------------------------
+
+/**
+ * Everything stored about one user, one entry per table.
+ * Secrets (password hash, tokens, 2FA secret, key / refresh token hashes)
+ * are never included.
+ */
+async function collectPersonalData(userId) {
+  const [userRows] = await db.query(
+    `SELECT
+       id, name, email, avatar_url, avatar_alt, avatar_title,
+       role, provider, provider_id, active, created_at,
+       email_verified_at, password_changed_at,
+       (password IS NOT NULL) AS has_password,
+       two_factor_enabled_at,
+       failed_login_count, last_failed_login_at, locked_until
+     FROM users
+     WHERE id = ?
+     LIMIT 1`,
+    [userId]
+  );
+
+  const [favorites] = await db.query(
+    `SELECT f.movie_id, m.title, f.created_at AS favorited_at
+     FROM favorite_movies f
+     INNER JOIN movies m ON m.id = f.movie_id
+     WHERE f.user_id = ?
+     ORDER BY f.created_at DESC`,
+    [userId]
+  );
+
+  const [movies] = await db.query(
+    'SELECT * FROM movies WHERE owner_id = ? ORDER BY id',
+    [userId]
+  );
+
+  const [sessions] = await db.query(
+    `SELECT id, created_at, last_used_at, last_seen_at, expires_at,
+            revoked_at, revoked_reason, user_agent, ip
+     FROM user_sessions
+     WHERE user_id = ?
+     ORDER BY id`,
+    [userId]
+  );
+
+  const [identities] = await db.query(
+    `SELECT provider, provider_subject, email, created_at, last_used_at
+     FROM user_identities
+     WHERE user_id = ?
+     ORDER BY id`,
+    [userId]
+  );
+
+  const [apiKeys] = await db.query(
+    `SELECT id, label, key_prefix, scopes, created_at, last_used_at, expires_at, revoked_at
+     FROM api_keys
+     WHERE user_id = ?
+     ORDER BY id`,
+    [userId]
+  );
+
+  // What the user did + what was done to their account (e.g. failed logins)
+  const [auditEntries] = await db.query(
+    `SELECT id, actor_user_id, action, target_type, target_id, ip, user_agent, details, created_at
+     FROM audit_log
+     WHERE actor_user_id = ? OR (target_type = 'user' AND target_id = ?)
+     ORDER BY id`,
+    [userId, userId]
+  );
+
+  return {
+    user: userRows[0] || null,
+    identities,
+    favorites,
+    movies,
+    sessions,
+    apiKeys,
+    auditLog: auditEntries,
+  };
+}
+
+/**
+ * GET /api/v1/users/me/export
+ * ?format=json (default) | zip
+ * Downloads everything we store about the current user.
+ */
+exports.exportMe = catchAsync(async (req, res, next) => {
+  const format = String(req.query.format || 'json').trim().toLowerCase();
+
+  if (!['json', 'zip'].includes(format)) {
+    return next(new AppError('format must be json or zip', 400));
+  }
+
+  const data = await collectPersonalData(req.user.id);
+
+  if (!data.user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  const exportedAt = new Date();
+  const baseName = `personal-data-${req.user.id}-${exportedAt.toISOString().slice(0, 10)}`;
+
+  await recordAudit(req, {
+    action: 'user.data_export',
+    targetType: 'user',
+    targetId: req.user.id,
+    details: { format },
+  });
+
+  // Never cache personal data (browsers / proxies)
+  res.set('Cache-Control', 'no-store');
+
+  if (format === 'zip') {
+    const files = [
+      { name: 'export.json', content: JSON.stringify({ exportedAt, version: 1 }, null, 2) },
+      ...Object.entries(data).map(([key, value]) => ({
+        name: `${key}.json`,
+        content: JSON.stringify(value, null, 2),
+      })),
+    ];
+
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="${baseName}.zip"`);
+    return res.status(200).send(createZip(files, { date: exportedAt }));
+  }
+
+  res.set('Content-Disposition', `attachment; filename="${baseName}.json"`);
+
+  return res.status(200).json({
+    status: 'success',
+    exportedAt,
+    data,
+  });
+});
@@ -7,9 +7,12 @@
 // 2) HttpOnly cookie:       jwt=<token>
 //
 // After verification it will:
+// - reject tokens whose session was revoked or expired (utils/sessions.js)
 // - load the user from DB
 // - check user is active
 // - invalidate token if password was changed after token was issued
+// - block unverified emails (per EMAIL_VERIFICATION_POLICY, see
+//   utils/emailVerification.js) unless protectAllowUnverified is used
 // - attach the user to req.user
 // - attach decoded token to req.auth
 // - call next()
@@ -18,8 +21,10 @@ const jwt = require('jsonwebtoken');
 const db = require('../config/db');
 const AppError = require('../utils/appError');
 const catchAsync = require('../utils/catchAsync');
+const { isRestrictedByVerification } = require('../utils/emailVerification');
+const { resumeSession } = require('../utils/sessions');
 
-exports.protect = catchAsync(async (req, res, next) => {
+const buildProtect = ({ requireVerifiedEmail }) => catchAsync(async (req, res, next) => {
   let token;
 
   // 1) Authorization header (Bearer)
@@ -53,11 +58,17 @@ exports.protect = catchAsync(async (req, res, next) => {
     return next(new AppError('Invalid or expired token. Please log in again.', 401));
   }
 
-  // 5) Load user from DB (include password_changed_at for token invalidation)
+  // 5) Session must still be active (logout, password change, refresh-token reuse)
+  // Tokens without a session id predate user_sessions and are no longer accepted.
+  if (!decoded.sid || !(await resumeSession(req, decoded.sid))) {
+    return next(new AppError('Your session has ended. Please log in again.', 401));
+  }
+
+  // 6) Load user from DB (include password_changed_at for token invalidation)
   const [rows] = await db.query(
     `SELECT
        id, name, email, role, provider, active, created_at,
-       password_changed_at
+       password_changed_at, email_verified_at
      FROM users
      WHERE id = ?
      LIMIT 1`,
@@ -70,12 +81,12 @@ exports.protect = catchAsync(async (req, res, next) => {
     return next(new AppError('The user belonging to this token no longer exists.', 401));
   }
 
-  // 6) Active check (handle string/number)
+  // 7) Active check (handle string/number)
   if (Number(user.active) !== 1) {
     return next(new AppError('This account is disabled.', 403));
   }
 
-  // 7) Invalidate token if password changed after token was issued
+  // 8) Invalidate token if password changed after token was issued
   if (user.password_changed_at && decoded.iat) {
     const tokenIssuedAtMs = decoded.iat * 1000;
     const passwordChangedAtMs = new Date(user.password_changed_at).getTime();
@@ -86,13 +97,24 @@ exports.protect = catchAsync(async (req, res, next) => {
     }
   }
 
-  // 8) Attach user and token payload
+  // 9) Unverified email (policy decides if/when this blocks)
+  if (requireVerifiedEmail && isRestrictedByVerification(user)) {
+    return next(new AppError('Please verify your email address to continue.', 403));
+  }
+
+  // 10) Attach user and token payload
   req.user = user;
   req.auth = decoded;
 
   return next();
 });
 
+// Default: verified (or still within the grace period) accounts only
+exports.protect = buildProtect({ requireVerifiedEmail: true });
+
+// For routes an unverified user must still reach (me, logout, resend verification)
+exports.protectAllowUnverified = buildProtect({ requireVerifiedEmail: false });
+
 // -------------------------------------------------------------------
 // AUTHORIZATION HELPERS
 // -------------------------------------------------------------------
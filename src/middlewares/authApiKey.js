@@ -1,21 +1,75 @@
 // Middleware to protect routes using API KEY authentication
+//
+// Accepted keys:
+// 1) Per-client keys from the api_keys table (hashed, scoped, revocable)
+// 2) Legacy shared key from process.env.API_KEY (all scopes)
+//    → unset API_KEY once every client has its own key
+//
+// On success it attaches req.apiClient:
+//   { id, userId, label, scopes }
+// Use requireApiScope(...) on routes that need a specific scope.
 
+const db = require('../config/db');
 const AppError = require('../utils/appError');
+const catchAsync = require('../utils/catchAsync');
+const { API_KEY_SCOPES, hashApiKey, parseScopes } = require('../utils/apiKeys');
 
-module.exports = function authApiKey(req, res, next) {
+module.exports = catchAsync(async function authApiKey(req, res, next) {
   const clientKey =
     req.headers['x-api-key'] ||       // allow API key in header
     req.query.api_key;                // allow API key in URL
 
+  if (!clientKey) {
+    return next(
+      new AppError('Invalid or missing API key', 401)
+    );
+  }
+
+  // Legacy shared key (kept so existing clients keep working)
   const serverKey = process.env.API_KEY;
 
-  // If no key provided or it doesn't match → reject request
-  if (!clientKey || clientKey !== serverKey) {
+  if (serverKey && clientKey === serverKey) {
+    req.apiClient = {
+      id: null,
+      userId: null,
+      label: 'env:API_KEY',
+      scopes: [...API_KEY_SCOPES],
+    };
+    return next();
+  }
+
+  // Per-client key: look up by hash, skip revoked / expired keys
+  const [rows] = await db.query(
+    `SELECT id, user_id, label, scopes
+     FROM api_keys
+     WHERE key_hash = ?
+       AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > NOW())
+     LIMIT 1`,
+    [hashApiKey(clientKey)]
+  );
+
+  const apiKey = rows[0];
+
+  // If key is unknown, revoked or expired → reject request
+  if (!apiKey) {
     return next(
       new AppError('Invalid or missing API key', 401)
     );
   }
 
+  await db.query(
+    'UPDATE api_keys SET last_used_at = NOW() WHERE id = ? LIMIT 1',
+    [apiKey.id]
+  );
+
+  req.apiClient = {
+    id: apiKey.id,
+    userId: apiKey.user_id,
+    label: apiKey.label,
+    scopes: parseScopes(apiKey.scopes),
+  };
+
   // Key is valid → allow access
   next();
-};
+});
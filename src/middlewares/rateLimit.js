@@ -0,0 +1,197 @@
+// src/middlewares/rateLimit.js
+//
+// PURPOSE:
+// Reusable rate-limit middleware (sliding window).
+//
+// Algorithm (sliding window counter):
+// - time is cut into fixed windows of windowMs
+// - we count hits in the current window AND the previous one
+// - estimate = current + previous * (part of previous window still "inside")
+// This smooths out bursts at window edges without storing every hit.
+//
+// Stores (pluggable, same async API):
+// - createMemoryStore()   → per process (default)
+// - createMySqlStore(db)  → shared between processes (rate_limit_buckets table)
+//
+// Response headers (IETF RateLimit header fields):
+//   RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, RateLimit-Policy
+// and Retry-After + 429 AppError when the limit is exceeded.
+
+const AppError = require('../utils/appError');
+
+// ------------------------------------------------------
+// Stores
+// Each store implements:
+//   hit(key, windowStart, windowMs) → { current, previous }
+//   reset(key?)
+// ------------------------------------------------------
+
+function createMemoryStore() {
+  // key -> { windowStart, windowMs, current, previous }
+  const buckets = new Map();
+
+  // Every client IP / email gets a key: buckets nobody will read again
+  // (older than two of their windows) are dropped, in one pass over the
+  // map at most once per window. windowStart is used as "now": it is
+  // never ahead of the clock, so a bucket is never dropped too early.
+  // Limiters sharing the store have different windows, so the next sweep
+  // is tracked per windowMs: an hourly limiter must not hold back the
+  // sweeps of a one-minute one.
+  // windowMs -> windowStart of the next sweep
+  const nextSweepAt = new Map();
+
+  function sweep(now) {
+    for (const [key, bucket] of buckets) {
+      if (bucket.windowStart + 2 * bucket.windowMs <= now) buckets.delete(key);
+    }
+  }
+
+  return {
+    async hit(key, windowStart, windowMs) {
+      if (windowStart >= (nextSweepAt.get(windowMs) ?? -Infinity)) {
+        sweep(windowStart);
+        nextSweepAt.set(windowMs, windowStart + windowMs);
+      }
+
+      let bucket = buckets.get(key);
+
+      if (!bucket || bucket.windowStart <= windowStart - 2 * windowMs) {
+        // New key, or nothing in the last two windows
+        bucket = { windowStart, windowMs, current: 0, previous: 0 };
+      } else if (bucket.windowStart < windowStart) {
+        // Moved exactly one window forward
+        bucket = { windowStart, windowMs, current: 0, previous: bucket.current };
+      }
+
+      bucket.current += 1;
+      buckets.set(key, bucket);
+
+      return { current: bucket.current, previous: bucket.previous };
+    },
+
+    async reset(key) {
+      if (key === undefined) {
+        buckets.clear();
+        nextSweepAt.clear();
+      } else {
+        buckets.delete(key);
+      }
+    },
+
+    // Number of keys held (memory store only)
+    size() {
+      return buckets.size;
+    },
+  };
+}
+
+function createMySqlStore(db) {
+  if (!db) throw new Error('createMySqlStore requires a db pool');
+
+  return {
+    async hit(key, windowStart, windowMs) {
+      await db.query(
+        `INSERT INTO rate_limit_buckets (bucket_key, window_start, hits)
+         VALUES (?, ?, 1)
+         ON DUPLICATE KEY UPDATE hits = hits + 1`,
+        [key, windowStart]
+      );
+
+      // Drop windows we will never read again
+      await db.query(
+        `DELETE FROM rate_limit_buckets
+         WHERE bucket_key = ? AND window_start < ?`,
+        [key, windowStart - windowMs]
+      );
+
+      const [rows] = await db.query(
+        `SELECT window_start, hits
+         FROM rate_limit_buckets
+         WHERE bucket_key = ? AND window_start IN (?, ?)`,
+        [key, windowStart, windowStart - windowMs]
+      );
+
+      const hitsFor = (start) =>
+        Number((rows.find((row) => Number(row.window_start) === start) || {}).hits || 0);
+
+      return {
+        current: hitsFor(windowStart),
+        previous: hitsFor(windowStart - windowMs),
+      };
+    },
+
+    async reset(key) {
+      if (key === undefined) {
+        await db.query('DELETE FROM rate_limit_buckets');
+      } else {
+        await db.query('DELETE FROM rate_limit_buckets WHERE bucket_key = ?', [key]);
+      }
+    },
+  };
+}
+
+// ------------------------------------------------------
+// Middleware factory
+// ------------------------------------------------------
+
+/**
+ * rateLimit({ name, windowMs, max, keyGenerator, store, message })
+ * - name: prefix for keys (so limiters sharing a store don't collide)
+ * - keyGenerator(req): string identifying the client (return null to skip)
+ */
+function rateLimit({
+  name,
+  windowMs,
+  max,
+  keyGenerator,
+  store = createMemoryStore(),
+  message = 'Too many requests. Please try again later.',
+}) {
+  if (!name) throw new Error('rateLimit: name is required');
+  if (!(windowMs > 0) || !(max > 0)) throw new Error('rateLimit: windowMs and max must be positive');
+  if (typeof keyGenerator !== 'function') throw new Error('rateLimit: keyGenerator is required');
+
+  const windowSeconds = Math.ceil(windowMs / 1000);
+
+  const middleware = async function (req, res, next) {
+    try {
+      const clientKey = keyGenerator(req);
+
+      // Nothing to key on → don't limit this request here
+      if (!clientKey) return next();
+
+      const now = Date.now();
+      const windowStart = Math.floor(now / windowMs) * windowMs;
+      const elapsedRatio = (now - windowStart) / windowMs;
+
+      const { current, previous } = await store.hit(`${name}:${clientKey}`, windowStart, windowMs);
+
+      const estimate = current + previous * (1 - elapsedRatio);
+      const remaining = Math.max(0, Math.floor(max - estimate));
+      const resetSeconds = Math.max(1, Math.ceil((windowStart + windowMs - now) / 1000));
+
+      res.set('RateLimit-Policy', `${max};w=${windowSeconds}`);
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(remaining));
+      res.set('RateLimit-Reset', String(resetSeconds));
+
+      if (estimate > max) {
+        res.set('Retry-After', String(resetSeconds));
+        return next(new AppError(message, 429));
+      }
+
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+
+  middleware.store = store;
+  return middleware;
+}
+
+module.exports = {
+  rateLimit,
+  createMemoryStore,
+  createMySqlStore,
+};
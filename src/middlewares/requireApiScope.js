@@ -0,0 +1,21 @@
+// middlewares/requireApiScope.js
+//
+// PURPOSE:
+// Allow the request only if the API key (req.apiClient, set by
+// authApiKey) was granted the given scope, e.g. 'movies:write'.
+
+const AppError = require('../utils/appError');
+
+module.exports = function requireApiScope(scope) {
+  return function (req, res, next) {
+    if (!req.apiClient) {
+      return next(new AppError('API client missing. Run authApiKey first.', 500));
+    }
+
+    if (!req.apiClient.scopes.includes(scope)) {
+      return next(new AppError(`This API key is missing the "${scope}" scope.`, 403));
+    }
+
+    return next();
+  };
+};
@@ -0,0 +1,27 @@
+// middlewares/validate.js
+//
+// PURPOSE:
+// Check req.body against a declarative schema (src/schemas/*)
+// BEFORE the controller runs:
+// - unknown fields are rejected (only schema fields reach SQL)
+// - values are coerced to their types
+// - all problems come back at once as a 400 with per-field errors
+//
+// On success req.body is REPLACED by the clean, coerced object.
+// Usage: router.patch('/:id', validate(movieSchemas.update, { partial: true }), ...)
+
+const { validateBody } = require('../utils/validation');
+const ValidationError = require('../utils/validationError');
+
+module.exports = function validate(schema, { partial = false } = {}) {
+  return function (req, res, next) {
+    const { value, errors } = validateBody(schema, req.body, { partial });
+
+    if (errors.length > 0) {
+      return next(new ValidationError(errors));
+    }
+
+    req.body = value;
+    return next();
+  };
+};
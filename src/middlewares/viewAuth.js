@@ -1,36 +1,62 @@
 // src/middlewares/viewAuth.js
 // Purpose: for rendered pages (EJS)
 // - If jwt cookie exists and is valid -> load user and attach to res.locals.user
+// - If the access token expired but a refreshToken cookie exists, page
+//   navigations (GET, non-API) silently rotate the session first
 // - If not -> continue without crashing (guest view)
 
 const jwt = require('jsonwebtoken');
 const db = require('../config/db');
+const { resumeSession, rotateSession, clearAuthCookies } = require('../utils/sessions');
 
-exports.attachUserIfLoggedIn = async (req, res, next) => {
+function verifyAccessToken(token) {
   try {
-    const token = req.cookies && req.cookies.jwt;
+    return jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+  } catch (err) {
+    return null;
+  }
+}
 
-    if (!token) {
+// Only page loads refresh; API calls refresh explicitly via POST /api/v1/auth/refresh
+// (rotating on parallel XHRs would look like refresh-token reuse).
+function canRefresh(req) {
+  return req.method === 'GET' && !req.path.startsWith('/api/') && Boolean(req.cookies?.refreshToken);
+}
+
+exports.attachUserIfLoggedIn = async (req, res, next) => {
+  try {
+    if (!process.env.JWT_SECRET) {
       res.locals.user = null;
       return next();
     }
 
-    if (!process.env.JWT_SECRET) {
+    const token = req.cookies && req.cookies.jwt;
+    let decoded = token ? verifyAccessToken(token) : null;
+
+    if (!decoded && canRefresh(req)) {
+      try {
+        const { accessToken } = await rotateSession(req, res, req.cookies.refreshToken);
+        decoded = jwt.decode(accessToken);
+      } catch (err) {
+        clearAuthCookies(res);
+      }
+    }
+
+    if (!decoded || !decoded.id || !decoded.sid) {
       res.locals.user = null;
       return next();
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    if (!decoded || !decoded.id) {
+    // Revoked session (logout elsewhere, password change, ...) -> guest
+    if (!(await resumeSession(req, decoded.sid))) {
       res.locals.user = null;
       return next();
     }
 
     // Load user from DB (minimal fields for rendering)
     const [rows] = await db.query(
-      `SELECT id, name, email, role, provider, provider_id, active, created_at
+      `SELECT id, name, email, role, provider, provider_id, active, created_at,
+              email_verified_at
        FROM users
        WHERE id = ?
        LIMIT 1`,
@@ -48,7 +74,7 @@ exports.attachUserIfLoggedIn = async (req, res, next) => {
     res.locals.user = user;
     return next();
   } catch (err) {
-    // Token invalid/expired -> behave like logged out (no error page)
+    // Unexpected failure (e.g. DB) -> behave like logged out (no error page)
     res.locals.user = null;
     return next();
   }
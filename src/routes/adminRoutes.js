@@ -0,0 +1,31 @@
+// src/routes/adminRoutes.js
+
+const express = require('express');
+
+const adminController = require('../controllers/adminController');
+const auth = require('../middlewares/auth');
+const requireCsrf = require('../middlewares/requireCsrf');
+
+const router = express.Router();
+
+// Every admin route: logged in + ADMIN role
+router.use(auth.protect, auth.restrictTo('ADMIN'));
+
+// User management
+router.get('/users', adminController.getAllUsers);
+router.get('/users/:id', adminController.getUser);
+
+// Audit trail (read-only)
+router.get('/audit', adminController.getAuditLog);
+
+// State-changing: MUST have CSRF (because cookie auth)
+router.patch('/users/:id/role', requireCsrf, adminController.updateUserRole);
+router.patch('/users/:id/active', requireCsrf, adminController.updateUserActive);
+router.post('/users/:id/force-password-reset', requireCsrf, adminController.forcePasswordReset);
+router.patch('/users/:id/unlock', requireCsrf, adminController.unlockUser);
+router.delete('/users/:id', requireCsrf, adminController.deleteUser);
+
+// Movie trash: permanently remove movies deleted long enough ago
+router.post('/movies/purge', requireCsrf, adminController.purgeMovieTrash);
+
+module.exports = router;
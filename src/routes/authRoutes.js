@@ -1,8 +1,17 @@
 const express = require('express');
 
 const authController = require('../controllers/authController');
+const twoFactorController = require('../controllers/twoFactorController');
 const auth = require('../middlewares/auth');
 const requireCsrf = require('../middlewares/requireCsrf');
+const validate = require('../middlewares/validate');
+const authSchemas = require('../schemas/authSchemas');
+const {
+  loginLimiter,
+  forgotPasswordLimiter,
+  verificationEmailLimiter,
+  twoFactorCodeLimiter,
+} = require('../config/rateLimits');
 
 const router = express.Router();
 
@@ -10,23 +19,82 @@ const router = express.Router();
 // Public auth routes
 // (but they set the JWT cookie in browser)
 // => SHOULD have CSRF too
+// login is rate limited per IP + email
+// bodies are checked by validate(schema) (400 with per-field errors)
 // ====================
-router.post('/register', requireCsrf, authController.register);
-router.post('/login', requireCsrf, authController.login);
-router.post('/google', requireCsrf, authController.googleAuth);
+router.post('/register', requireCsrf, validate(authSchemas.register), authController.register);
+router.post('/login', requireCsrf, loginLimiter, validate(authSchemas.login), authController.login);
+router.post('/login/2fa', requireCsrf, loginLimiter, validate(authSchemas.loginTwoFactor), authController.loginTwoFactor);
+router.post('/google', requireCsrf, validate(authSchemas.providerLogin), authController.googleAuth);
+router.post('/oidc/:provider', requireCsrf, validate(authSchemas.providerLogin), authController.oidcAuth);
+
+// Which providers can be used (public client ids, no secrets)
+router.get('/providers', authController.getProviders);
+
+// Swap a refresh token (cookie or body) for a new access + refresh token pair
+router.post('/refresh', requireCsrf, validate(authSchemas.refresh), authController.refresh);
 
 // ====================
 // Password reset flow
 // (optional CSRF; not required for correctness)
+// forgot-password is rate limited per IP + email
 // ====================
-router.post('/forgot-password', requireCsrf, authController.forgotPassword);
-router.patch('/reset-password/:token', requireCsrf, authController.resetPassword);
+router.post(
+  '/forgot-password',
+  requireCsrf,
+  forgotPasswordLimiter,
+  validate(authSchemas.forgotPassword),
+  authController.forgotPassword
+);
+router.patch('/reset-password/:token', requireCsrf, validate(authSchemas.resetPassword), authController.resetPassword);
+
+// Link from the "account locked" email (GET: opened from the mail client)
+router.get('/unlock-account/:token', authController.unlockAccount);
+
+// ====================
+// Email verification
+// verify-email: link target (no auth; the token is the proof)
+// resend-verification: unverified users must reach it => protectAllowUnverified
+// ====================
+router.get('/verify-email/:token', authController.verifyEmail);
+router.post(
+  '/resend-verification',
+  auth.protectAllowUnverified,
+  requireCsrf,
+  verificationEmailLimiter,
+  validate(authSchemas.empty),
+  authController.resendVerification
+);
 
 // ====================
 // Cookie-authenticated + state-changing
 // => MUST have CSRF
 // ====================
-router.post('/logout', auth.protect, requireCsrf, authController.logout);
-router.patch('/change-password', auth.protect, requireCsrf, authController.changePassword);
+router.post('/logout', auth.protectAllowUnverified, requireCsrf, validate(authSchemas.empty), authController.logout);
+router.post('/logout-all', auth.protectAllowUnverified, requireCsrf, validate(authSchemas.empty), authController.logoutAll);
+router.patch('/change-password', auth.protect, requireCsrf, validate(authSchemas.changePassword), authController.changePassword);
+router.post('/set-password', auth.protect, requireCsrf, validate(authSchemas.setPassword), authController.setPassword);
+
+// ====================
+// Two-factor authentication (TOTP) for the logged-in user
+// ====================
+router.post('/2fa/setup', auth.protect, requireCsrf, validate(authSchemas.empty), twoFactorController.setupTwoFactor);
+router.post('/2fa/verify', auth.protect, requireCsrf, validate(authSchemas.twoFactorCode), twoFactorController.verifyTwoFactor);
+router.post(
+  '/2fa/recovery-codes',
+  auth.protect,
+  requireCsrf,
+  twoFactorCodeLimiter,
+  validate(authSchemas.twoFactorCode),
+  twoFactorController.regenerateRecoveryCodes
+);
+router.post(
+  '/2fa/disable',
+  auth.protect,
+  requireCsrf,
+  twoFactorCodeLimiter,
+  validate(authSchemas.disableTwoFactor),
+  twoFactorController.disableTwoFactor
+);
 
 module.exports = router;
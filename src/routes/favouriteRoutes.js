@@ -4,6 +4,8 @@ const express = require('express');
 
 const auth = require('../middlewares/auth');
 const requireCsrf = require('../middlewares/requireCsrf');
+const validate = require('../middlewares/validate');
+const favoriteSchemas = require('../schemas/favoriteSchemas');
 const favoriteController = require('../controllers/favoriteController');
 
 const router = express.Router();
@@ -15,7 +17,7 @@ router.use(auth.protect);
 router.get('/', favoriteController.getMyFavorites);
 
 // State-changing: MUST have CSRF (because cookie auth)
-router.post('/', requireCsrf, favoriteController.addFavorite);
+router.post('/', requireCsrf, validate(favoriteSchemas.addFavorite), favoriteController.addFavorite);
 router.delete('/:movieId', requireCsrf, favoriteController.removeFavorite);
 
 module.exports = router;
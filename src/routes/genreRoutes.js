@@ -0,0 +1,22 @@
+// src/routes/genreRoutes.js
+// ======================================================
+// Genre routes. Read-only, protected by API key
+// like the movie routes.
+// ======================================================
+
+const express = require('express');
+const genreController = require('../controllers/genreController');
+const authApiKey = require('../middlewares/authApiKey')
+const requireApiScope = require('../middlewares/requireApiScope')
+const { apiKeyLimiter } = require('../config/rateLimits')
+
+const router = express.Router();
+
+// Apply API key (read scope) + per-key rate limit to ALL routes under /genres
+
+router.use(authApiKey, apiKeyLimiter, requireApiScope('movies:read'))
+
+// /api/v1/genres
+router.get('/', genreController.getAllGenres);
+
+module.exports = router;
@@ -7,28 +7,65 @@
 const express = require('express');
 const movieController = require('../controllers/movieController');
 const authApiKey = require('../middlewares/authApiKey')
+const requireApiScope = require('../middlewares/requireApiScope')
 const auth = require('../middlewares/auth')
+const validate = require('../middlewares/validate')
+const movieSchemas = require('../schemas/movieSchemas')
+const { apiKeyLimiter, userLimiter } = require('../config/rateLimits')
 
 const router = express.Router();
 
-// Apply API key to ALL routes under /movies
+// Apply API key + per-key rate limit to ALL routes under /movies
 
-router.use(authApiKey)
+router.use(authApiKey, apiKeyLimiter)
+
+// Scopes: reads need movies:read, writes need movies:write
+
+const canRead = requireApiScope('movies:read')
+const canWrite = requireApiScope('movies:write')
+
+// PATCH body check depends on the format (see movieController.updateMovie);
+// JSON Patch ops are checked while they are applied
+const validateMovie = validate(movieSchemas.movie)
+const validateMoviePatch = validate(movieSchemas.movie, { partial: true })
+const validateMovieMergePatch = validate(movieSchemas.mergePatch, { partial: true })
+
+function validatePatch(req, res, next) {
+  if (req.is('application/json-patch+json')) return next()
+  if (req.is('application/merge-patch+json')) return validateMovieMergePatch(req, res, next)
+  return validateMoviePatch(req, res, next)
+}
 
 // /api/v1/movies
 router
 .route('/')
-.get(movieController.getAllMovies)
-.post(auth.protect, movieController.createMovie)
+.get(canRead, movieController.getAllMovies)
+.post(canWrite, auth.protect, userLimiter, validateMovie, movieController.createMovie)
 
 // /api/v1/movies/popular
-router.get('/popular', movieController.getMostPopularMovies);
+router.get('/popular', canRead, movieController.getMostPopularMovies);
+
+// /api/v1/movies/trash (before /:id, or "trash" would be taken as an id)
+router.get('/trash', canRead, auth.protect, movieController.getTrash);
 
 // /api/v1/movies/:id
 router
 .route('/:id')
-.get(movieController.getMovieById)
-.patch(auth.protect, movieController.updateMovie)
-.delete(auth.protect, movieController.deleteMovie)
+.get(canRead, movieController.getMovieById)
+.put(canWrite, auth.protect, userLimiter, validateMovie, movieController.replaceMovie)
+.patch(canWrite, auth.protect, userLimiter, validatePatch, movieController.updateMovie)
+.delete(canWrite, auth.protect, userLimiter, movieController.deleteMovie)
+
+// /api/v1/movies/:id/restore
+router.post('/:id/restore', canWrite, auth.protect, userLimiter, movieController.restoreMovie);
+
+// /api/v1/movies/:id/revisions (owner or ADMIN; "diff" before ":rev")
+router.get('/:id/revisions', canRead, auth.protect, movieController.getMovieRevisions);
+router.get('/:id/revisions/diff', canRead, auth.protect, movieController.diffMovieRevisions);
+router.get('/:id/revisions/:rev', canRead, auth.protect, movieController.getMovieRevision);
+router.post('/:id/revisions/:rev/revert', canWrite, auth.protect, userLimiter, movieController.revertMovie);
+
+// /api/v1/movies/:id/people
+router.get('/:id/people', canRead, movieController.getMoviePeople);
 
 module.exports = router;
@@ -0,0 +1,28 @@
+// src/routes/peopleRoutes.js
+// ======================================================
+// People (cast) routes. Read-only, protected by API key
+// like the movie routes.
+// ======================================================
+
+const express = require('express');
+const peopleController = require('../controllers/peopleController');
+const authApiKey = require('../middlewares/authApiKey')
+const requireApiScope = require('../middlewares/requireApiScope')
+const { apiKeyLimiter } = require('../config/rateLimits')
+
+const router = express.Router();
+
+// Apply API key (read scope) + per-key rate limit to ALL routes under /people
+
+router.use(authApiKey, apiKeyLimiter, requireApiScope('movies:read'))
+
+// /api/v1/people
+router.get('/', peopleController.getAllPeople);
+
+// /api/v1/people/:id
+router.get('/:id', peopleController.getPersonById);
+
+// /api/v1/people/:id/movies
+router.get('/:id/movies', peopleController.getPersonMovies);
+
+module.exports = router;
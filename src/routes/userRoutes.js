@@ -3,11 +3,40 @@
 const express = require('express');
 
 const userController = require('../controllers/userController');
+const apiKeyController = require('../controllers/apiKeyController');
+const sessionController = require('../controllers/sessionController');
+const identityController = require('../controllers/identityController');
 const auth = require('../middlewares/auth');
+const requireCsrf = require('../middlewares/requireCsrf');
+const { dataExportLimiter, twoFactorCodeLimiter } = require('../config/rateLimits');
 
 const router = express.Router();
 
-// Current user profile
-router.get('/me', auth.protect, userController.getMe);
+// Current user profile (reachable while unverified, so the UI can show the banner)
+router.get('/me', auth.protectAllowUnverified, userController.getMe);
+
+// Edit profile / delete account (unverified users too: fix a mistyped email, leave)
+// State-changing: MUST have CSRF (because cookie auth)
+router.patch('/me', auth.protectAllowUnverified, requireCsrf, twoFactorCodeLimiter, userController.updateMe);
+router.delete('/me', auth.protectAllowUnverified, requireCsrf, twoFactorCodeLimiter, userController.deleteMe);
+
+// Personal data export (JSON, or ?format=zip)
+router.get('/me/export', auth.protectAllowUnverified, dataExportLimiter, userController.exportMe);
+
+// Current user's API keys
+// State-changing: MUST have CSRF (because cookie auth)
+router.get('/me/api-keys', auth.protect, apiKeyController.getMyApiKeys);
+router.post('/me/api-keys', auth.protect, requireCsrf, apiKeyController.createApiKey);
+router.post('/me/api-keys/:id/rotate', auth.protect, requireCsrf, apiKeyController.rotateApiKey);
+router.delete('/me/api-keys/:id', auth.protect, requireCsrf, apiKeyController.revokeApiKey);
+
+// Current user's sessions (devices)
+router.get('/me/sessions', auth.protectAllowUnverified, sessionController.getMySessions);
+router.delete('/me/sessions/:id', auth.protectAllowUnverified, requireCsrf, sessionController.revokeMySession);
+
+// Current user's sign-in methods (password + linked Google / OIDC providers)
+router.get('/me/identities', auth.protectAllowUnverified, identityController.getMyIdentities);
+router.post('/me/identities/:provider', auth.protect, requireCsrf, identityController.linkMyIdentity);
+router.delete('/me/identities/:provider', auth.protect, requireCsrf, identityController.unlinkMyIdentity);
 
 module.exports = router;
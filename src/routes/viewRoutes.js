@@ -48,6 +48,15 @@ router.get('/reset-password/:token', (req, res) => {
   });
 });
 
+// --------------------
+// VERIFY EMAIL (link from the verification email)
+// --------------------
+router.get('/verify-email/:token', (req, res) => {
+  res.render('auth/verify-email', {
+    token: req.params.token
+  });
+});
+
 // --------------------
 // CHANGE PASSWORD
 // --------------------
@@ -67,7 +76,8 @@ router.get('/me', (req, res, next) => {
   }
 
   res.status(200).render('users/me', {
-    title: 'My Account'
+    title: 'My Account',
+    GOOGLE_CLIENT_ID: process.env.GOOGLE_CLIENT_ID
   })
 })
 
@@ -0,0 +1,79 @@
+// src/schemas/authSchemas.js
+// Request body schemas for /auth routes (see middlewares/validate.js).
+// Only shape and types live here; password strength, matching
+// confirmations etc. stay in authController (validatePasswordOrThrow).
+
+// Passwords are never trimmed; the upper bound only caps bcrypt work
+const password = { type: 'string', required: true, trim: false, maxLength: 1024 };
+const email = { type: 'email', required: true, maxLength: 255 };
+
+// Google Identity Services "credential" / OIDC id_token (a JWT)
+const idToken = { type: 'string', nullable: true, maxLength: 8192 };
+
+// TOTP code ("123456", spaces allowed) or recovery code.
+// Forms send the unused one as "" => nullable
+const code = { type: 'string', nullable: true, maxLength: 16 };
+const recoveryCode = { type: 'string', nullable: true, maxLength: 64 };
+
+exports.register = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  email,
+  password,
+};
+
+exports.login = {
+  email,
+  password,
+};
+
+exports.loginTwoFactor = {
+  challengeToken: { type: 'string', required: true, maxLength: 2048 },
+  code,
+  recoveryCode,
+};
+
+// POST /auth/google and /auth/oidc/:provider
+exports.providerLogin = {
+  credential: idToken,
+  id_token: idToken,
+};
+
+exports.refresh = {
+  refreshToken: { type: 'string', nullable: true, maxLength: 512 },
+};
+
+exports.forgotPassword = {
+  email,
+};
+
+exports.resetPassword = {
+  newPassword: password,
+  newPasswordConfirm: password,
+};
+
+exports.changePassword = {
+  currentPassword: password,
+  newPassword: password,
+  newPasswordConfirm: password,
+};
+
+exports.setPassword = {
+  newPassword: password,
+  newPasswordConfirm: password,
+  credential: { ...idToken, required: true, nullable: false },
+  provider: { type: 'string', maxLength: 20 },
+};
+
+// POST /auth/2fa/verify and /auth/2fa/recovery-codes
+exports.twoFactorCode = {
+  code: { ...code, required: true, nullable: false },
+};
+
+exports.disableTwoFactor = {
+  password: { ...password, required: false, nullable: true },
+  code,
+  recoveryCode,
+};
+
+// Routes that take no body (logout, 2FA setup, resend-verification)
+exports.empty = {};
@@ -0,0 +1,7 @@
+// src/schemas/favoriteSchemas.js
+// Request body schemas for favorites (see middlewares/validate.js).
+
+// POST /favorites
+exports.addFavorite = {
+  movieId: { type: 'integer', required: true, min: 1 },
+};
@@ -0,0 +1,28 @@
+// src/schemas/movieSchemas.js
+// Request body schemas for movie write routes (see middlewares/validate.js).
+// Limits follow the movies table (migrations/001_initial_schema.up.sql).
+
+// POST /movies and PUT /movies/:id
+// (PATCH with application/json uses the same fields with { partial: true })
+exports.movie = {
+  title: { type: 'string', required: true, maxLength: 255 },
+  original_title: { type: 'string', nullable: true, maxLength: 255 },
+  overview: { type: 'string', nullable: true, maxLength: 20000 },
+  release_date: { type: 'date', nullable: true, min: '1870-01-01', max: '2100-12-31' },
+  vote_average: { type: 'number', min: 0, max: 10 }, // DECIMAL(3, 1)
+  vote_count: { type: 'integer', min: 0, max: 2147483647 },
+  popularity: { type: 'number', min: 0, max: 9999999.999 }, // DECIMAL(10, 3)
+  poster_path: { type: 'string', nullable: true, maxLength: 255 },
+  backdrop_path: { type: 'string', nullable: true, maxLength: 255 },
+  original_language: { type: 'language', nullable: true },
+  adult: { type: 'boolean' },
+  video: { type: 'boolean' },
+  most_popular: { type: 'boolean' },
+  genre_ids: { type: 'array', nullable: true, maxLength: 20, unique: true, items: { type: 'integer', min: 1 } },
+};
+
+// PATCH with application/merge-patch+json (RFC 7396): null removes a
+// field, i.e. resets it to its default; title cannot be removed
+exports.mergePatch = Object.fromEntries(
+  Object.entries(exports.movie).map(([field, rule]) => [field, rule.required ? rule : { ...rule, nullable: true }])
+);
@@ -0,0 +1,44 @@
+// src/utils/apiKeys.js
+// Helpers for per-client API keys (api_keys table).
+// - keys look like: mk_<64 hex chars>
+// - only the SHA-256 hash is stored; key_prefix is kept for display
+
+const crypto = require('crypto');
+
+// Every scope a key can be granted
+const API_KEY_SCOPES = ['movies:read', 'movies:write'];
+
+const KEY_PREFIX_LENGTH = 11; // "mk_" + 8 hex chars
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function generateApiKey() {
+  const key = `mk_${crypto.randomBytes(32).toString('hex')}`;
+
+  return {
+    key,
+    prefix: key.slice(0, KEY_PREFIX_LENGTH),
+    hash: hashApiKey(key),
+  };
+}
+
+// scopes column is JSON (mysql2 parses it), but tolerate strings too
+function parseScopes(value) {
+  if (Array.isArray(value)) return value;
+
+  try {
+    const parsed = JSON.parse(value || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  hashApiKey,
+  generateApiKey,
+  parseScopes,
+};
@@ -0,0 +1,68 @@
+// src/utils/audit.js
+// ======================================================
+// Audit trail (table audit_log, see migrations/014).
+//
+// recordAudit(req, { action, targetType, targetId, actorId, details })
+// - actor defaults to req.user (pass actorId for logins, where
+//   req.user is not set yet; null = anonymous)
+// - IP + user agent are taken from the request
+// - best effort: a failed INSERT is logged, never thrown, so
+//   auditing can not break the request it describes
+//
+// Action names: "<area>.<event>", e.g. auth.login, movie.update.
+// ======================================================
+
+const db = require('../config/db');
+
+function normalizeValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (value === undefined) return null;
+  return value;
+}
+
+/**
+ * Field-by-field difference between two rows.
+ * Returns { field: { from, to } } for changed fields only
+ * (fields: which keys to compare, default = keys of `after`).
+ */
+function diffObjects(before = {}, after = {}, fields = Object.keys(after || {})) {
+  const changes = {};
+
+  for (const field of fields) {
+    const from = normalizeValue(before?.[field]);
+    const to = normalizeValue(after?.[field]);
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+}
+
+async function recordAudit(req, { action, targetType = null, targetId = null, actorId, details = null }) {
+  const actor = actorId !== undefined ? actorId : req.user?.id ?? null;
+
+  try {
+    await db.query(
+      `INSERT INTO audit_log (actor_user_id, action, target_type, target_id, ip, user_agent, details)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        actor,
+        action,
+        targetType,
+        targetId,
+        req.ip || null,
+        String(req.get('user-agent') || '').slice(0, 255) || null,
+        details ? JSON.stringify(details) : null,
+      ]
+    );
+  } catch (err) {
+    console.error('AUDIT LOG FAILED:', action, err.message);
+  }
+}
+
+module.exports = {
+  diffObjects,
+  recordAudit,
+};
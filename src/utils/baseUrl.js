@@ -0,0 +1,9 @@
+// src/utils/baseUrl.js
+// Absolute base URL for links in emails (reset, verify, unlock, ...).
+// APP_BASE_URL wins (needed behind a proxy); otherwise derived from the request.
+
+function getBaseUrl(req) {
+  return process.env.APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+module.exports = { getBaseUrl };
@@ -0,0 +1,155 @@
+// src/utils/cursor.js
+// ======================================================
+// Cursor (keyset) pagination helpers for list endpoints.
+//
+// Opt-in with ?cursor= (first page) or ?cursor=<token>.
+// Instead of LIMIT/OFFSET we remember the LAST row seen
+// (active sort value + id) and continue "after" it:
+//   ORDER BY <sort> ASC, id ASC
+//   WHERE (<sort> > ? OR (<sort> = ? AND id > ?))
+//
+// Cursor tokens are opaque: base64url(JSON) + "." + HMAC
+// signature, so clients cannot forge or edit them.
+// A cursor is only valid for the sort/order it was made for.
+// ======================================================
+
+const crypto = require('crypto');
+const AppError = require('./appError');
+
+// Nullable sort columns need a stable value for comparisons
+const SORT_EXPRESSIONS = {
+  release_date: "COALESCE(release_date, '1000-01-01')",
+};
+
+function getCursorSecret() {
+  const secret = process.env.CURSOR_SECRET || process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error('CURSOR_SECRET (or JWT_SECRET) is missing in environment variables');
+  }
+
+  return secret;
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getCursorSecret()).update(data).digest('base64url');
+}
+
+function encodeCursor(payload) {
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${data}.${sign(data)}`;
+}
+
+function decodeCursor(token) {
+  const [data, signature] = String(token).split('.');
+
+  if (!data || !signature) {
+    throw new AppError('Invalid cursor', 400);
+  }
+
+  const expected = sign(data);
+
+  // Constant-time compare (lengths must match first)
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    throw new AppError('Invalid cursor', 400);
+  }
+
+  try {
+    return JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new AppError('Invalid cursor', 400);
+  }
+}
+
+// ?cursor is present (even empty) → cursor mode
+function isCursorMode(query) {
+  return query.cursor !== undefined;
+}
+
+/**
+ * Build keyset WHERE/ORDER BY parts for one page.
+ * sort + order must come from utils/sort.js (whitelisted).
+ */
+function getCursorPagination(query, { sort, order, limit }) {
+  const token = String(query.cursor || '').trim();
+  const cursor = token ? decodeCursor(token) : null;
+
+  if (cursor && (cursor.sort !== sort || cursor.order !== order)) {
+    throw new AppError('Cursor does not match the current sort/order', 400);
+  }
+
+  // "prev" cursors walk the list backwards (flip order, then reverse rows)
+  const backwards = Boolean(cursor && cursor.dir === 'prev');
+  const ascending = (order === 'ASC') !== backwards;
+
+  const expression = SORT_EXPRESSIONS[sort] || sort;
+  const operator = ascending ? '>' : '<';
+  const scanOrder = ascending ? 'ASC' : 'DESC';
+
+  const conditions = [];
+  const params = [];
+
+  if (cursor) {
+    conditions.push(`(${expression} ${operator} ? OR (${expression} = ? AND id ${operator} ?))`);
+    params.push(cursor.value, cursor.value, cursor.id);
+  }
+
+  return {
+    cursor,
+    backwards,
+    conditions,
+    params,
+    // Selected so the next cursor can be built from the row
+    cursorSelect: `, ${expression} AS cursor_value`,
+    orderByClause: `ORDER BY ${expression} ${scanOrder}, id ${scanOrder}`,
+    // One extra row tells us if there is another page
+    fetchLimit: limit + 1,
+  };
+}
+
+/**
+ * Turn the fetched rows (limit + 1) into one page + cursors.
+ * Removes the helper cursor_value column from the rows.
+ */
+function buildCursorPage(rows, { sort, order, limit, cursor, backwards }) {
+  const hasMore = rows.length > limit;
+
+  let pageRows = hasMore ? rows.slice(0, limit) : rows;
+  if (backwards) pageRows = pageRows.reverse();
+
+  const hasNext = backwards ? Boolean(cursor) : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(cursor);
+
+  const first = pageRows[0];
+  const last = pageRows[pageRows.length - 1];
+
+  const makeCursor = (row, dir) =>
+    encodeCursor({ sort, order, value: row.cursor_value, id: row.id, dir });
+
+  const nextCursor = hasNext && last ? makeCursor(last, 'next') : null;
+  const prevCursor = hasPrev && first ? makeCursor(first, 'prev') : null;
+
+  for (const row of pageRows) {
+    delete row.cursor_value;
+  }
+
+  return {
+    rows: pageRows,
+    meta: {
+      limit,
+      hasNext: Boolean(nextCursor),
+      hasPrev: Boolean(prevCursor),
+      nextCursor,
+      prevCursor,
+    },
+  };
+}
+
+module.exports = {
+  isCursorMode,
+  getCursorPagination,
+  buildCursorPage,
+};
@@ -0,0 +1,87 @@
+// src/utils/emailVerification.js
+// ======================================================
+// Email verification for password-registered accounts.
+//
+// - a random token is emailed; only its SHA-256 hash is stored
+//   (users.email_verification_token / email_verification_expires)
+// - users.email_verified_at is set once the link is opened
+//
+// Policy (EMAIL_VERIFICATION_POLICY), enforced by auth.protect:
+// - off    → unverified accounts are never restricted
+// - grace  → restricted after EMAIL_VERIFICATION_GRACE_DAYS (default 7)
+// - strict → restricted right after registration
+// ======================================================
+
+const crypto = require('crypto');
+
+const db = require('../config/db');
+const { sendEmail } = require('./nodemailer');
+
+const POLICIES = ['off', 'grace', 'strict'];
+
+function getPolicy() {
+  const policy = String(process.env.EMAIL_VERIFICATION_POLICY || 'grace').toLowerCase();
+  const graceDays = Number(process.env.EMAIL_VERIFICATION_GRACE_DAYS || 7);
+
+  return {
+    policy: POLICIES.includes(policy) ? policy : 'grace',
+    graceDays: Number.isFinite(graceDays) && graceDays >= 0 ? graceDays : 7,
+  };
+}
+
+/**
+ * Should this (loaded) user be blocked because the email is unverified?
+ * user must include email_verified_at + created_at.
+ */
+function isRestrictedByVerification(user) {
+  if (user.email_verified_at) return false;
+
+  const { policy, graceDays } = getPolicy();
+
+  if (policy === 'off') return false;
+  if (policy === 'strict') return true;
+
+  const createdAtMs = new Date(user.created_at).getTime();
+  return Date.now() > createdAtMs + graceDays * 24 * 60 * 60 * 1000;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a fresh token for the user and email the verification link.
+ * Throws if the email could not be sent (caller decides what to do).
+ */
+async function sendVerificationEmail(user, { baseUrl }) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expires = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+  await db.query(
+    `UPDATE users
+     SET email_verification_token = ?,
+         email_verification_expires = ?
+     WHERE id = ?
+     LIMIT 1`,
+    [hashToken(token), expires, user.id]
+  );
+
+  const verifyUrl = `${baseUrl}/verify-email/${token}`;
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Verify your email address',
+    html: `
+      <p>Welcome!</p>
+      <p>Please confirm your email address:</p>
+      <p><a href="${verifyUrl}">${verifyUrl}</a></p>
+      <p>This link will expire in 24 hours.</p>
+    `,
+  });
+}
+
+module.exports = {
+  hashToken,
+  isRestrictedByVerification,
+  sendVerificationEmail,
+};
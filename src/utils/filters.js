@@ -3,6 +3,11 @@
 // - minRating / maxRating  → vote_average
 // - year                   → YEAR(release_date)
 // - language               → original_language
+// - genre / genres         → movie_genres (genres=28,12)
+//   genreMatch=any (default) → movie has at least one of the genres
+//   genreMatch=all           → movie has every listed genre
+
+const { parseGenreIds } = require('./genres');
 
 function getFilters(query) {
   const conditions = [];
@@ -66,6 +71,27 @@ function getFilters(query) {
     }
   }
 
+  // genre / genres → id IN (SELECT movie_id FROM movie_genres ...)
+  const genreIds = parseGenreIds(query.genres || query.genre);
+  if (genreIds.length) {
+    const matchAll = String(query.genreMatch || '').toLowerCase() === 'all';
+
+    if (matchAll) {
+      conditions.push(
+        `id IN (
+          SELECT movie_id FROM movie_genres
+          WHERE genre_id IN (?)
+          GROUP BY movie_id
+          HAVING COUNT(DISTINCT genre_id) = ?
+        )`
+      );
+      params.push(genreIds, genreIds.length);
+    } else {
+      conditions.push('id IN (SELECT movie_id FROM movie_genres WHERE genre_id IN (?))');
+      params.push(genreIds);
+    }
+  }
+
   return { conditions, params };
 }
 
@@ -0,0 +1,82 @@
+// src/utils/genres.js
+// ======================================================
+// Helpers for the normalized genres tables:
+// - genres(id, name)
+// - movie_genres(movie_id, genre_id)
+//
+// movies.genre_ids (JSON) stays the source sent by clients;
+// movie_genres is kept in sync so we can JOIN / filter.
+// ======================================================
+
+const AppError = require('./appError');
+
+/**
+ * Parse "28,12" / [28, 12] / 28 into a list of unique positive ints.
+ * Invalid entries are dropped.
+ */
+function parseGenreIds(value) {
+  if (value === undefined || value === null || value === '') return [];
+
+  const list = Array.isArray(value) ? value : String(value).split(',');
+
+  const ids = list
+    .map((v) => parseInt(String(v).trim(), 10))
+    .filter((id) => Number.isInteger(id) && id > 0);
+
+  return [...new Set(ids)];
+}
+
+/**
+ * Add a `genres: [{ id, name }]` array to every movie row (mutates rows).
+ * Uses ONE query for all movies.
+ */
+async function attachGenres(db, movies) {
+  if (!db) throw new AppError('attachGenres: db is required', 500);
+  if (!movies || movies.length === 0) return movies;
+
+  const movieIds = movies.map((movie) => movie.id);
+
+  const [rows] = await db.query(
+    `SELECT mg.movie_id, g.id, g.name
+     FROM movie_genres mg
+     INNER JOIN genres g ON g.id = mg.genre_id
+     WHERE mg.movie_id IN (?)
+     ORDER BY g.name ASC`,
+    [movieIds]
+  );
+
+  const genresByMovie = new Map();
+
+  for (const row of rows) {
+    if (!genresByMovie.has(row.movie_id)) genresByMovie.set(row.movie_id, []);
+    genresByMovie.get(row.movie_id).push({ id: row.id, name: row.name });
+  }
+
+  for (const movie of movies) {
+    movie.genres = genresByMovie.get(movie.id) || [];
+  }
+
+  return movies;
+}
+
+/**
+ * Replace the movie_genres rows of one movie.
+ * Unknown genre ids (not in genres table) are ignored.
+ */
+async function syncMovieGenres(db, movieId, genreIds) {
+  if (!db) throw new AppError('syncMovieGenres: db is required', 500);
+
+  const ids = parseGenreIds(genreIds);
+
+  await db.query('DELETE FROM movie_genres WHERE movie_id = ?', [movieId]);
+
+  if (ids.length === 0) return;
+
+  await db.query(
+    `INSERT INTO movie_genres (movie_id, genre_id)
+     SELECT ?, id FROM genres WHERE id IN (?)`,
+    [movieId, ids]
+  );
+}
+
+module.exports = { parseGenreIds, attachGenres, syncMovieGenres };
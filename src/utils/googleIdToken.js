@@ -0,0 +1,41 @@
+// src/utils/googleIdToken.js
+// Verifies a Google Identity Services "credential" (ID token JWT).
+// Used by Google login and by re-auth checks (e.g. deleting the account).
+
+const { OAuth2Client } = require('google-auth-library');
+
+const AppError = require('./appError');
+
+const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
+
+/**
+ * Returns the verified token payload (sub, email, email_verified, name, ...).
+ * Throws AppError: 400 missing credential, 401 invalid token, 500 not configured.
+ */
+async function verifyGoogleCredential(credential) {
+  if (!credential || typeof credential !== 'string') {
+    throw new AppError('Google credential (id_token) is missing', 400);
+  }
+
+  if (!process.env.GOOGLE_CLIENT_ID) {
+    throw new AppError('GOOGLE_CLIENT_ID is missing in environment variables', 500);
+  }
+
+  let ticket;
+  try {
+    ticket = await googleClient.verifyIdToken({
+      idToken: credential,
+      audience: process.env.GOOGLE_CLIENT_ID,
+    });
+  } catch (err) {
+    throw new AppError('Invalid Google token', 401);
+  }
+
+  const payload = ticket.getPayload();
+  if (!payload) throw new AppError('Invalid Google token', 401);
+  if (!payload.sub) throw new AppError('Google user id (sub) is missing', 401);
+
+  return payload;
+}
+
+module.exports = { verifyGoogleCredential };
@@ -0,0 +1,173 @@
+// src/utils/identities.js
+// ======================================================
+// Linked login identities (table user_identities).
+//
+// - an account can sign in with a password, with linked
+//   identities (Google, ...), or both
+// - the account must always keep at least ONE of them
+// - users.provider / provider_id mirror the Google link (or the
+//   first other provider) so older code and views keep working
+//   (see migrations/015)
+// ======================================================
+
+const db = require('../config/db');
+const AppError = require('./appError');
+const { getProvider } = require('../config/oidcProviders');
+
+// Account columns needed by login flows (oidcAuthController)
+const LOGIN_USER_FIELDS = `
+  u.id, u.name, u.email, u.role, u.provider, u.provider_id, u.active, u.created_at,
+  u.email_verified_at, u.locked_until, u.two_factor_enabled_at
+`;
+
+async function findUserByIdentity(provider, subject) {
+  const [rows] = await db.query(
+    `SELECT ${LOGIN_USER_FIELDS}
+     FROM user_identities i
+     INNER JOIN users u ON u.id = i.user_id
+     WHERE i.provider = ? AND i.provider_subject = ?
+     LIMIT 1`,
+    [provider, subject]
+  );
+
+  return rows[0] || null;
+}
+
+async function findIdentity(userId, provider) {
+  const [rows] = await db.query(
+    `SELECT id, user_id, provider, provider_subject, email, created_at, last_used_at
+     FROM user_identities
+     WHERE user_id = ? AND provider = ?
+     LIMIT 1`,
+    [userId, provider]
+  );
+
+  return rows[0] || null;
+}
+
+async function listIdentities(userId) {
+  const [rows] = await db.query(
+    `SELECT provider, email, created_at, last_used_at
+     FROM user_identities
+     WHERE user_id = ?
+     ORDER BY provider`,
+    [userId]
+  );
+
+  return rows;
+}
+
+/**
+ * Attach a provider account to a user.
+ * Throws 409 if that provider account (or this provider) is already linked.
+ */
+async function linkIdentity(userId, { provider, subject, email = null }) {
+  try {
+    await db.query(
+      `INSERT INTO user_identities (user_id, provider, provider_subject, email, last_used_at)
+       VALUES (?, ?, ?, ?, NOW())`,
+      [userId, provider, subject, email]
+    );
+  } catch (err) {
+    if (err && err.code === 'ER_DUP_ENTRY') {
+      throw new AppError('This sign-in method is already linked to an account', 409);
+    }
+    throw err;
+  }
+
+  // Summary columns: Google always wins (older views check for it),
+  // other providers only fill an empty ("local") summary
+  await db.query(
+    `UPDATE users
+     SET provider = ?,
+         provider_id = ?
+     WHERE id = ?${provider === 'google' ? '' : " AND provider = 'local'"}
+     LIMIT 1`,
+    [provider, subject, userId]
+  );
+}
+
+async function unlinkIdentity(userId, provider) {
+  const [result] = await db.query(
+    'DELETE FROM user_identities WHERE user_id = ? AND provider = ? LIMIT 1',
+    [userId, provider]
+  );
+
+  if (result.affectedRows > 0) {
+    await db.query(
+      `UPDATE users
+       SET provider = 'local',
+           provider_id = NULL
+       WHERE id = ? AND provider = ?
+       LIMIT 1`,
+      [userId, provider]
+    );
+  }
+
+  return result.affectedRows > 0;
+}
+
+async function touchIdentity(provider, subject) {
+  await db.query(
+    `UPDATE user_identities
+     SET last_used_at = NOW()
+     WHERE provider = ? AND provider_subject = ?
+     LIMIT 1`,
+    [provider, subject]
+  );
+}
+
+/**
+ * Re-authentication with a linked provider: the ID token (credential) must
+ * belong to the SAME provider account that is linked to this user.
+ * Returns null when no such provider is linked (the caller words the error);
+ * throws AppError 404 unknown provider, 401 other account / invalid token.
+ */
+async function confirmIdentity(userId, providerName, credential) {
+  const provider = getProvider(providerName);
+  if (!provider) throw new AppError('Unknown login provider', 404);
+
+  const identity = await findIdentity(userId, provider.name);
+  if (!identity) return null;
+
+  const payload = await provider.verify(credential);
+
+  if (String(payload.sub) !== identity.provider_subject) {
+    throw new AppError(`Please sign in with the ${provider.label} account linked to this account`, 401);
+  }
+
+  return identity;
+}
+
+/**
+ * Password + linked identities of a user, e.g. { hasPassword: true, identities: 1 }.
+ */
+async function countLoginMethods(userId) {
+  const [rows] = await db.query(
+    `SELECT
+       (u.password IS NOT NULL) AS has_password,
+       (SELECT COUNT(*) FROM user_identities i WHERE i.user_id = u.id) AS identities
+     FROM users u
+     WHERE u.id = ?
+     LIMIT 1`,
+    [userId]
+  );
+
+  const row = rows[0] || {};
+
+  return {
+    hasPassword: Number(row.has_password) === 1,
+    identities: Number(row.identities || 0),
+  };
+}
+
+module.exports = {
+  findUserByIdentity,
+  findIdentity,
+  listIdentities,
+  linkIdentity,
+  unlinkIdentity,
+  touchIdentity,
+  confirmIdentity,
+  countLoginMethods,
+};
@@ -0,0 +1,21 @@
+// src/utils/include.js
+// Parse the optional "include" query param into a Set of relation names.
+// Only names listed in allowed are kept (unknown ones are ignored).
+
+// /movies/5?include=details
+
+function getIncludes(query, allowed = []) {
+  const raw = query.include ? String(query.include) : '';
+
+  const includes = new Set();
+
+  raw
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter((name) => allowed.includes(name))
+    .forEach((name) => includes.add(name));
+
+  return includes;
+}
+
+module.exports = { getIncludes };
@@ -0,0 +1,192 @@
+// src/utils/jsonPatch.js
+// ======================================================
+// JSON Patch (RFC 6902) on plain JSON documents, with
+// JSON Pointer paths (RFC 6901): "/title", "/genre_ids/0",
+// "/genre_ids/-" (append).
+//
+// Ops: add, remove, replace, move, copy, test.
+// The input document is not modified; a patched copy is returned.
+// Errors (AppError):
+// - 400 malformed patch (not an array, unknown op, bad path, ...)
+// - 422 path does not exist / index out of range
+// - 409 a "test" op failed
+// The whole patch applies or nothing does (the result is only
+// used when every op succeeded).
+// ======================================================
+
+const { isDeepStrictEqual } = require('util');
+
+const AppError = require('./appError');
+
+const OPS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+function parsePointer(pointer, index, name = 'path') {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw new AppError(`Invalid JSON Patch: operation ${index} needs a JSON Pointer "${name}" (e.g. "/title")`, 400);
+  }
+
+  if (pointer === '') return [];
+
+  return pointer
+    .slice(1)
+    .split('/')
+    .map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function isContainer(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function arrayIndex(array, token, { allowEnd }, index, pointer) {
+  if (allowEnd && token === '-') return array.length;
+
+  if (!/^(0|[1-9]\d*)$/.test(token)) {
+    throw new AppError(`Invalid JSON Patch: operation ${index}: "${token}" in ${pointer} is not an array index`, 400);
+  }
+
+  const position = Number(token);
+  const max = allowEnd ? array.length : array.length - 1;
+
+  if (position > max) {
+    throw new AppError(`JSON Patch operation ${index}: index ${position} in ${pointer} is out of range`, 422);
+  }
+
+  return position;
+}
+
+// Container that holds the last token of the path
+function getParent(document, tokens, index, pointer) {
+  let current = document;
+
+  for (const token of tokens.slice(0, -1)) {
+    const next = Array.isArray(current)
+      ? current[arrayIndex(current, token, { allowEnd: false }, index, pointer)]
+      : isContainer(current) && Object.prototype.hasOwnProperty.call(current, token) ? current[token] : undefined;
+
+    if (!isContainer(next)) {
+      throw new AppError(`JSON Patch operation ${index}: path ${pointer} does not exist`, 422);
+    }
+
+    current = next;
+  }
+
+  return current;
+}
+
+function getValue(document, tokens, index, pointer) {
+  if (tokens.length === 0) return document;
+
+  const parent = getParent(document, tokens, index, pointer);
+  const last = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    return parent[arrayIndex(parent, last, { allowEnd: false }, index, pointer)];
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(parent, last)) {
+    throw new AppError(`JSON Patch operation ${index}: path ${pointer} does not exist`, 422);
+  }
+
+  return parent[last];
+}
+
+function addValue(document, tokens, value, index, pointer) {
+  if (tokens.length === 0) {
+    throw new AppError(`JSON Patch operation ${index}: the whole document cannot be replaced`, 422);
+  }
+
+  const parent = getParent(document, tokens, index, pointer);
+  const last = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, last, { allowEnd: true }, index, pointer), 0, value);
+  } else {
+    parent[last] = value;
+  }
+}
+
+function removeValue(document, tokens, index, pointer) {
+  if (tokens.length === 0) {
+    throw new AppError(`JSON Patch operation ${index}: the whole document cannot be removed`, 422);
+  }
+
+  // Throws 422 when missing
+  getValue(document, tokens, index, pointer);
+
+  const parent = getParent(document, tokens, index, pointer);
+  const last = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, last, { allowEnd: false }, index, pointer), 1);
+  } else {
+    delete parent[last];
+  }
+}
+
+/**
+ * Apply RFC 6902 operations to a copy of `document` and return it.
+ */
+function applyJsonPatch(document, operations) {
+  if (!Array.isArray(operations)) {
+    throw new AppError('Invalid JSON Patch: the body must be an array of operations', 400);
+  }
+
+  const result = structuredClone(document);
+
+  operations.forEach((operation, index) => {
+    if (!isContainer(operation) || Array.isArray(operation) || !OPS.includes(operation.op)) {
+      throw new AppError(`Invalid JSON Patch: operation ${index} must have "op" (${OPS.join(', ')})`, 400);
+    }
+
+    const { op, path } = operation;
+    const tokens = parsePointer(path, index);
+
+    if (['add', 'replace', 'test'].includes(op) && !Object.prototype.hasOwnProperty.call(operation, 'value')) {
+      throw new AppError(`Invalid JSON Patch: operation ${index} (${op}) needs a "value"`, 400);
+    }
+
+    switch (op) {
+      case 'add':
+        addValue(result, tokens, structuredClone(operation.value), index, path);
+        break;
+
+      case 'remove':
+        removeValue(result, tokens, index, path);
+        break;
+
+      case 'replace':
+        removeValue(result, tokens, index, path);
+        addValue(result, tokens, structuredClone(operation.value), index, path);
+        break;
+
+      case 'move':
+      case 'copy': {
+        const fromTokens = parsePointer(operation.from, index, 'from');
+        const value = structuredClone(getValue(result, fromTokens, index, operation.from));
+
+        if (op === 'move') {
+          if (path.startsWith(`${operation.from}/`)) {
+            throw new AppError(`Invalid JSON Patch: operation ${index} cannot move a value into itself`, 400);
+          }
+          removeValue(result, fromTokens, index, operation.from);
+        }
+
+        addValue(result, tokens, value, index, path);
+        break;
+      }
+
+      case 'test':
+        if (!isDeepStrictEqual(getValue(result, tokens, index, path), operation.value)) {
+          throw new AppError(`JSON Patch test failed at ${path} (operation ${index})`, 409);
+        }
+        break;
+
+      default:
+        break;
+    }
+  });
+
+  return result;
+}
+
+module.exports = { applyJsonPatch };
@@ -1,5 +1,7 @@
 // src/utils/jwtCookie.js
-// Single source of truth for JWT cookie settings (set + clear must always match)
+// Single source of truth for auth cookie settings (set + clear must always match)
+// - jwt:          short-lived access token
+// - refreshToken: rotating refresh token (utils/sessions.js)
 
 function getJwtCookieBaseOptions() {
   const isProd = process.env.NODE_ENV === 'production';
@@ -30,8 +32,25 @@ function clearJwtCookie(res) {
   });
 }
 
+// Expires together with the session it belongs to
+function setRefreshCookie(res, token, expires) {
+  res.cookie('refreshToken', token, {
+    ...getJwtCookieBaseOptions(),
+    expires,
+  });
+}
+
+function clearRefreshCookie(res) {
+  res.cookie('refreshToken', '', {
+    ...getJwtCookieBaseOptions(),
+    expires: new Date(0),
+  });
+}
+
 module.exports = {
   setJwtCookie,
   clearJwtCookie,
+  setRefreshCookie,
+  clearRefreshCookie,
 };
 
@@ -0,0 +1,153 @@
+// src/utils/loginLockout.js
+// ======================================================
+// Login brute-force protection (per account).
+//
+// - every wrong password increments users.failed_login_count
+// - progressive delay: after N failures the next attempt must
+//   wait 2^(N-1) seconds (1s, 2s, 4s, ...)
+// - after LOGIN_MAX_FAILED_ATTEMPTS failures the account is
+//   locked for LOGIN_LOCKOUT_MINUTES and an unlock link is emailed
+// - a successful login clears the counters
+//
+// Used by authController.login AND the Google login handler.
+// ======================================================
+
+const crypto = require('crypto');
+
+const db = require('../config/db');
+const AppError = require('./appError');
+const { sendEmail } = require('./nodemailer');
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function getPolicy() {
+  return {
+    maxFailedAttempts: envNumber('LOGIN_MAX_FAILED_ATTEMPTS', 5),
+    lockoutMinutes: envNumber('LOGIN_LOCKOUT_MINUTES', 15),
+  };
+}
+
+function secondsUntil(date) {
+  return Math.ceil((new Date(date).getTime() - Date.now()) / 1000);
+}
+
+/**
+ * Check lockout + progressive delay BEFORE comparing the password.
+ * user must include failed_login_count, last_failed_login_at, locked_until.
+ * Returns { ok: true } or { ok: false, error, retryAfter }.
+ */
+function checkLoginAllowed(user) {
+  if (user.locked_until && secondsUntil(user.locked_until) > 0) {
+    const retryAfter = secondsUntil(user.locked_until);
+    return {
+      ok: false,
+      retryAfter,
+      error: new AppError(
+        'Account is temporarily locked after too many failed logins. Check your email or try again later.',
+        423
+      ),
+    };
+  }
+
+  const failures = Number(user.failed_login_count || 0);
+
+  if (failures > 0 && user.last_failed_login_at) {
+    const delaySeconds = 2 ** (failures - 1);
+    const nextAllowedAt = new Date(user.last_failed_login_at).getTime() + delaySeconds * 1000;
+    const retryAfter = Math.ceil((nextAllowedAt - Date.now()) / 1000);
+
+    if (retryAfter > 0) {
+      return {
+        ok: false,
+        retryAfter,
+        error: new AppError(`Too many failed logins. Try again in ${retryAfter} seconds.`, 429),
+      };
+    }
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Count a wrong password. Locks the account (and emails an
+ * unlock link) once the limit is reached.
+ * Returns { locked: boolean }.
+ */
+async function recordFailedLogin(user, { baseUrl }) {
+  const { maxFailedAttempts, lockoutMinutes } = getPolicy();
+  const failures = Number(user.failed_login_count || 0) + 1;
+
+  if (failures < maxFailedAttempts) {
+    await db.query(
+      `UPDATE users
+       SET failed_login_count = failed_login_count + 1,
+           last_failed_login_at = NOW()
+       WHERE id = ?
+       LIMIT 1`,
+      [user.id]
+    );
+    return { locked: false };
+  }
+
+  // Lock: counter starts again after the lockout
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+  const hashedToken = crypto.createHash('sha256').update(unlockToken).digest('hex');
+
+  const lockedUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000);
+  const tokenExpires = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+  await db.query(
+    `UPDATE users
+     SET failed_login_count = 0,
+         last_failed_login_at = NULL,
+         locked_until = ?,
+         unlock_token = ?,
+         unlock_token_expires = ?
+     WHERE id = ?
+     LIMIT 1`,
+    [lockedUntil, hashedToken, tokenExpires, user.id]
+  );
+
+  const unlockUrl = `${baseUrl}/api/v1/auth/unlock-account/${unlockToken}`;
+
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: 'Your account was locked',
+      html: `
+        <p>We locked your account after ${maxFailedAttempts} failed login attempts.</p>
+        <p>It unlocks automatically in ${lockoutMinutes} minutes.</p>
+        <p>If this was you, unlock it now:</p>
+        <p><a href="${unlockUrl}">${unlockUrl}</a></p>
+        <p>If this wasn't you, consider changing your password.</p>
+      `,
+    });
+  } catch (errEmail) {
+    // Lockout still applies; the account unlocks by itself
+  }
+
+  return { locked: true };
+}
+
+async function clearFailedLogins(userId) {
+  await db.query(
+    `UPDATE users
+     SET failed_login_count = 0,
+         last_failed_login_at = NULL,
+         locked_until = NULL,
+         unlock_token = NULL,
+         unlock_token_expires = NULL
+     WHERE id = ?
+     LIMIT 1`,
+    [userId]
+  );
+}
+
+module.exports = {
+  checkLoginAllowed,
+  recordFailedLogin,
+  clearFailedLogins,
+};
@@ -0,0 +1,70 @@
+// src/utils/movieTrash.js
+// ======================================================
+// Movie trash (movies.deleted_at, see migrations/017).
+//
+// - DELETE /movies/:id only sets deleted_at; the movie (and its
+//   favorites, details, people, genres) stays restorable
+// - purgeTrashedMovies() removes movies that have been in the trash
+//   longer than the retention window, for real (FK cascades apply)
+//
+// Retention: MOVIE_TRASH_RETENTION_DAYS (default 30).
+// Used by movieController (trash list), adminController (purge)
+// and scripts/purgeMovieTrash.js (cron).
+// ======================================================
+
+const db = require('../config/db');
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY = 24 * 60 * 60 * 1000;
+
+function getTrashRetentionDays() {
+  const days = Number(process.env.MOVIE_TRASH_RETENTION_DAYS);
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * When a trashed movie becomes eligible for the purge (null if not trashed).
+ */
+function getPurgeAfter(deletedAt, retentionDays = getTrashRetentionDays()) {
+  if (!deletedAt) return null;
+
+  const date = new Date(deletedAt);
+  if (Number.isNaN(date.getTime())) return null;
+
+  return new Date(date.getTime() + retentionDays * DAY);
+}
+
+/**
+ * Permanently delete movies trashed more than `olderThanDays` days ago.
+ * Returns { olderThanDays, purged, movieIds }.
+ */
+async function purgeTrashedMovies({ olderThanDays = getTrashRetentionDays() } = {}) {
+  const [rows] = await db.query(
+    `SELECT id
+     FROM movies
+     WHERE deleted_at IS NOT NULL AND deleted_at < NOW() - INTERVAL ? DAY
+     ORDER BY id`,
+    [olderThanDays]
+  );
+
+  const movieIds = rows.map((row) => row.id);
+
+  if (movieIds.length === 0) {
+    return { olderThanDays, purged: 0, movieIds };
+  }
+
+  // Same condition again: a movie restored in between is kept
+  const [result] = await db.query(
+    `DELETE FROM movies
+     WHERE id IN (?) AND deleted_at IS NOT NULL AND deleted_at < NOW() - INTERVAL ? DAY`,
+    [movieIds, olderThanDays]
+  );
+
+  return { olderThanDays, purged: result.affectedRows, movieIds };
+}
+
+module.exports = {
+  getTrashRetentionDays,
+  getPurgeAfter,
+  purgeTrashedMovies,
+};
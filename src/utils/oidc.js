@@ -0,0 +1,127 @@
+// src/utils/oidc.js
+// ======================================================
+// OpenID Connect ID token verification against a JWKS.
+//
+// - signing keys are fetched from the provider's jwks_uri
+//   and cached per URI (refetched when an unknown "kid"
+//   shows up, at most once per JWKS_MIN_REFETCH_MS)
+// - checks signature, alg, iss, aud, exp / nbf (jsonwebtoken)
+//   and that the token has a "sub"
+// Providers themselves are configured in config/oidcProviders.js.
+// ======================================================
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const AppError = require('./appError');
+
+const JWKS_CACHE_MS = 60 * 60 * 1000; // 1 hour
+const JWKS_MIN_REFETCH_MS = 60 * 1000; // unknown kid => refetch, but not more often than this
+const JWKS_TIMEOUT_MS = 5000;
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+// jwksUri -> { keys: [jwk], fetchedAt }
+const jwksCache = new Map();
+
+async function fetchJwks(jwksUri) {
+  let response;
+  try {
+    response = await fetch(jwksUri, {
+      headers: { Accept: 'application/json' },
+      signal: AbortSignal.timeout(JWKS_TIMEOUT_MS),
+    });
+  } catch (err) {
+    throw new AppError('Could not reach the identity provider', 502);
+  }
+
+  if (!response.ok) {
+    throw new AppError('Could not load the identity provider keys', 502);
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!body || !Array.isArray(body.keys)) {
+    throw new AppError('Could not load the identity provider keys', 502);
+  }
+
+  const entry = { keys: body.keys, fetchedAt: Date.now() };
+  jwksCache.set(jwksUri, entry);
+
+  return entry;
+}
+
+function findJwk(keys, kid) {
+  // Tokens without "kid" are only accepted when the JWKS has a single key
+  if (!kid) return keys.length === 1 ? keys[0] : null;
+  return keys.find((key) => key.kid === kid) || null;
+}
+
+async function getSigningKey(jwksUri, kid) {
+  let entry = jwksCache.get(jwksUri);
+
+  if (!entry || Date.now() - entry.fetchedAt > JWKS_CACHE_MS) {
+    entry = await fetchJwks(jwksUri);
+  }
+
+  let jwk = findJwk(entry.keys, kid);
+
+  // Key rotation: the provider may have published a new key
+  if (!jwk && Date.now() - entry.fetchedAt > JWKS_MIN_REFETCH_MS) {
+    entry = await fetchJwks(jwksUri);
+    jwk = findJwk(entry.keys, kid);
+  }
+
+  if (!jwk || (jwk.use && jwk.use !== 'sig')) return null;
+
+  try {
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Verify an ID token (JWT) issued by an OIDC provider.
+ * options: { issuer, audience, jwksUri, algorithms }
+ * Returns the payload (sub, email, email_verified, name, ...).
+ * Throws AppError: 400 missing token, 401 invalid token, 502 JWKS unreachable.
+ */
+async function verifyIdToken(idToken, { issuer, audience, jwksUri, algorithms = ['RS256'] }) {
+  if (!idToken || typeof idToken !== 'string') {
+    throw new AppError('ID token is missing', 400);
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header || !algorithms.includes(decoded.header.alg)) {
+    throw new AppError('Invalid ID token', 401);
+  }
+
+  const key = await getSigningKey(jwksUri, decoded.header.kid);
+  if (!key) throw new AppError('Invalid ID token', 401);
+
+  let payload;
+  try {
+    payload = jwt.verify(idToken, key, {
+      algorithms,
+      issuer,
+      audience,
+      clockTolerance: CLOCK_TOLERANCE_SECONDS,
+    });
+  } catch (err) {
+    throw new AppError('Invalid ID token', 401);
+  }
+
+  if (!payload || typeof payload !== 'object' || !payload.sub) {
+    throw new AppError('ID token has no user id (sub)', 401);
+  }
+
+  return payload;
+}
+
+function clearJwksCache() {
+  jwksCache.clear();
+}
+
+module.exports = {
+  verifyIdToken,
+  clearJwksCache,
+};
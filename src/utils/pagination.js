@@ -14,4 +14,10 @@ function getPagination(query) {
   return { page, limit, offset };
 }
 
-module.exports = { getPagination };
+// ?includeTotal=false skips the extra COUNT(*) query
+function shouldIncludeTotal(query) {
+  const value = String(query.includeTotal ?? '').trim().toLowerCase();
+  return value !== 'false' && value !== '0';
+}
+
+module.exports = { getPagination, shouldIncludeTotal };
@@ -0,0 +1,62 @@
+// src/utils/passwordReset.js
+// Password reset emails: a random token is emailed, only its
+// SHA-256 hash is stored (users.password_reset_token / _expires).
+// Used by authController.forgotPassword and the admin "force reset".
+
+const crypto = require('crypto');
+
+const db = require('../config/db');
+const { sendEmail } = require('./nodemailer');
+
+/**
+ * Store a fresh reset token and email the link.
+ * On email failure the token is removed again and the error rethrown.
+ */
+async function sendPasswordResetEmail(user, { baseUrl, expiresInMinutes = 10, intro }) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const hashedToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+
+  const expires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  await db.query(
+    `UPDATE users
+     SET password_reset_token = ?,
+         password_reset_expires = ?
+     WHERE id = ?
+     LIMIT 1`,
+    [hashedToken, expires, user.id]
+  );
+
+  const resetUrl = `${baseUrl}/reset-password/${resetToken}`;
+  const validity = expiresInMinutes >= 60
+    ? `${Math.round(expiresInMinutes / 60)} hours`
+    : `${expiresInMinutes} minutes`;
+
+  const html = `
+    <p>${intro || 'You requested a password reset.'}</p>
+    <p>Click the link below to set a new password:</p>
+    <p><a href="${resetUrl}">${resetUrl}</a></p>
+    <p>This link will expire in ${validity}.</p>
+  `;
+
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: 'Password reset',
+      html,
+    });
+  } catch (err) {
+    await db.query(
+      `UPDATE users
+       SET password_reset_token = NULL,
+           password_reset_expires = NULL
+       WHERE id = ?
+       LIMIT 1`,
+      [user.id]
+    );
+
+    throw err;
+  }
+}
+
+module.exports = { sendPasswordResetEmail };
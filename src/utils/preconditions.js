@@ -0,0 +1,65 @@
+// src/utils/preconditions.js
+// ======================================================
+// ETag / Last-Modified / If-Match helpers for versioned rows
+// (movies.version + movies.updated_at, see migrations/016).
+//
+// - ETag is "<id>-<version>" (version grows on every UPDATE)
+// - If-Match: "*" or a list of ETags; the write only applies
+//   when the row still has one of those versions (else 412)
+// Weak validators (W/"...") are compared like strong ones:
+// proxies that compress responses turn strong ETags into weak
+// ones, and clients then send those back.
+// ======================================================
+
+const AppError = require('./appError');
+
+function versionEtag(id, version) {
+  return `"${id}-${Number(version || 1)}"`;
+}
+
+/**
+ * Set ETag (+ Last-Modified when the row has updated_at).
+ * Express answers If-None-Match / If-Modified-Since with 304 by itself.
+ */
+function setVersionHeaders(res, row) {
+  res.set('ETag', versionEtag(row.id, row.version));
+
+  if (row.updated_at) {
+    const updatedAt = new Date(row.updated_at);
+    if (!Number.isNaN(updatedAt.getTime())) res.set('Last-Modified', updatedAt.toUTCString());
+  }
+}
+
+/**
+ * Versions allowed by the If-Match header for row `id`:
+ * - undefined: no If-Match header (unconditional write)
+ * - null: "If-Match: *" (any existing version)
+ * - [versions]: only these (may be empty => can never match)
+ */
+function getIfMatchVersions(req, id) {
+  const header = req.get('If-Match');
+  if (header === undefined) return undefined;
+
+  const tags = header.split(',').map((tag) => tag.trim()).filter(Boolean);
+  if (tags.includes('*')) return null;
+
+  const versions = [];
+
+  for (const tag of tags) {
+    const match = /^(?:W\/)?"(\d+)-(\d+)"$/.exec(tag);
+    if (match && Number(match[1]) === id) versions.push(Number(match[2]));
+  }
+
+  return versions;
+}
+
+function preconditionFailed(what = 'resource') {
+  return new AppError(`The ${what} was changed by someone else. Reload it and try again.`, 412);
+}
+
+module.exports = {
+  versionEtag,
+  setVersionHeaders,
+  getIfMatchVersions,
+  preconditionFailed,
+};
@@ -1,20 +1,68 @@
 // src/utils/search.js
 // Build search conditions for movies.
-// Currently: search by title + original_title (starts with search string).
+//
+// ?search=parker&matchMode=prefix|contains|fulltext
+// - prefix   (default) → title starts with search string
+// - contains           → title / original_title / overview contain it
+// - fulltext           → MySQL FULLTEXT (ft_movies_search index)
+//                        on title + original_title + overview
+//
+// When searching, a "relevance" column is also selected so
+// results can be ranked with ?sort=relevance (see utils/sort.js).
+
+const MATCH_MODES = ['prefix', 'contains', 'fulltext'];
+
+const FULLTEXT_COLUMNS = 'title, original_title, overview';
+
+function getMatchMode(query) {
+  const mode = query.matchMode ? String(query.matchMode).trim().toLowerCase() : '';
+  return MATCH_MODES.includes(mode) ? mode : 'prefix';
+}
 
 function getSearch(query) {
   const search = query.search ? query.search.trim() : '';
+  const matchMode = getMatchMode(query);
 
   const conditions = [];
   const params = [];
 
-  if (search) {
-    // You can simplify to "title LIKE ?" if you want only title.
-    conditions.push('(title LIKE ?)');
-    params.push(`${search}%`); // "starts with"
+  // Extra "SELECT ..., <relevance> AS relevance" part (+ its params)
+  let relevanceSelect = '';
+  const relevanceParams = [];
+
+  if (!search) {
+    return { conditions, params, search, matchMode, relevanceSelect, relevanceParams };
+  }
+
+  if (matchMode === 'fulltext') {
+    conditions.push(`MATCH(${FULLTEXT_COLUMNS}) AGAINST (? IN NATURAL LANGUAGE MODE)`);
+    params.push(search);
+
+    // MySQL scores each row; higher = better match
+    relevanceSelect = `, MATCH(${FULLTEXT_COLUMNS}) AGAINST (? IN NATURAL LANGUAGE MODE) AS relevance`;
+    relevanceParams.push(search);
+  } else {
+    if (matchMode === 'contains') {
+      conditions.push('(title LIKE ? OR original_title LIKE ? OR overview LIKE ?)');
+      params.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    } else {
+      conditions.push('(title LIKE ?)');
+      params.push(`${search}%`); // "starts with"
+    }
+
+    // Simple ranking: exact title > title prefix > title contains > other columns
+    relevanceSelect = `,
+      CASE
+        WHEN title = ? THEN 4
+        WHEN title LIKE ? THEN 3
+        WHEN title LIKE ? THEN 2
+        WHEN original_title LIKE ? THEN 1
+        ELSE 0
+      END AS relevance`;
+    relevanceParams.push(search, `${search}%`, `%${search}%`, `%${search}%`);
   }
 
-  return { conditions, params, search };
+  return { conditions, params, search, matchMode, relevanceSelect, relevanceParams };
 }
 
 module.exports = { getSearch };
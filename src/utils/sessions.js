@@ -0,0 +1,289 @@
+// src/utils/sessions.js
+// ======================================================
+// Login sessions: short-lived access JWT + rotating refresh token.
+//
+// - every login creates a user_sessions row (a token "family")
+// - access token: JWT { id, role, sid } valid JWT_ACCESS_EXPIRES_IN
+//   (default 15m); auth.protect checks the session is still active
+// - refresh token: "<family_id>.<secret>", valid
+//   REFRESH_TOKEN_EXPIRES_DAYS (default 7); replaced on every refresh
+// - an old refresh token showing up again means it was copied:
+//   the whole session is revoked (reuse detection)
+// - user_agent / ip / last_seen_at describe where a session is used
+//   (GET /api/v1/users/me/sessions)
+//
+// Cookies (browser): "jwt" (access) + "refreshToken" (see jwtCookie.js).
+// ======================================================
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const db = require('../config/db');
+const AppError = require('./appError');
+const {
+  setJwtCookie,
+  clearJwtCookie,
+  setRefreshCookie,
+  clearRefreshCookie,
+} = require('./jwtCookie');
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function refreshExpiresAt() {
+  const days = envNumber('REFRESH_TOKEN_EXPIRES_DAYS', 7);
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+function newRefreshToken(familyId) {
+  return `${familyId}.${crypto.randomBytes(32).toString('hex')}`;
+}
+
+function clientInfo(req) {
+  return {
+    userAgent: String(req.get('user-agent') || '').slice(0, 255) || null,
+    ip: req.ip || null,
+  };
+}
+
+// last_seen_at is bumped at most this often (avoids a write per request)
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Short human label for a user agent, e.g. "Firefox on Windows".
+ * Deliberately rough: it is only shown to the user next to the raw UA.
+ */
+function describeDevice(userAgent) {
+  const ua = String(userAgent || '');
+  if (!ua) return 'Unknown device';
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/],
+  ];
+
+  const browser = (browsers.find(([, re]) => re.test(ua)) || [])[0];
+  const system = (systems.find(([, re]) => re.test(ua)) || [])[0];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || ua.split(/[ /]/)[0] || 'Unknown device';
+}
+
+// -----------------------------------------------------------------------------
+// Tokens + cookies
+// -----------------------------------------------------------------------------
+
+function signAccessToken(user, sessionId) {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is missing in environment variables');
+  }
+
+  const expiresIn = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+  return jwt.sign({ id: user.id, role: user.role, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn,
+  });
+}
+
+function setAuthCookies(res, { accessToken, refreshToken, expiresAt }) {
+  setJwtCookie(res, accessToken);
+  setRefreshCookie(res, refreshToken, expiresAt);
+}
+
+function clearAuthCookies(res) {
+  clearJwtCookie(res);
+  clearRefreshCookie(res);
+}
+
+// -----------------------------------------------------------------------------
+// Sessions
+// -----------------------------------------------------------------------------
+
+/**
+ * Create a session for a freshly authenticated user and set the cookies.
+ * Returns { accessToken, refreshToken, sessionId }.
+ */
+async function startSession(req, res, user) {
+  const familyId = crypto.randomBytes(16).toString('hex');
+  const refreshToken = newRefreshToken(familyId);
+  const expiresAt = refreshExpiresAt();
+  const { userAgent, ip } = clientInfo(req);
+
+  const [result] = await db.query(
+    `INSERT INTO user_sessions
+       (user_id, family_id, refresh_token_hash, expires_at, user_agent, ip, last_seen_at)
+     VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+    [user.id, familyId, hashToken(refreshToken), expiresAt, userAgent, ip]
+  );
+
+  const sessionId = result.insertId;
+  const accessToken = signAccessToken(user, sessionId);
+
+  setAuthCookies(res, { accessToken, refreshToken, expiresAt });
+
+  return { accessToken, refreshToken, sessionId };
+}
+
+/**
+ * Exchange a refresh token for a new access + refresh token pair.
+ * Throws AppError 401/403 when the token cannot be used (reuse revokes the session).
+ * Returns { user, accessToken, refreshToken, sessionId }.
+ */
+async function rotateSession(req, res, rawToken) {
+  const [familyId, secret] = String(rawToken || '').split('.');
+
+  if (!familyId || !secret) {
+    throw new AppError('Invalid refresh token. Please log in again.', 401);
+  }
+
+  const [rows] = await db.query(
+    `SELECT id, user_id, refresh_token_hash, expires_at, revoked_at
+     FROM user_sessions
+     WHERE family_id = ?
+     LIMIT 1`,
+    [familyId]
+  );
+
+  const session = rows[0];
+
+  if (!session || session.revoked_at) {
+    throw new AppError('Your session has ended. Please log in again.', 401);
+  }
+
+  const presentedHash = hashToken(rawToken);
+
+  // Known family, wrong token: an already-rotated token is being replayed
+  if (presentedHash !== session.refresh_token_hash) {
+    await revokeSession(session.id, 'reuse');
+    throw new AppError('Refresh token reuse detected. Please log in again.', 401);
+  }
+
+  if (new Date(session.expires_at).getTime() <= Date.now()) {
+    throw new AppError('Your session has expired. Please log in again.', 401);
+  }
+
+  const [userRows] = await db.query(
+    `SELECT id, name, email, role, provider, provider_id, active, created_at,
+            email_verified_at
+     FROM users
+     WHERE id = ?
+     LIMIT 1`,
+    [session.user_id]
+  );
+
+  const user = userRows[0];
+
+  if (!user || Number(user.active) !== 1) {
+    await revokeSession(session.id, 'disabled');
+    throw new AppError('This account is disabled.', 403);
+  }
+
+  const refreshToken = newRefreshToken(familyId);
+
+  // Compare-and-swap: two concurrent refreshes with the same token → one loses
+  const [result] = await db.query(
+    `UPDATE user_sessions
+     SET refresh_token_hash = ?,
+         last_used_at = NOW(),
+         last_seen_at = NOW(),
+         ip = ?
+     WHERE id = ?
+       AND refresh_token_hash = ?
+       AND revoked_at IS NULL
+     LIMIT 1`,
+    [hashToken(refreshToken), clientInfo(req).ip, session.id, presentedHash]
+  );
+
+  if (result.affectedRows !== 1) {
+    await revokeSession(session.id, 'reuse');
+    throw new AppError('Refresh token reuse detected. Please log in again.', 401);
+  }
+
+  const accessToken = signAccessToken(user, session.id);
+  setAuthCookies(res, { accessToken, refreshToken, expiresAt: new Date(session.expires_at) });
+
+  return { user, accessToken, refreshToken, sessionId: session.id };
+}
+
+/**
+ * Load the session behind an access token if it is still usable
+ * (null otherwise) and record that it was just seen.
+ */
+async function resumeSession(req, sessionId) {
+  const [rows] = await db.query(
+    `SELECT id, last_seen_at
+     FROM user_sessions
+     WHERE id = ?
+       AND revoked_at IS NULL
+       AND expires_at > NOW()
+     LIMIT 1`,
+    [sessionId]
+  );
+
+  const session = rows[0];
+  if (!session) return null;
+
+  const lastSeenMs = session.last_seen_at ? new Date(session.last_seen_at).getTime() : 0;
+
+  if (Date.now() - lastSeenMs > TOUCH_INTERVAL_MS) {
+    await db.query(
+      `UPDATE user_sessions
+       SET last_seen_at = NOW(),
+           ip = ?
+       WHERE id = ?
+       LIMIT 1`,
+      [clientInfo(req).ip, session.id]
+    );
+  }
+
+  return session;
+}
+
+async function revokeSession(sessionId, reason) {
+  await db.query(
+    `UPDATE user_sessions
+     SET revoked_at = NOW(),
+         revoked_reason = ?
+     WHERE id = ?
+       AND revoked_at IS NULL
+     LIMIT 1`,
+    [reason, sessionId]
+  );
+}
+
+// e.g. after a password change/reset or "log out everywhere"
+async function revokeAllSessions(userId, reason) {
+  await db.query(
+    `UPDATE user_sessions
+     SET revoked_at = NOW(),
+         revoked_reason = ?
+     WHERE user_id = ?
+       AND revoked_at IS NULL`,
+    [reason, userId]
+  );
+}
+
+module.exports = {
+  describeDevice,
+  clearAuthCookies,
+  startSession,
+  rotateSession,
+  resumeSession,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -5,9 +5,15 @@
 // ======================================
 
 // /movies?sort=popularity&order=desc
+// /movies?search=parker&sort=relevance
+//   "relevance" is only valid when options.hasRelevance is true
+//   (the query selects a relevance column, see utils/search.js)
+//
+// getSortSpec → { sort, order } (validated values, e.g. for cursors)
+// getSort     → "ORDER BY <sort> <order>"
 
 
-function getSort(query, options = {}) {
+function getSortSpec(query, options = {}) {
     // Allowed columns to sort by (WHITELIST -> prevents SQL injection)
     const allowedFields = options.allowedFields || [
         'title',
@@ -26,6 +32,13 @@ const defaultOrder = options.defaultOrder || 'ASC'
 let sort = query.sort;
 let order = query.order;
 
+// Relevance ranking (best match first unless ?order=asc)
+
+if (sort === 'relevance' && options.hasRelevance) {
+    order = order && order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+    return { sort, order };
+}
+
 // Validate sort field
 
 if (!allowedFields.includes(sort)) {
@@ -34,10 +47,16 @@ if (!allowedFields.includes(sort)) {
 
 order = order && order.toUpperCase() === 'DESC' ? 'DESC' : defaultOrder;
 
-const orderByClause = `ORDER BY ${sort} ${order}`;
+return { sort, order };
+
+}
+
+function getSort(query, options = {}) {
+    const { sort, order } = getSortSpec(query, options);
 
-return orderByClause
+    const orderByClause = `ORDER BY ${sort} ${order}`;
 
+    return orderByClause
 }
 
-module.exports = { getSort}
\ No newline at end of file
+module.exports = { getSort, getSortSpec }
\ No newline at end of file
@@ -0,0 +1,162 @@
+// src/utils/twoFactor.js
+// ======================================================
+// Two-factor authentication for user accounts (TOTP, see utils/totp.js).
+//
+// - setup stores users.two_factor_secret; 2FA is ON once
+//   users.two_factor_enabled_at is set (first valid code)
+// - login with 2FA on: password OK → short-lived challenge token
+//   → POST /api/v1/auth/login/2fa with a TOTP or recovery code
+// - recovery codes: 10 one-time codes, SHA-256 hashed
+//   (user_recovery_codes)
+// ======================================================
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const db = require('../config/db');
+const AppError = require('./appError');
+const { verifyCode } = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = '2fa-login';
+
+function getIssuer() {
+  return process.env.TWO_FACTOR_ISSUER || 'Movie API';
+}
+
+// -----------------------------------------------------------------------------
+// Login challenge
+// -----------------------------------------------------------------------------
+
+/**
+ * Proof that the password step succeeded. NOT an access token:
+ * it has no session id, so auth.protect rejects it.
+ */
+function createChallengeToken(user) {
+  return jwt.sign({ id: user.id, purpose: CHALLENGE_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: '5m',
+  });
+}
+
+// Returns the user id, or throws AppError 401
+function verifyChallengeToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET, { algorithms: ['HS256'] });
+  } catch (err) {
+    throw new AppError('Login challenge is invalid or has expired. Please log in again.', 401);
+  }
+
+  if (!decoded || decoded.purpose !== CHALLENGE_PURPOSE || !decoded.id) {
+    throw new AppError('Login challenge is invalid or has expired. Please log in again.', 401);
+  }
+
+  return decoded.id;
+}
+
+// -----------------------------------------------------------------------------
+// Recovery codes
+// -----------------------------------------------------------------------------
+
+// "3f9a1-c20b7" and "3F9A1C20B7" are the same code
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Replace the user's recovery codes. Returns the raw codes (shown ONCE).
+ */
+async function generateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+
+  await db.query(
+    'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ?',
+    [codes.map((code) => [userId, hashRecoveryCode(code)])]
+  );
+
+  return codes;
+}
+
+async function useRecoveryCode(userId, code) {
+  const [result] = await db.query(
+    `UPDATE user_recovery_codes
+     SET used_at = NOW()
+     WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+     LIMIT 1`,
+    [userId, hashRecoveryCode(code)]
+  );
+
+  return result.affectedRows === 1;
+}
+
+// -----------------------------------------------------------------------------
+// Code checks
+// -----------------------------------------------------------------------------
+
+/**
+ * Check a TOTP code and remember its time step, so the same code
+ * cannot be used twice. user must include two_factor_secret + two_factor_last_step.
+ */
+async function useTotpCode(user, code) {
+  if (!user.two_factor_secret) return false;
+
+  const step = verifyCode(user.two_factor_secret, code);
+  if (step === null) return false;
+
+  if (user.two_factor_last_step !== null && user.two_factor_last_step !== undefined
+    && step <= Number(user.two_factor_last_step)) {
+    return false;
+  }
+
+  // Compare-and-swap: two requests with the same code → only one wins
+  const [result] = await db.query(
+    `UPDATE users
+     SET two_factor_last_step = ?
+     WHERE id = ?
+       AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)
+     LIMIT 1`,
+    [step, user.id, step]
+  );
+
+  return result.affectedRows === 1;
+}
+
+/**
+ * Second factor for login / sensitive changes: TOTP code OR recovery code.
+ * Returns 'totp', 'recovery_code' or null.
+ */
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (code && (await useTotpCode(user, code))) return 'totp';
+  if (recoveryCode && (await useRecoveryCode(user.id, recoveryCode))) return 'recovery_code';
+  return null;
+}
+
+async function disableTwoFactor(userId) {
+  await db.query(
+    `UPDATE users
+     SET two_factor_secret = NULL,
+         two_factor_enabled_at = NULL,
+         two_factor_last_step = NULL
+     WHERE id = ?
+     LIMIT 1`,
+    [userId]
+  );
+
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+}
+
+module.exports = {
+  getIssuer,
+  createChallengeToken,
+  verifyChallengeToken,
+  generateRecoveryCodes,
+  useTotpCode,
+  verifySecondFactor,
+  disableTwoFactor,
+};
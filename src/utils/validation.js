@@ -0,0 +1,228 @@
+// src/utils/validation.js
+// ======================================================
+// Small declarative validator for request bodies.
+//
+// A schema maps field names to rules, e.g.
+//
+//   {
+//     title: { type: 'string', required: true, maxLength: 255 },
+//     release_date: { type: 'date', nullable: true },
+//     vote_average: { type: 'number', min: 0, max: 10 },
+//     genre_ids: { type: 'array', items: { type: 'integer', min: 1 } },
+//   }
+//
+// Types: string, email, integer, number, boolean, date (YYYY-MM-DD),
+// language (ISO 639-1 code), array.
+// Rules: required, nullable, min / max (numbers, dates),
+// minLength / maxLength (strings, arrays), pattern, enum, trim
+// (strings are trimmed unless trim: false, e.g. passwords).
+//
+// - fields not in the schema are rejected (whitelist)
+// - values are coerced ("12" → 12, "true" → true, "" → null if nullable)
+// - every problem is collected: { field, message } per field
+// Used by middlewares/validate.js; schemas live in src/schemas/.
+// ======================================================
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// ISO 639-1 codes, plus TMDB's "cn" (Cantonese) and "xx" (no language)
+const LANGUAGE_CODES = new Set(`
+  aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy
+  da de dv dz ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu
+  hy hz ia id ie ig ii ik io is it iu ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb
+  lg li ln lo lt lu lv mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om
+  or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw
+  ta te tg th ti tk tl tn to tr ts tt tw ty ug uk ur uz ve vi vo wa wo xh yi yo za zh zu
+  cn xx
+`.trim().split(/\s+/));
+
+// Returned by coercers when the value has the wrong type
+const INVALID = Symbol('invalid');
+
+function isValidDate(value) {
+  const match = DATE_PATTERN.exec(value);
+  if (!match) return false;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  return date.getUTCFullYear() === year
+    && date.getUTCMonth() === month - 1
+    && date.getUTCDate() === day;
+}
+
+const coercers = {
+  string: (value) => (typeof value === 'string' ? value : INVALID),
+  email: (value) => (typeof value === 'string' ? value.trim().toLowerCase() : INVALID),
+  language: (value) => (typeof value === 'string' ? value.trim().toLowerCase() : INVALID),
+  date: (value) => (typeof value === 'string' ? value.trim() : INVALID),
+
+  integer: (value) => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    return Number.isInteger(number) ? number : INVALID;
+  },
+
+  number: (value) => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    return typeof number === 'number' && Number.isFinite(number) ? number : INVALID;
+  },
+
+  boolean: (value) => {
+    if (value === true || value === 1 || value === '1' || value === 'true') return true;
+    if (value === false || value === 0 || value === '0' || value === 'false') return false;
+    return INVALID;
+  },
+
+  array: (value) => (Array.isArray(value) ? value : INVALID),
+};
+
+const TYPE_MESSAGES = {
+  string: 'must be a string',
+  email: 'must be a valid email address',
+  language: 'must be a language code (ISO 639-1, e.g. "en")',
+  date: 'must be a date (YYYY-MM-DD)',
+  integer: 'must be an integer',
+  number: 'must be a number',
+  boolean: 'must be true or false',
+  array: 'must be an array',
+};
+
+/**
+ * Check one value against its rule.
+ * Returns { value } or { error } (error = message without the field name).
+ */
+function checkValue(rule, raw) {
+  const coerce = coercers[rule.type];
+  if (!coerce) throw new Error(`Unknown validation type "${rule.type}"`);
+
+  let value = coerce(raw);
+  if (value === INVALID) return { error: TYPE_MESSAGES[rule.type] };
+
+  if (typeof value === 'string' && rule.trim !== false) value = value.trim();
+
+  switch (rule.type) {
+    case 'email':
+      if (!EMAIL_PATTERN.test(value)) return { error: TYPE_MESSAGES.email };
+      break;
+    case 'language':
+      if (!LANGUAGE_CODES.has(value)) return { error: TYPE_MESSAGES.language };
+      break;
+    case 'date':
+      if (!isValidDate(value)) return { error: TYPE_MESSAGES.date };
+      if (rule.min && value < rule.min) return { error: `must be on or after ${rule.min}` };
+      if (rule.max && value > rule.max) return { error: `must be on or before ${rule.max}` };
+      break;
+    case 'integer':
+    case 'number':
+      if (rule.min !== undefined && value < rule.min) return { error: `must be at least ${rule.min}` };
+      if (rule.max !== undefined && value > rule.max) return { error: `must be at most ${rule.max}` };
+      break;
+    case 'array': {
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return { error: `must have at least ${rule.minLength} item(s)` };
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return { error: `must have at most ${rule.maxLength} items` };
+      }
+
+      if (rule.items) {
+        const items = [];
+
+        for (let i = 0; i < value.length; i += 1) {
+          const item = checkValue(rule.items, value[i]);
+          if (item.error) return { error: `item ${i} ${item.error}` };
+          items.push(item.value);
+        }
+
+        value = rule.unique ? [...new Set(items)] : items;
+      }
+      break;
+    }
+    default:
+      break;
+  }
+
+  if (typeof value === 'string') {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return { error: rule.minLength === 1 ? 'must not be empty' : `must be at least ${rule.minLength} characters long` };
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return { error: `must be at most ${rule.maxLength} characters long` };
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return { error: rule.patternMessage || 'has an invalid format' };
+    }
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return { error: `must be one of: ${rule.enum.join(', ')}` };
+  }
+
+  return { value };
+}
+
+/**
+ * Validate a request body against a schema.
+ * options.partial: PATCH semantics (nothing is required, but at least one field)
+ * Returns { value, errors }: value holds only schema fields, coerced.
+ */
+function validateBody(schema, body, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+
+  if (body === undefined || body === null) body = {};
+
+  if (typeof body !== 'object' || Array.isArray(body)) {
+    return { value, errors: [{ field: '(body)', message: 'Request body must be a JSON object' }] };
+  }
+
+  for (const field of Object.keys(body)) {
+    // CSRF token in the body (requireCsrf) is not data
+    if (field === '_csrf') continue;
+
+    if (!Object.prototype.hasOwnProperty.call(schema, field)) {
+      errors.push({ field, message: `${field} is not an allowed field` });
+    }
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = body[field];
+
+    if (raw === undefined) {
+      if (rule.required && !partial) errors.push({ field, message: `${field} is required` });
+      continue;
+    }
+
+    // null / "" / "   " => null for nullable fields, an error otherwise
+    const blank = raw === null || (typeof raw === 'string' && raw.trim() === '' && rule.trim !== false);
+
+    if (blank) {
+      if (rule.nullable) {
+        value[field] = null;
+      } else {
+        errors.push({ field, message: `${field} ${rule.required && !partial ? 'is required' : 'must not be empty'}` });
+      }
+      continue;
+    }
+
+    const result = checkValue(rule, raw);
+
+    if (result.error) {
+      errors.push({ field, message: `${field} ${result.error}` });
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  if (partial && errors.length === 0 && Object.keys(value).length === 0) {
+    errors.push({ field: '(body)', message: 'No fields provided to update' });
+  }
+
+  return { value, errors };
+}
+
+module.exports = {
+  validateBody,
+  LANGUAGE_CODES,
+};
@@ -0,0 +1,15 @@
+// Operational 400 error with per-field details from the validation layer
+// (src/utils/validation.js). errorController sends `errors` to the client.
+
+const AppError = require('./appError');
+
+class ValidationError extends AppError {
+  constructor(errors) {
+    super(`Invalid input: ${errors.map((error) => error.message).join(', ')}`, 400);
+
+    // [{ field, message }]
+    this.errors = errors;
+  }
+}
+
+module.exports = ValidationError;
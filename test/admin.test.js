@@ -0,0 +1,241 @@
+// test/admin.test.js
+// Admin user management: list/search/paginate, view, role, active,
+// force password reset, delete, movie trash purge — ADMIN only, CSRF on writes.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+
+const { app, db, sessions, sentEmails, auditLog, csrfCookie, CSRF_TOKEN, tokenFor, handleUsers, resetAll } = require('./helpers/app');
+
+let users;
+
+const admin = { id: 1, name: 'Admin', email: 'admin@example.com', role: 'ADMIN', provider: 'local', active: 1 };
+
+// Same projection as ADMIN_USER_FIELDS in adminController
+function adminView(u) {
+  return {
+    id: u.id,
+    name: u.name,
+    email: u.email,
+    role: u.role,
+    provider: u.provider,
+    active: u.active,
+    created_at: u.created_at,
+    email_verified_at: u.email_verified_at || null,
+    failed_login_count: u.failed_login_count || 0,
+    locked_until: u.locked_until || null,
+    password_reset_required: u.password_reset_required || 0,
+    two_factor_enabled: u.two_factor_enabled_at ? 1 : 0,
+  };
+}
+
+// WHERE (name LIKE ? OR email LIKE ?) AND role = ? AND active = ? — params in that order
+function filterUsers(sql, params) {
+  const rest = [...params];
+  let result = users;
+
+  if (sql.includes('name LIKE ?')) {
+    const needle = rest.shift().replace(/%/g, '');
+    rest.shift();
+    result = result.filter((u) => u.name.includes(needle) || u.email.includes(needle));
+  }
+  if (sql.includes('role = ?')) {
+    const role = rest.shift();
+    result = result.filter((u) => u.role === role);
+  }
+  if (sql.includes('active = ?')) {
+    const active = rest.shift();
+    result = result.filter((u) => u.active === active);
+  }
+
+  return { result, rest };
+}
+
+beforeEach(async () => {
+  resetAll();
+  users = handleUsers([
+    admin,
+    {
+      id: 2,
+      name: 'Alice',
+      email: 'alice@example.com',
+      password: await bcrypt.hash('secret123', 4),
+      role: 'USER',
+      provider: 'local',
+      active: 1,
+      created_at: new Date(),
+    },
+    { id: 3, name: 'Bob', email: 'bob@example.com', role: 'USER', provider: 'google', active: 0, created_at: new Date() },
+  ]);
+
+  db.handle(/two_factor_enabled FROM users WHERE id = \?/, ([id]) =>
+    users.filter((u) => u.id === id).map(adminView)
+  );
+
+  db.handle(/two_factor_enabled FROM users .*ORDER BY created_at DESC, id DESC LIMIT \? OFFSET \?/, (params, sql) => {
+    const { result, rest } = filterUsers(sql, params);
+    const [limit, offset] = rest;
+    return result.slice(offset, offset + limit).map(adminView);
+  });
+
+  db.handle(/^SELECT COUNT\(\*\) AS total FROM users/, (params, sql) =>
+    [{ total: filterUsers(sql, params).result.length }]
+  );
+
+  db.handle(/^UPDATE users SET role = \?/, ([role, id]) => {
+    users.find((u) => u.id === id).role = role;
+    return { affectedRows: 1 };
+  });
+
+  db.handle(/^UPDATE users SET active = \?/, ([active, id]) => {
+    users.find((u) => u.id === id).active = active;
+    return { affectedRows: 1 };
+  });
+
+  db.handle(/^UPDATE users SET password_reset_required = 1/, ([id]) => {
+    users.find((u) => u.id === id).password_reset_required = 1;
+    return { affectedRows: 1 };
+  });
+
+  db.handle(/^UPDATE users SET password_reset_token = \?/, ([token, expires, id]) => {
+    Object.assign(users.find((u) => u.id === id), { password_reset_token: token, password_reset_expires: expires });
+    return { affectedRows: 1 };
+  });
+
+  db.handle(/^DELETE FROM users WHERE id = \?/, ([id]) => {
+    const index = users.findIndex((u) => u.id === id);
+    if (index === -1) return { affectedRows: 0 };
+    users.splice(index, 1);
+    return { affectedRows: 1 };
+  });
+});
+
+function asAdmin(method, path) {
+  return request(app)[method](path)
+    .set('Authorization', `Bearer ${tokenFor(admin)}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN);
+}
+
+test('lists users with pagination meta and without secrets', async () => {
+  const res = await asAdmin('get', '/api/v1/admin/users?limit=2');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.results, 2);
+  assert.equal(res.body.meta.total, 3);
+  assert.equal(res.body.meta.totalPages, 2);
+  assert.equal(res.body.meta.hasNext, true);
+  assert.equal(res.body.data.users[0].password, undefined);
+});
+
+test('searches by name/email and filters by role and active', async () => {
+  const search = await asAdmin('get', '/api/v1/admin/users?search=alice');
+  assert.deepEqual(search.body.data.users.map((u) => u.id), [2]);
+
+  const inactive = await asAdmin('get', '/api/v1/admin/users?role=user&active=false');
+  assert.deepEqual(inactive.body.data.users.map((u) => u.id), [3]);
+
+  const badRole = await asAdmin('get', '/api/v1/admin/users?role=OWNER');
+  assert.equal(badRole.status, 400);
+});
+
+test('shows a single user', async () => {
+  const res = await asAdmin('get', '/api/v1/admin/users/2');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.user.email, 'alice@example.com');
+  assert.equal(res.body.data.user.password, undefined);
+
+  assert.equal((await asAdmin('get', '/api/v1/admin/users/99')).status, 404);
+});
+
+test('changes a role', async () => {
+  const res = await asAdmin('patch', '/api/v1/admin/users/2/role').send({ role: 'ADMIN' });
+
+  assert.equal(res.status, 200);
+  assert.equal(users[1].role, 'ADMIN');
+  assert.equal(res.body.data.user.role, 'ADMIN');
+});
+
+test('admins cannot change their own role or deactivate / delete themselves', async () => {
+  assert.equal((await asAdmin('patch', '/api/v1/admin/users/1/role').send({ role: 'USER' })).status, 400);
+  assert.equal((await asAdmin('patch', '/api/v1/admin/users/1/active').send({ active: false })).status, 400);
+  assert.equal((await asAdmin('delete', '/api/v1/admin/users/1')).status, 400);
+  assert.equal(users[0].role, 'ADMIN');
+});
+
+test('deactivating a user signs them out everywhere', async () => {
+  const aliceToken = tokenFor(users[1]);
+
+  const res = await asAdmin('patch', '/api/v1/admin/users/2/active').send({ active: false });
+
+  assert.equal(res.status, 200);
+  assert.equal(users[1].active, 0);
+  assert.equal(sessions[0].revoked_reason, 'deactivated');
+
+  const me = await request(app).get('/api/v1/users/me').set('Authorization', `Bearer ${aliceToken}`);
+  assert.equal(me.status, 401);
+});
+
+test('force password reset blocks the old password and emails a reset link', async () => {
+  tokenFor(users[1]);
+
+  const res = await asAdmin('post', '/api/v1/admin/users/2/force-password-reset');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.emailSent, true);
+  assert.equal(users[1].password_reset_required, 1);
+  assert.ok(sessions[0].revoked_at);
+  assert.match(sentEmails[0].html, /\/reset-password\/[0-9a-f]{64}/);
+
+  const login = await request(app)
+    .post('/api/v1/auth/login')
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ email: 'alice@example.com', password: 'secret123' });
+  assert.equal(login.status, 403);
+});
+
+test('deletes a user', async () => {
+  const res = await asAdmin('delete', '/api/v1/admin/users/3');
+
+  assert.equal(res.status, 200);
+  assert.equal(users.some((u) => u.id === 3), false);
+  assert.equal((await asAdmin('delete', '/api/v1/admin/users/3')).status, 404);
+});
+
+test('purges movies that have been in the trash longer than the retention window', async () => {
+  db.handle(/^SELECT id FROM movies WHERE deleted_at IS NOT NULL AND deleted_at < NOW\(\) - INTERVAL \? DAY/, ([days]) =>
+    (days === 30 ? [{ id: 4 }, { id: 9 }] : [])
+  );
+  db.handle(/^DELETE FROM movies WHERE id IN \(\?\) AND deleted_at IS NOT NULL/, ([ids]) => ({ affectedRows: ids.length }));
+
+  const res = await asAdmin('post', '/api/v1/admin/movies/purge');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.olderThanDays, 30);
+  assert.deepEqual(res.body.data.movieIds, [4, 9]);
+  assert.ok(auditLog.some((e) => e.action === 'admin.movie_purge' && e.details.purged === 2));
+
+  const none = await asAdmin('post', '/api/v1/admin/movies/purge').send({ olderThanDays: 90 });
+  assert.equal(none.body.data.purged, 0);
+  assert.equal(db.callsMatching(/^DELETE FROM movies/).length, 1);
+
+  const invalid = await asAdmin('post', '/api/v1/admin/movies/purge').send({ olderThanDays: 0 });
+  assert.equal(invalid.status, 400);
+});
+
+test('non-admins get 403 and writes need CSRF', async () => {
+  const asUser = await request(app)
+    .get('/api/v1/admin/users')
+    .set('Authorization', `Bearer ${tokenFor(users[1])}`);
+  assert.equal(asUser.status, 403);
+
+  const noCsrf = await request(app)
+    .delete('/api/v1/admin/users/3')
+    .set('Authorization', `Bearer ${tokenFor(admin)}`);
+  assert.equal(noCsrf.status, 403);
+  assert.equal(users.length, 3);
+});
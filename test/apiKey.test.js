@@ -0,0 +1,212 @@
+// test/apiKey.test.js
+// API key checks on /api/v1/movies (header or ?api_key=),
+// per-client keys from api_keys (scopes, revoke) and the
+// /api/v1/users/me/api-keys endpoints.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { app, db, csrfCookie, CSRF_TOKEN, tokenFor, handleUsers, resetAll } = require('./helpers/app');
+const { hashApiKey } = require('../src/utils/apiKeys');
+
+const user = { id: 1, name: 'Alice', email: 'alice@example.com', role: 'USER', provider: 'local', active: 1 };
+
+const READ_KEY = 'mk_read-only-client';
+const WRITE_KEY = 'mk_read-write-client';
+
+let apiKeys;
+
+// api_keys table: lookups by hash honor revoked_at
+function handleApiKeys() {
+  db.handle(/FROM api_keys WHERE key_hash = \?/, ([hash]) =>
+    apiKeys.filter((k) => k.key_hash === hash && !k.revoked_at)
+  );
+
+  db.handle(/^UPDATE api_keys SET last_used_at = NOW\(\)/, ([id]) => {
+    const key = apiKeys.find((k) => k.id === id);
+    if (key) key.last_used_at = new Date();
+    return { affectedRows: key ? 1 : 0 };
+  });
+
+  db.handle(/^INSERT INTO api_keys/, ([userId, label, prefix, hash, scopes, expiresAt]) => {
+    const key = {
+      id: apiKeys.length + 1,
+      user_id: userId,
+      label,
+      key_prefix: prefix,
+      key_hash: hash,
+      scopes: JSON.parse(scopes),
+      expires_at: expiresAt,
+      revoked_at: null,
+    };
+    apiKeys.push(key);
+    return { insertId: key.id, affectedRows: 1 };
+  });
+
+  db.handle(/FROM api_keys WHERE id = \? LIMIT 1/, ([id]) =>
+    apiKeys.filter((k) => k.id === id).map(({ key_hash, ...safe }) => safe)
+  );
+
+  db.handle(/FROM api_keys WHERE id = \? AND user_id = \? AND revoked_at IS NULL/, ([id, userId]) =>
+    apiKeys.filter((k) => k.id === id && k.user_id === userId && !k.revoked_at)
+  );
+
+  db.handle(/^UPDATE api_keys SET revoked_at = NOW\(\)/, ([id, userId]) => {
+    const key = apiKeys.find((k) => k.id === id && k.user_id === userId && !k.revoked_at);
+    if (key) key.revoked_at = new Date();
+    return { affectedRows: key ? 1 : 0 };
+  });
+}
+
+beforeEach(() => {
+  resetAll();
+  handleUsers([user]);
+
+  apiKeys = [
+    { id: 1, user_id: 1, label: 'read', key_hash: hashApiKey(READ_KEY), scopes: ['movies:read'], revoked_at: null },
+    { id: 2, user_id: 1, label: 'write', key_hash: hashApiKey(WRITE_KEY), scopes: ['movies:read', 'movies:write'], revoked_at: null },
+  ];
+  handleApiKeys();
+
+  db.handle(/^SELECT \* FROM movies WHERE id = \?/, ([id]) =>
+    id === 1 ? [{ id: 1, title: 'Minions', owner_id: null }] : []
+  );
+  db.handle(/FROM movie_genres mg INNER JOIN genres g/, () => []);
+});
+
+test('request without an API key is rejected', async () => {
+  const res = await request(app).get('/api/v1/movies/1');
+
+  assert.equal(res.status, 401);
+  assert.match(res.body.message, /API key/);
+  assert.equal(db.calls.length, 0);
+});
+
+test('request with a wrong API key is rejected', async () => {
+  const res = await request(app)
+    .get('/api/v1/movies/1')
+    .set('x-api-key', 'not-the-key');
+
+  assert.equal(res.status, 401);
+});
+
+test('x-api-key header is accepted', async () => {
+  const res = await request(app)
+    .get('/api/v1/movies/1')
+    .set('x-api-key', process.env.API_KEY);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.movie.title, 'Minions');
+});
+
+test('api_key query param is accepted', async () => {
+  const res = await request(app)
+    .get(`/api/v1/movies/1?api_key=${process.env.API_KEY}`);
+
+  assert.equal(res.status, 200);
+});
+
+test('per-client key is looked up by hash and marks last_used_at', async () => {
+  const res = await request(app)
+    .get('/api/v1/movies/1')
+    .set('x-api-key', READ_KEY);
+
+  assert.equal(res.status, 200);
+
+  const [lookup] = db.callsMatching(/FROM api_keys WHERE key_hash = \?/);
+  assert.deepEqual(lookup.params, [hashApiKey(READ_KEY)]);
+  assert.ok(apiKeys[0].last_used_at);
+});
+
+test('revoked per-client key is rejected', async () => {
+  apiKeys[0].revoked_at = new Date();
+
+  const res = await request(app)
+    .get('/api/v1/movies/1')
+    .set('x-api-key', READ_KEY);
+
+  assert.equal(res.status, 401);
+});
+
+test('key without movies:write cannot call write routes', async () => {
+  const res = await request(app)
+    .delete('/api/v1/movies/1')
+    .set('x-api-key', READ_KEY)
+    .set('Authorization', `Bearer ${tokenFor(user)}`);
+
+  assert.equal(res.status, 403);
+  assert.match(res.body.message, /movies:write/);
+});
+
+test('key with movies:write passes the scope check', async () => {
+  db.handle(/^UPDATE movies SET deleted_at = NOW\(\)/, () => ({ affectedRows: 1 }));
+
+  const res = await request(app)
+    .delete('/api/v1/movies/1')
+    .set('x-api-key', WRITE_KEY)
+    .set('Authorization', `Bearer ${tokenFor(user)}`);
+
+  assert.equal(res.status, 200);
+});
+
+test('POST /users/me/api-keys returns the raw key once and stores its hash', async () => {
+  const res = await request(app)
+    .post('/api/v1/users/me/api-keys')
+    .set('Authorization', `Bearer ${tokenFor(user)}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ label: 'Partner A', scopes: ['movies:read'], expiresInDays: 30 });
+
+  assert.equal(res.status, 201);
+  assert.match(res.body.data.key, /^mk_[0-9a-f]{64}$/);
+  assert.equal(res.body.data.apiKey.key_hash, undefined);
+  assert.equal(apiKeys[2].key_hash, hashApiKey(res.body.data.key));
+  assert.ok(apiKeys[2].expires_at instanceof Date);
+});
+
+test('POST /users/me/api-keys rejects unknown scopes', async () => {
+  const res = await request(app)
+    .post('/api/v1/users/me/api-keys')
+    .set('Authorization', `Bearer ${tokenFor(user)}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ label: 'Partner A', scopes: ['admin:all'] });
+
+  assert.equal(res.status, 400);
+});
+
+test('DELETE /users/me/api-keys/:id revokes the key', async () => {
+  const res = await request(app)
+    .delete('/api/v1/users/me/api-keys/1')
+    .set('Authorization', `Bearer ${tokenFor(user)}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN);
+
+  assert.equal(res.status, 200);
+  assert.ok(apiKeys[0].revoked_at);
+
+  const after = await request(app)
+    .get('/api/v1/movies/1')
+    .set('x-api-key', READ_KEY);
+
+  assert.equal(after.status, 401);
+});
+
+test('POST /users/me/api-keys/:id/rotate revokes the old key and issues a new one', async () => {
+  const res = await request(app)
+    .post('/api/v1/users/me/api-keys/2/rotate')
+    .set('Authorization', `Bearer ${tokenFor(user)}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN);
+
+  assert.equal(res.status, 201);
+  assert.ok(apiKeys[1].revoked_at);
+  assert.deepEqual(res.body.data.apiKey.scopes, ['movies:read', 'movies:write']);
+
+  const withNewKey = await request(app)
+    .get('/api/v1/movies/1')
+    .set('x-api-key', res.body.data.key);
+
+  assert.equal(withNewKey.status, 200);
+});
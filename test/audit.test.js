@@ -0,0 +1,202 @@
+// test/audit.test.js
+// Audit trail: what gets recorded (logins, movie diffs, favorites)
+// and the admin-only GET /api/v1/admin/audit listing.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+
+const { app, db, auditLog, csrfCookie, CSRF_TOKEN, tokenFor, handleUsers, resetAll } = require('./helpers/app');
+
+let users;
+let movies;
+
+const admin = { id: 1, name: 'Admin', email: 'admin@example.com', role: 'ADMIN', provider: 'local', active: 1 };
+
+// WHERE a.action = ? / LIKE ? AND a.actor_user_id = ? AND a.target_type = ? AND a.target_id = ?
+function filterEntries(sql, params) {
+  const rest = [...params];
+  let result = [...auditLog].reverse();
+
+  if (sql.includes('a.action = ?')) {
+    const action = rest.shift();
+    result = result.filter((e) => e.action === action);
+  }
+  if (sql.includes('a.action LIKE ?')) {
+    const prefix = rest.shift().replace(/%$/, '');
+    result = result.filter((e) => e.action.startsWith(prefix));
+  }
+  if (sql.includes('a.actor_user_id = ?')) {
+    const actorId = rest.shift();
+    result = result.filter((e) => e.actor_user_id === actorId);
+  }
+  if (sql.includes('a.target_type = ?')) {
+    const targetType = rest.shift();
+    result = result.filter((e) => e.target_type === targetType);
+  }
+  if (sql.includes('a.target_id = ?')) {
+    const targetId = rest.shift();
+    result = result.filter((e) => e.target_id === targetId);
+  }
+
+  return { result, rest };
+}
+
+beforeEach(async () => {
+  resetAll();
+  users = handleUsers([
+    admin,
+    {
+      id: 2,
+      name: 'Alice',
+      email: 'alice@example.com',
+      password: await bcrypt.hash('secret123', 4),
+      role: 'USER',
+      provider: 'local',
+      active: 1,
+      created_at: new Date(),
+      failed_login_count: 0,
+      locked_until: null,
+    },
+  ]);
+
+  movies = [{ id: 1, owner_id: 2, title: 'Old title', overview: 'Same', genre_ids: '[]' }];
+
+  db.handle(/^SELECT \* FROM movies WHERE id = \?/, ([id]) =>
+    movies.filter((m) => m.id === id).map((m) => ({ ...m }))
+  );
+
+  db.handle(/^UPDATE movies SET title = \?, overview = \?, version = version \+ 1 WHERE id = \?/, ([title, overview, id]) => {
+    Object.assign(movies.find((m) => m.id === id), { title, overview });
+    return { affectedRows: 1 };
+  });
+
+  db.handle(/^SELECT id FROM movies WHERE id = \?/, ([id]) => movies.filter((m) => m.id === id));
+  db.handle(/FROM movie_genres mg INNER JOIN genres g/, () => []);
+  db.handle(/^INSERT IGNORE INTO movie_revisions/, () => ({ affectedRows: 1 }));
+  db.handle(/^INSERT INTO favorite_movies/, () => ({ affectedRows: 1 }));
+
+  db.handle(/FROM audit_log a LEFT JOIN users u .* LIMIT \? OFFSET \?$/, (params, sql) => {
+    const { result, rest } = filterEntries(sql, params);
+    const [limit, offset] = rest;
+    return result.slice(offset, offset + limit).map((e) => ({
+      ...e,
+      actor_email: (users.find((u) => u.id === e.actor_user_id) || {}).email || null,
+    }));
+  });
+
+  db.handle(/^SELECT COUNT\(\*\) AS total FROM audit_log a/, (params, sql) =>
+    [{ total: filterEntries(sql, params).result.length }]
+  );
+});
+
+function login(password) {
+  return request(app)
+    .post('/api/v1/auth/login')
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .set('User-Agent', 'audit-test-agent')
+    .send({ email: 'alice@example.com', password });
+}
+
+// Wrong password, then skip the progressive delay so the next login is allowed
+async function failLogin() {
+  await login('wrong-password1');
+  users[1].last_failed_login_at = new Date(Date.now() - 60 * 60 * 1000);
+}
+
+function asAdmin(path) {
+  return request(app).get(path).set('Authorization', `Bearer ${tokenFor(admin)}`);
+}
+
+test('records successful and failed logins with IP and user agent', async () => {
+  await failLogin();
+  await login('secret123');
+
+  assert.deepEqual(auditLog.map((e) => e.action), ['auth.login_failed', 'auth.login']);
+
+  const [failed, ok] = auditLog;
+  assert.equal(failed.actor_user_id, null);
+  assert.equal(failed.target_id, 2);
+  assert.equal(failed.details.reason, 'wrong_password');
+
+  assert.equal(ok.actor_user_id, 2);
+  assert.equal(ok.details.method, 'password');
+  assert.equal(ok.user_agent, 'audit-test-agent');
+  assert.ok(ok.ip);
+});
+
+test('a movie update stores only the fields that changed', async () => {
+  const res = await request(app)
+    .patch('/api/v1/movies/1')
+    .set('x-api-key', process.env.API_KEY)
+    .set('Authorization', `Bearer ${tokenFor(users[1])}`)
+    .send({ title: 'New title', overview: 'Same' });
+
+  assert.equal(res.status, 200);
+
+  const entry = auditLog.find((e) => e.action === 'movie.update');
+  assert.equal(entry.actor_user_id, 2);
+  assert.equal(entry.target_type, 'movie');
+  assert.equal(entry.target_id, 1);
+  assert.deepEqual(entry.details.changes, { title: { from: 'Old title', to: 'New title' } });
+});
+
+test('adding a favorite is recorded', async () => {
+  await request(app)
+    .post('/api/v1/favorites')
+    .set('Authorization', `Bearer ${tokenFor(users[1])}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ movieId: 1 });
+
+  assert.deepEqual(
+    auditLog.map((e) => [e.action, e.actor_user_id, e.target_id]),
+    [['favorite.add', 2, 1]]
+  );
+});
+
+test('a failing audit write never breaks the request', async () => {
+  db.handle(/^INSERT INTO audit_log/, () => {
+    throw new Error('audit_log is down');
+  });
+
+  const res = await login('secret123');
+
+  assert.equal(res.status, 200);
+  assert.ok(res.body.token);
+});
+
+test('admins can page through and filter the audit log', async () => {
+  await failLogin();
+  await login('secret123');
+  await login('secret123');
+
+  const all = await asAdmin('/api/v1/admin/audit?limit=2');
+  assert.equal(all.status, 200);
+  assert.equal(all.body.meta.total, 3);
+  assert.equal(all.body.results, 2);
+  assert.equal(all.body.data.entries[0].id, 3);
+  assert.equal(all.body.data.entries[0].actor_email, 'alice@example.com');
+
+  const failed = await asAdmin('/api/v1/admin/audit?action=auth.login_failed');
+  assert.deepEqual(failed.body.data.entries.map((e) => e.id), [1]);
+
+  const area = await asAdmin('/api/v1/admin/audit?action=auth.*&actorId=2');
+  assert.deepEqual(area.body.data.entries.map((e) => e.id), [3, 2]);
+
+  const target = await asAdmin('/api/v1/admin/audit?targetType=user&targetId=2');
+  assert.equal(target.body.meta.total, 3);
+
+  assert.equal((await asAdmin('/api/v1/admin/audit?actorId=abc')).status, 400);
+  assert.equal((await asAdmin('/api/v1/admin/audit?from=not-a-date')).status, 400);
+});
+
+test('non-admins cannot read the audit log', async () => {
+  const res = await request(app)
+    .get('/api/v1/admin/audit')
+    .set('Authorization', `Bearer ${tokenFor(users[1])}`);
+
+  assert.equal(res.status, 403);
+});
@@ -0,0 +1,195 @@
+// test/auth.test.js
+// Register / login / logout + CSRF rejection on auth routes.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+
+const { app, db, csrfCookie, CSRF_TOKEN, tokenFor, handleUsers, resetAll } = require('./helpers/app');
+
+let users;
+
+beforeEach(async () => {
+  resetAll();
+  users = handleUsers([
+    {
+      id: 1,
+      name: 'Alice',
+      email: 'alice@example.com',
+      password: await bcrypt.hash('secret123', 4),
+      role: 'USER',
+      provider: 'local',
+      provider_id: null,
+      active: 1,
+      created_at: new Date(),
+      password_changed_at: null,
+    },
+  ]);
+});
+
+function getCookie(res, name) {
+  return (res.headers['set-cookie'] || []).find((c) => c.startsWith(`${name}=`));
+}
+
+test('register creates a user and returns a token + jwt cookie', async () => {
+  const res = await request(app)
+    .post('/api/v1/auth/register')
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ name: 'Bob', email: 'BOB@example.com', password: 'passw0rd' });
+
+  assert.equal(res.status, 201);
+  assert.ok(res.body.token);
+  assert.equal(res.body.data.user.email, 'bob@example.com');
+  assert.ok(getCookie(res, 'jwt'));
+  assert.equal(users.length, 2);
+  assert.notEqual(users[1].password, 'passw0rd'); // stored hashed
+});
+
+test('register rejects an email that is already in use', async () => {
+  const res = await request(app)
+    .post('/api/v1/auth/register')
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ name: 'Alice', email: 'alice@example.com', password: 'passw0rd' });
+
+  assert.equal(res.status, 409);
+});
+
+test('register rejects a weak password', async () => {
+  const res = await request(app)
+    .post('/api/v1/auth/register')
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ name: 'Bob', email: 'bob@example.com', password: 'abc' });
+
+  assert.equal(res.status, 400);
+});
+
+test('register validates the body before touching the DB', async () => {
+  const res = await request(app)
+    .post('/api/v1/auth/register')
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ email: 'not-an-email', password: 12345678, role: 'ADMIN' });
+
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.errors, [
+    { field: 'role', message: 'role is not an allowed field' },
+    { field: 'name', message: 'name is required' },
+    { field: 'email', message: 'email must be a valid email address' },
+    { field: 'password', message: 'password must be a string' },
+  ]);
+  assert.equal(db.callsMatching(/FROM users/).length, 0);
+});
+
+test('malformed JSON is a 400, not a server error', async () => {
+  const res = await request(app)
+    .post('/api/v1/auth/login')
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .set('Content-Type', 'application/json')
+    .send('{"email": ');
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.message, 'Request body is not valid JSON');
+});
+
+test('login succeeds with the correct password', async () => {
+  const res = await request(app)
+    .post('/api/v1/auth/login')
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ email: 'alice@example.com', password: 'secret123' });
+
+  assert.equal(res.status, 200);
+  assert.ok(res.body.token);
+  assert.equal(res.body.data.user.id, 1);
+  assert.equal(res.body.data.user.password, undefined);
+  assert.ok(getCookie(res, 'jwt'));
+});
+
+test('login fails with a wrong password', async () => {
+  const res = await request(app)
+    .post('/api/v1/auth/login')
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ email: 'alice@example.com', password: 'wrong123' });
+
+  assert.equal(res.status, 401);
+});
+
+test('login fails for a disabled account', async () => {
+  users[0].active = 0;
+
+  const res = await request(app)
+    .post('/api/v1/auth/login')
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ email: 'alice@example.com', password: 'secret123' });
+
+  assert.equal(res.status, 403);
+});
+
+test('logout clears the jwt cookie', async () => {
+  const res = await request(app)
+    .post('/api/v1/auth/logout')
+    .set('Authorization', `Bearer ${tokenFor(users[0])}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN);
+
+  assert.equal(res.status, 200);
+  assert.match(getCookie(res, 'jwt'), /^jwt=;/);
+  assert.match(getCookie(res, 'jwt'), /Expires=Thu, 01 Jan 1970/);
+});
+
+test('logout requires authentication', async () => {
+  const res = await request(app)
+    .post('/api/v1/auth/logout')
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN);
+
+  assert.equal(res.status, 401);
+});
+
+test('CSRF: missing cookie token is rejected', async () => {
+  const res = await request(app)
+    .post('/api/v1/auth/login')
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ email: 'alice@example.com', password: 'secret123' });
+
+  assert.equal(res.status, 403);
+  assert.match(res.body.message, /CSRF cookie/);
+});
+
+test('CSRF: missing header/body token is rejected', async () => {
+  const res = await request(app)
+    .post('/api/v1/auth/login')
+    .set('Cookie', csrfCookie())
+    .send({ email: 'alice@example.com', password: 'secret123' });
+
+  assert.equal(res.status, 403);
+  assert.match(res.body.message, /Missing CSRF token/);
+});
+
+test('CSRF: mismatched token is rejected before touching the DB', async () => {
+  const res = await request(app)
+    .post('/api/v1/auth/register')
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', 'something-else')
+    .send({ name: 'Bob', email: 'bob@example.com', password: 'passw0rd' });
+
+  assert.equal(res.status, 403);
+  assert.match(res.body.message, /Invalid CSRF token/);
+  assert.equal(db.calls.length, 0);
+});
+
+test('CSRF: token in body (_csrf) is accepted', async () => {
+  const res = await request(app)
+    .post('/api/v1/auth/login')
+    .set('Cookie', csrfCookie())
+    .send({ email: 'alice@example.com', password: 'secret123', _csrf: CSRF_TOKEN });
+
+  assert.equal(res.status, 200);
+});
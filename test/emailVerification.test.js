@@ -0,0 +1,162 @@
+// test/emailVerification.test.js
+// Verification email on register, the verify link, resending,
+// and the EMAIL_VERIFICATION_POLICY gate in auth.protect.
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const request = require('supertest');
+
+const { app, db, csrfCookie, CSRF_TOKEN, tokenFor, sentEmails, handleUsers, resetAll } = require('./helpers/app');
+
+let users;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+beforeEach(() => {
+  resetAll();
+  users = handleUsers([]);
+
+  // Any protect-only route will do for the policy checks
+  db.handle(/FROM api_keys WHERE user_id = \?/, () => []);
+});
+
+afterEach(() => {
+  delete process.env.EMAIL_VERIFICATION_POLICY;
+});
+
+function register() {
+  return request(app)
+    .post('/api/v1/auth/register')
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ name: 'Alice', email: 'alice@example.com', password: 'secret123' });
+}
+
+function unverifiedUser(overrides = {}) {
+  const user = {
+    id: 1,
+    name: 'Alice',
+    email: 'alice@example.com',
+    role: 'USER',
+    provider: 'local',
+    active: 1,
+    created_at: new Date(),
+    email_verified_at: null,
+    ...overrides,
+  };
+  users.push(user);
+  return user;
+}
+
+function resend(user) {
+  return request(app)
+    .post('/api/v1/auth/resend-verification')
+    .set('Authorization', `Bearer ${tokenFor(user)}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN);
+}
+
+test('register emails a verification link and stores only its hash', async () => {
+  const res = await register();
+
+  assert.equal(res.status, 201);
+  assert.equal(res.body.data.user.email_verified_at, null);
+  assert.equal(sentEmails.length, 1);
+  assert.equal(sentEmails[0].to, 'alice@example.com');
+
+  const [, token] = sentEmails[0].html.match(/\/verify-email\/([0-9a-f]{64})/);
+  assert.equal(users[0].email_verification_token, crypto.createHash('sha256').update(token).digest('hex'));
+});
+
+test('the emailed link verifies the address', async () => {
+  await register();
+  const [, token] = sentEmails[0].html.match(/\/verify-email\/([0-9a-f]{64})/);
+
+  const res = await request(app).get(`/api/v1/auth/verify-email/${token}`);
+
+  assert.equal(res.status, 200);
+  assert.ok(users[0].email_verified_at);
+  assert.equal(users[0].email_verification_token, null);
+
+  // One-time link
+  const again = await request(app).get(`/api/v1/auth/verify-email/${token}`);
+  assert.equal(again.status, 400);
+});
+
+test('an unknown verification token is rejected', async () => {
+  const res = await request(app).get(`/api/v1/auth/verify-email/${'a'.repeat(64)}`);
+  assert.equal(res.status, 400);
+});
+
+test('resend-verification emails a fresh link', async () => {
+  const user = unverifiedUser();
+
+  const res = await resend(user);
+
+  assert.equal(res.status, 200);
+  assert.equal(sentEmails.length, 1);
+  assert.ok(user.email_verification_token);
+});
+
+test('resend-verification refuses already verified accounts', async () => {
+  const user = unverifiedUser({ email_verified_at: new Date() });
+
+  const res = await resend(user);
+
+  assert.equal(res.status, 400);
+  assert.equal(sentEmails.length, 0);
+});
+
+test('resend-verification is rate limited per user', async () => {
+  const user = unverifiedUser();
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await resend(user)).status, 200);
+  }
+
+  const res = await resend(user);
+  assert.equal(res.status, 429);
+});
+
+test('grace policy: unverified accounts are restricted once the grace period ends', async () => {
+  const fresh = unverifiedUser();
+  const stale = unverifiedUser({ id: 2, email: 'old@example.com', created_at: new Date(Date.now() - 8 * DAY) });
+
+  const ok = await request(app)
+    .get('/api/v1/users/me/api-keys')
+    .set('Authorization', `Bearer ${tokenFor(fresh)}`);
+  assert.equal(ok.status, 200);
+
+  const blocked = await request(app)
+    .get('/api/v1/users/me/api-keys')
+    .set('Authorization', `Bearer ${tokenFor(stale)}`);
+  assert.equal(blocked.status, 403);
+  assert.match(blocked.body.message, /verify your email/);
+});
+
+test('strict policy: restricted right away, but /users/me stays reachable', async () => {
+  process.env.EMAIL_VERIFICATION_POLICY = 'strict';
+  const user = unverifiedUser();
+
+  const blocked = await request(app)
+    .get('/api/v1/users/me/api-keys')
+    .set('Authorization', `Bearer ${tokenFor(user)}`);
+  assert.equal(blocked.status, 403);
+
+  const me = await request(app)
+    .get('/api/v1/users/me')
+    .set('Authorization', `Bearer ${tokenFor(user)}`);
+  assert.equal(me.status, 200);
+  assert.equal(me.body.data.user.email_verified_at, null);
+});
+
+test('off policy: unverified accounts are never restricted', async () => {
+  process.env.EMAIL_VERIFICATION_POLICY = 'off';
+  const user = unverifiedUser({ created_at: new Date(Date.now() - 30 * DAY) });
+
+  const res = await request(app)
+    .get('/api/v1/users/me/api-keys')
+    .set('Authorization', `Bearer ${tokenFor(user)}`);
+  assert.equal(res.status, 200);
+});
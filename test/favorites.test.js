@@ -0,0 +1,125 @@
+// test/favorites.test.js
+// Favorites API + paginated favorites page (/users/favorites).
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { app, db, csrfCookie, CSRF_TOKEN, tokenFor, handleUsers, resetAll } = require('./helpers/app');
+
+const user = { id: 1, name: 'Alice', email: 'alice@example.com', role: 'USER', provider: 'local', active: 1 };
+
+// 45 favorites, newest first
+const favorites = Array.from({ length: 45 }, (_, i) => ({
+  id: i + 1,
+  title: `Movie ${i + 1}`,
+  poster_path: null,
+  release_date: null,
+  favorited_at: null,
+}));
+
+beforeEach(() => {
+  resetAll();
+  handleUsers([user]);
+
+  db.handle(/FROM favorite_movies f INNER JOIN movies m .* LIMIT \? OFFSET \?$/, (params) => {
+    const [, limit, offset] = params;
+    return favorites.slice(offset, offset + limit);
+  });
+
+  db.handle(/^SELECT COUNT\(\*\) AS total FROM favorite_movies f INNER JOIN movies m .* WHERE f.user_id = \? AND m.deleted_at IS NULL/, () => [
+    { total: favorites.length },
+  ]);
+});
+
+test('GET /users/favorites redirects guests to /login', async () => {
+  const res = await request(app).get('/users/favorites');
+
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.location, '/login');
+});
+
+test('GET /users/favorites paginates with page + limit', async () => {
+  const res = await request(app)
+    .get('/users/favorites?page=2&limit=20')
+    .set('Cookie', `jwt=${tokenFor(user)}`);
+
+  assert.equal(res.status, 200);
+
+  const [rowsQuery] = db.callsMatching(/LIMIT \? OFFSET \?$/);
+  assert.deepEqual(rowsQuery.params, [user.id, 20, 20]);
+
+  assert.match(res.text, /Movie 21/);
+  assert.doesNotMatch(res.text, /Movie 20</);
+  assert.match(res.text, /Page <strong>2<\/strong> of <strong>3<\/strong>/);
+  assert.match(res.text, /showing 21-40 of 45/);
+  assert.match(res.text, /href="\?page=1&limit=20">Prev/);
+  assert.match(res.text, /href="\?page=3&limit=20">Next/);
+});
+
+test('GET /users/favorites last page is shorter and has no Next link', async () => {
+  const res = await request(app)
+    .get('/users/favorites?page=3&limit=20')
+    .set('Cookie', `jwt=${tokenFor(user)}`);
+
+  assert.equal(res.status, 200);
+  assert.match(res.text, /showing 41-45 of 45/);
+  assert.doesNotMatch(res.text, /href="[^"]*">Next/);
+});
+
+test('GET /users/favorites rejects an invalid page', async () => {
+  const res = await request(app)
+    .get('/users/favorites?page=0')
+    .set('Cookie', `jwt=${tokenFor(user)}`);
+
+  assert.equal(res.status, 400);
+});
+
+test('POST /api/v1/favorites adds a movie', async () => {
+  db.handle(/^SELECT id FROM movies WHERE id = \?/, ([id]) => (id === 5 ? [{ id: 5 }] : []));
+  db.handle(/^INSERT INTO favorite_movies/, () => ({ affectedRows: 1 }));
+
+  const res = await request(app)
+    .post('/api/v1/favorites')
+    .set('Authorization', `Bearer ${tokenFor(user)}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ movieId: 5 });
+
+  assert.equal(res.status, 201);
+});
+
+test('POST /api/v1/favorites returns 404 for unknown movies', async () => {
+  db.handle(/^SELECT id FROM movies WHERE id = \?/, () => []);
+
+  const res = await request(app)
+    .post('/api/v1/favorites')
+    .set('Authorization', `Bearer ${tokenFor(user)}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ movieId: 5 });
+
+  assert.equal(res.status, 404);
+});
+
+test('POST /api/v1/favorites requires CSRF', async () => {
+  const res = await request(app)
+    .post('/api/v1/favorites')
+    .set('Authorization', `Bearer ${tokenFor(user)}`)
+    .send({ movieId: 5 });
+
+  assert.equal(res.status, 403);
+});
+
+test('DELETE /api/v1/favorites/:movieId is idempotent', async () => {
+  db.handle(/^DELETE FROM favorite_movies/, () => ({ affectedRows: 0 }));
+
+  const res = await request(app)
+    .delete('/api/v1/favorites/5')
+    .set('Authorization', `Bearer ${tokenFor(user)}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.message, 'Not in favorites.');
+});
@@ -0,0 +1,357 @@
+// test/helpers/app.js
+// ======================================================
+// Boots src/app.js with test doubles injected:
+// - src/config/db.js      → fakeDb (see ./fakeDb.js)
+// - src/utils/nodemailer  → records sent emails instead of SMTP
+// Rate limits use the in-memory store and are cleared by resetAll().
+// user_sessions is always backed by the `sessions` array (tokenFor()
+// opens one), so every test can authenticate without extra stubs.
+// audit_log INSERTs land in the `auditLog` array; user_identities rows
+// live in `identities` (handled by handleUsers, which owns the users).
+//
+// Modules are swapped in require.cache BEFORE the app is loaded,
+// so every controller/middleware gets the doubles.
+// ======================================================
+
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const { createFakeDb } = require('./fakeDb');
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.API_KEY = 'test-api-key';
+
+const SRC = path.join(__dirname, '..', '..', 'src');
+
+const db = createFakeDb();
+const sentEmails = [];
+
+function inject(modulePath, exports) {
+  const resolved = require.resolve(path.join(SRC, modulePath));
+  require.cache[resolved] = {
+    id: resolved,
+    filename: resolved,
+    loaded: true,
+    exports,
+  };
+}
+
+inject('config/db.js', db);
+inject('utils/nodemailer.js', {
+  sendEmail: async (email) => {
+    sentEmails.push(email);
+  },
+});
+
+const app = require(path.join(SRC, 'app.js'));
+const rateLimits = require(path.join(SRC, 'config', 'rateLimits.js'));
+
+// Double-submit CSRF pair (cookie + header) accepted by requireCsrf
+const CSRF_TOKEN = 'test-csrf-token';
+
+function csrfCookie() {
+  return `csrfToken=${CSRF_TOKEN}`;
+}
+
+// In-memory user_sessions table (src/utils/sessions.js)
+const sessions = [];
+
+function handleSessions() {
+  db.handle(/^INSERT INTO user_sessions \(user_id, family_id, refresh_token_hash, expires_at, user_agent, ip, last_seen_at\)/, ([userId, familyId, hash, expiresAt, userAgent, ip]) => {
+    const session = {
+      id: sessions.length + 1,
+      user_id: userId,
+      family_id: familyId,
+      refresh_token_hash: hash,
+      created_at: new Date(),
+      last_used_at: null,
+      expires_at: expiresAt,
+      revoked_at: null,
+      revoked_reason: null,
+      user_agent: userAgent,
+      ip,
+      last_seen_at: new Date(),
+    };
+    sessions.push(session);
+    return { insertId: session.id, affectedRows: 1 };
+  });
+
+  db.handle(/FROM user_sessions WHERE family_id = \?/, ([familyId]) =>
+    sessions.filter((s) => s.family_id === familyId)
+  );
+
+  db.handle(/FROM user_sessions WHERE id = \? AND revoked_at IS NULL AND expires_at > NOW\(\)/, ([id]) =>
+    sessions.filter((s) => s.id === Number(id) && !s.revoked_at && s.expires_at > new Date())
+  );
+
+  db.handle(/^UPDATE user_sessions SET refresh_token_hash = \?/, ([hash, ip, id, currentHash]) => {
+    const session = sessions.find((s) => s.id === id && s.refresh_token_hash === currentHash && !s.revoked_at);
+    if (!session) return { affectedRows: 0 };
+    Object.assign(session, { refresh_token_hash: hash, last_used_at: new Date(), last_seen_at: new Date(), ip });
+    return { affectedRows: 1 };
+  });
+
+  db.handle(/^UPDATE user_sessions SET last_seen_at = NOW\(\), ip = \?/, ([ip, id]) => {
+    Object.assign(sessions.find((s) => s.id === id), { last_seen_at: new Date(), ip });
+    return { affectedRows: 1 };
+  });
+
+  db.handle(/FROM user_sessions WHERE user_id = \? AND revoked_at IS NULL AND expires_at > NOW\(\)/, ([userId]) =>
+    sessions.filter((s) => s.user_id === userId && !s.revoked_at && s.expires_at > new Date())
+  );
+
+  db.handle(/^UPDATE user_sessions SET revoked_at = NOW\(\), revoked_reason = 'user_revoked' WHERE id = \? AND user_id = \?/, ([id, userId]) => {
+    const session = sessions.find((s) => s.id === id && s.user_id === userId && !s.revoked_at);
+    if (!session) return { affectedRows: 0 };
+    Object.assign(session, { revoked_at: new Date(), revoked_reason: 'user_revoked' });
+    return { affectedRows: 1 };
+  });
+
+  db.handle(/^UPDATE user_sessions SET revoked_at = NOW\(\), revoked_reason = \? WHERE (id|user_id) = \?/, ([reason, id], sql) => {
+    const column = sql.includes('WHERE user_id') ? 'user_id' : 'id';
+    const matching = sessions.filter((s) => s[column] === Number(id) && !s.revoked_at);
+    matching.forEach((s) => Object.assign(s, { revoked_at: new Date(), revoked_reason: reason }));
+    return { affectedRows: matching.length };
+  });
+}
+
+// In-memory audit_log table (src/utils/audit.js)
+const auditLog = [];
+
+function handleAuditLog() {
+  db.handle(/^INSERT INTO audit_log \(actor_user_id, action, target_type, target_id, ip, user_agent, details\)/, ([actorId, action, targetType, targetId, ip, userAgent, details]) => {
+    const entry = {
+      id: auditLog.length + 1,
+      actor_user_id: actorId,
+      action,
+      target_type: targetType,
+      target_id: targetId,
+      ip,
+      user_agent: userAgent,
+      details: details ? JSON.parse(details) : null,
+      created_at: new Date(),
+    };
+    auditLog.push(entry);
+    return { insertId: entry.id, affectedRows: 1 };
+  });
+}
+
+// In-memory user_identities table (src/utils/identities.js)
+const identities = [];
+
+// Access token for an already-open session (like after a real login)
+function tokenFor(user) {
+  const session = {
+    id: sessions.length + 1,
+    user_id: user.id,
+    family_id: `test-family-${sessions.length + 1}`,
+    refresh_token_hash: '',
+    created_at: new Date(),
+    last_used_at: null,
+    expires_at: new Date(Date.now() + 60 * 60 * 1000),
+    revoked_at: null,
+    revoked_reason: null,
+    user_agent: null,
+    ip: null,
+    last_seen_at: new Date(),
+  };
+  sessions.push(session);
+
+  return jwt.sign({ id: user.id, role: user.role, sid: session.id }, process.env.JWT_SECRET, {
+    expiresIn: '1h',
+  });
+}
+
+// Minimal users table backed by an array.
+// Covers lookups by id / email (protect, viewAuth, login, ...) and register INSERTs.
+function handleUsers(users) {
+  db.handle(/FROM users WHERE id = \?/, ([id]) =>
+    users.filter((u) => u.id === Number(id))
+  );
+
+  db.handle(/FROM users WHERE email = \?/, ([email]) =>
+    users.filter((u) => u.email === email)
+  );
+
+  db.handle(/^INSERT INTO users \(name, email, password, provider, provider_id, role, active\)/, ([name, email, password]) => {
+    const user = {
+      id: users.length + 1,
+      name,
+      email,
+      password,
+      role: 'USER',
+      provider: 'local',
+      provider_id: null,
+      active: 1,
+      created_at: new Date(),
+      password_changed_at: null,
+      email_verified_at: null,
+    };
+    users.push(user);
+    return { insertId: user.id, affectedRows: 1 };
+  });
+
+  // Login lockout counters (src/utils/loginLockout.js)
+  db.handle(/^UPDATE users SET failed_login_count = failed_login_count \+ 1/, ([id]) => {
+    const user = users.find((u) => u.id === id);
+    user.failed_login_count = Number(user.failed_login_count || 0) + 1;
+    user.last_failed_login_at = new Date();
+    return { affectedRows: 1 };
+  });
+
+  db.handle(/^UPDATE users SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = \?/, ([lockedUntil, token, expires, id]) => {
+    Object.assign(users.find((u) => u.id === id), {
+      failed_login_count: 0,
+      last_failed_login_at: null,
+      locked_until: lockedUntil,
+      unlock_token: token,
+      unlock_token_expires: expires,
+    });
+    return { affectedRows: 1 };
+  });
+
+  db.handle(/^UPDATE users SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL/, ([id]) => {
+    Object.assign(users.find((u) => u.id === id), {
+      failed_login_count: 0,
+      last_failed_login_at: null,
+      locked_until: null,
+      unlock_token: null,
+      unlock_token_expires: null,
+    });
+    return { affectedRows: 1 };
+  });
+
+  db.handle(/FROM users WHERE unlock_token = \?/, ([token]) =>
+    users.filter((u) => u.unlock_token === token && u.unlock_token_expires > new Date())
+  );
+
+  // Email verification (src/utils/emailVerification.js + authController.verifyEmail)
+  db.handle(/^UPDATE users SET email_verification_token = \?/, ([token, expires, id]) => {
+    Object.assign(users.find((u) => u.id === id), {
+      email_verification_token: token,
+      email_verification_expires: expires,
+    });
+    return { affectedRows: 1 };
+  });
+
+  db.handle(/FROM users WHERE email_verification_token = \?/, ([token]) =>
+    users.filter((u) => u.email_verification_token === token && u.email_verification_expires > new Date())
+  );
+
+  db.handle(/^UPDATE users SET email_verified_at = NOW\(\)/, ([id]) => {
+    Object.assign(users.find((u) => u.id === id), {
+      email_verified_at: new Date(),
+      email_verification_token: null,
+      email_verification_expires: null,
+    });
+    return { affectedRows: 1 };
+  });
+
+  // Linked identities (src/utils/identities.js)
+  db.handle(/FROM user_identities i INNER JOIN users u ON u.id = i.user_id WHERE i.provider = \? AND i.provider_subject = \?/, ([provider, subject]) => {
+    const identity = identities.find((i) => i.provider === provider && i.provider_subject === subject);
+    return identity ? users.filter((u) => u.id === identity.user_id) : [];
+  });
+
+  db.handle(/FROM user_identities WHERE user_id = \? AND provider = \?/, ([userId, provider]) =>
+    identities.filter((i) => i.user_id === userId && i.provider === provider)
+  );
+
+  db.handle(/FROM user_identities WHERE user_id = \? ORDER BY/, ([userId]) =>
+    identities.filter((i) => i.user_id === userId)
+  );
+
+  db.handle(/^INSERT INTO user_identities/, ([userId, provider, subject, email]) => {
+    if (identities.some((i) => (i.provider === provider && i.provider_subject === subject)
+      || (i.user_id === userId && i.provider === provider))) {
+      throw Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' });
+    }
+    identities.push({ id: identities.length + 1, user_id: userId, provider, provider_subject: subject, email, created_at: new Date(), last_used_at: new Date() });
+    return { insertId: identities.length, affectedRows: 1 };
+  });
+
+  db.handle(/^DELETE FROM user_identities WHERE user_id = \? AND provider = \?/, ([userId, provider]) => {
+    const index = identities.findIndex((i) => i.user_id === userId && i.provider === provider);
+    if (index === -1) return { affectedRows: 0 };
+    identities.splice(index, 1);
+    return { affectedRows: 1 };
+  });
+
+  db.handle(/^UPDATE user_identities SET last_used_at = NOW\(\)/, () => ({ affectedRows: 1 }));
+
+  // Summary columns users.provider / provider_id (link, then unlink)
+  db.handle(/^UPDATE users SET provider = \?, provider_id = \? WHERE id = \?/, ([provider, subject, userId], sql) => {
+    const user = users.find((u) => u.id === userId);
+    if (!user || (sql.includes("AND provider = 'local'") && user.provider !== 'local')) return { affectedRows: 0 };
+    Object.assign(user, { provider, provider_id: subject });
+    return { affectedRows: 1 };
+  });
+
+  db.handle(/^UPDATE users SET provider = 'local', provider_id = NULL WHERE id = \? AND provider = \?/, ([userId, provider]) => {
+    const user = users.find((u) => u.id === userId && u.provider === provider);
+    if (!user) return { affectedRows: 0 };
+    Object.assign(user, { provider: 'local', provider_id: null });
+    return { affectedRows: 1 };
+  });
+
+  // Linking a provider that vouches for the account email (identityController)
+  db.handle(/^UPDATE users SET email_verified_at = COALESCE\(email_verified_at, NOW\(\)\) WHERE id = \?/, ([userId]) => {
+    const user = users.find((u) => u.id === userId);
+    if (user && !user.email_verified_at) user.email_verified_at = new Date();
+    return { affectedRows: user ? 1 : 0 };
+  });
+
+  // New account from an external provider (oidcAuthController)
+  db.handle(/^INSERT INTO users \(name, email, password, provider, provider_id, role, active, email_verified_at\)/, ([name, email, provider, providerId]) => {
+    const user = {
+      id: users.length + 1,
+      name,
+      email,
+      password: null,
+      role: 'USER',
+      provider,
+      provider_id: providerId,
+      active: 1,
+      created_at: new Date(),
+      password_changed_at: null,
+      email_verified_at: new Date(),
+    };
+    users.push(user);
+    return { insertId: user.id, affectedRows: 1 };
+  });
+
+  db.handle(/\(u.password IS NOT NULL\) AS has_password/, ([userId]) =>
+    users.filter((u) => u.id === userId).map((u) => ({
+      has_password: u.password ? 1 : 0,
+      identities: identities.filter((i) => i.user_id === u.id).length,
+    }))
+  );
+
+  return users;
+}
+
+function resetAll() {
+  db.reset();
+  sentEmails.length = 0;
+  sessions.length = 0;
+  auditLog.length = 0;
+  identities.length = 0;
+  rateLimits.store.reset();
+  handleSessions();
+  handleAuditLog();
+}
+
+module.exports = {
+  app,
+  db,
+  sentEmails,
+  sessions,
+  auditLog,
+  identities,
+  CSRF_TOKEN,
+  csrfCookie,
+  tokenFor,
+  handleUsers,
+  resetAll,
+};
@@ -0,0 +1,69 @@
+// test/helpers/fakeDb.js
+// ======================================================
+// In-memory stand-in for src/config/db.js (mysql2 pool).
+//
+// Tests register handlers for the SQL they expect:
+//   db.handle(/^SELECT id FROM users WHERE email = \?/, ([email]) => rows)
+//
+// - SQL is whitespace-normalized before matching
+// - the LAST registered matching handler wins (per-test overrides)
+// - a query with no handler throws, so missing stubs fail loudly
+// - every query is recorded in db.calls for assertions
+// ======================================================
+
+function normalizeSql(sql) {
+  return String(sql).replace(/\s+/g, ' ').trim();
+}
+
+function createFakeDb() {
+  const handlers = [];
+  const calls = [];
+
+  const db = {
+    calls,
+
+    handle(pattern, fn) {
+      handlers.push({ pattern, fn });
+      return db;
+    },
+
+    reset() {
+      handlers.length = 0;
+      calls.length = 0;
+    },
+
+    // Find recorded calls whose SQL matches pattern
+    callsMatching(pattern) {
+      return calls.filter((call) => pattern.test(call.sql));
+    },
+
+    async query(sql, params = []) {
+      const normalized = normalizeSql(sql);
+      calls.push({ sql: normalized, params });
+
+      for (let i = handlers.length - 1; i >= 0; i -= 1) {
+        if (handlers[i].pattern.test(normalized)) {
+          const result = await handlers[i].fn(params, normalized);
+          return [result, []];
+        }
+      }
+
+      throw new Error(`fakeDb: no handler for query: ${normalized}`);
+    },
+
+    // Same API as pool.getConnection() (transactions are no-ops)
+    async getConnection() {
+      return {
+        query: db.query,
+        beginTransaction: async () => {},
+        commit: async () => {},
+        rollback: async () => {},
+        release: () => {},
+      };
+    },
+  };
+
+  return db;
+}
+
+module.exports = { createFakeDb };
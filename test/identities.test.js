@@ -0,0 +1,178 @@
+// test/identities.test.js
+// Linked sign-in methods: list, link / unlink Google, set a password
+// for Google-only accounts, and never removing the last login method.
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const { OAuth2Client } = require('google-auth-library');
+
+const { app, db, identities, csrfCookie, CSRF_TOKEN, tokenFor, handleUsers, resetAll } = require('./helpers/app');
+
+let users;
+let googleSub;
+let verify;
+
+beforeEach(async () => {
+  resetAll();
+  users = handleUsers([
+    {
+      id: 1,
+      name: 'Alice',
+      email: 'alice@example.com',
+      password: await bcrypt.hash('secret123', 4),
+      role: 'USER',
+      provider: 'local',
+      provider_id: null,
+      active: 1,
+      created_at: new Date(),
+      email_verified_at: new Date(),
+    },
+    {
+      id: 2,
+      name: 'Gina',
+      email: 'gina@example.com',
+      password: null,
+      role: 'USER',
+      provider: 'google',
+      provider_id: 'google-sub-2',
+      active: 1,
+      created_at: new Date(),
+      email_verified_at: new Date(),
+    },
+  ]);
+  identities.push({ id: 1, user_id: 2, provider: 'google', provider_subject: 'google-sub-2', email: 'gina@example.com' });
+
+  db.handle(/^UPDATE users SET password = \?, password_changed_at = NOW\(\) WHERE id = \? AND password IS NULL/, ([hash, id]) => {
+    const user = users.find((u) => u.id === id && !u.password);
+    if (!user) return { affectedRows: 0 };
+    Object.assign(user, { password: hash, password_changed_at: new Date(Date.now() - 2000) });
+    return { affectedRows: 1 };
+  });
+  db.handle(/password_change_count, password_change_window_start FROM users/, () => [
+    { password_change_count: 0, password_change_window_start: new Date() },
+  ]);
+  db.handle(/^UPDATE users SET password_change_count = COALESCE/, () => ({ affectedRows: 1 }));
+
+  process.env.GOOGLE_CLIENT_ID = 'test-google-client';
+  googleSub = 'google-sub-1';
+  verify = mock.method(OAuth2Client.prototype, 'verifyIdToken', async () => ({
+    getPayload: () => ({ sub: googleSub, email: 'alice@example.com', email_verified: true, name: 'Alice' }),
+  }));
+});
+
+afterEach(() => {
+  verify.mock.restore();
+});
+
+function send(method, path, body, user) {
+  return request(app)[method](path)
+    .set('Authorization', `Bearer ${tokenFor(user)}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send(body);
+}
+
+function googleLogin() {
+  return request(app)
+    .post('/api/v1/auth/google')
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ credential: 'fake-id-token' });
+}
+
+test('lists the password and linked identities', async () => {
+  const res = await request(app)
+    .get('/api/v1/users/me/identities')
+    .set('Authorization', `Bearer ${tokenFor(users[1])}`);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.hasPassword, false);
+  assert.deepEqual(res.body.data.identities.map((i) => i.provider), ['google']);
+});
+
+test('Google sign-in does not silently take over an existing email account', async () => {
+  const res = await googleLogin();
+
+  assert.equal(res.status, 409);
+  assert.equal(identities.length, 1);
+  assert.equal(users[0].provider, 'local');
+});
+
+test('linking Google needs the password; afterwards Google sign-in works', async () => {
+  const wrong = await send('post', '/api/v1/users/me/identities/google', { credential: 'fake-id-token', password: 'nope12' }, users[0]);
+  assert.equal(wrong.status, 401);
+
+  const res = await send('post', '/api/v1/users/me/identities/google', { credential: 'fake-id-token', password: 'secret123' }, users[0]);
+
+  assert.equal(res.status, 201);
+  assert.equal(res.body.data.hasPassword, true);
+  assert.deepEqual(res.body.data.identities.map((i) => i.provider), ['google']);
+  assert.equal(users[0].provider_id, 'google-sub-1');
+
+  const login = await googleLogin();
+  assert.equal(login.status, 200);
+  assert.ok(login.body.token);
+});
+
+test('a Google account linked to someone else cannot be linked again', async () => {
+  googleSub = 'google-sub-2';
+
+  const res = await send('post', '/api/v1/users/me/identities/google', { credential: 'fake-id-token', password: 'secret123' }, users[0]);
+
+  assert.equal(res.status, 409);
+  assert.equal(identities.filter((i) => i.user_id === 1).length, 0);
+});
+
+test('the last login method cannot be unlinked', async () => {
+  const res = await send('delete', '/api/v1/users/me/identities/google', {}, users[1]);
+
+  assert.equal(res.status, 400);
+  assert.equal(identities.length, 1);
+});
+
+test('Google can be unlinked when a password is set', async () => {
+  identities.push({ id: 2, user_id: 1, provider: 'google', provider_subject: 'google-sub-1' });
+  Object.assign(users[0], { provider: 'google', provider_id: 'google-sub-1' });
+
+  const res = await send('delete', '/api/v1/users/me/identities/google', {}, users[0]);
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.data.identities, []);
+  assert.equal(users[0].provider, 'local');
+  assert.equal(users[0].provider_id, null);
+});
+
+test('a Google-only user can set a password after confirming with Google', async () => {
+  const body = { newPassword: 'newpass123', newPasswordConfirm: 'newpass123', credential: 'fake-id-token' };
+
+  const otherGoogle = await send('post', '/api/v1/auth/set-password', body, users[1]);
+  assert.equal(otherGoogle.status, 401);
+  assert.equal(users[1].password, null);
+
+  googleSub = 'google-sub-2';
+  const res = await send('post', '/api/v1/auth/set-password', body, users[1]);
+
+  assert.equal(res.status, 200);
+  assert.ok(res.body.token);
+  assert.ok(await bcrypt.compare('newpass123', users[1].password));
+
+  // Now Google can be unlinked
+  const unlink = await request(app)
+    .delete('/api/v1/users/me/identities/google')
+    .set('Authorization', `Bearer ${res.body.token}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN);
+  assert.equal(unlink.status, 200);
+});
+
+test('set-password is refused when the account already has one', async () => {
+  const res = await send('post', '/api/v1/auth/set-password', {
+    newPassword: 'newpass123',
+    newPasswordConfirm: 'newpass123',
+    credential: 'fake-id-token',
+  }, users[0]);
+
+  assert.equal(res.status, 400);
+});
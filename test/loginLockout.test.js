@@ -0,0 +1,164 @@
+// test/loginLockout.test.js
+// Failed-login tracking, progressive delay, lockout + unlock
+// (email link and admin endpoint), and the Google login path.
+
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const { OAuth2Client } = require('google-auth-library');
+
+const { app, db, csrfCookie, CSRF_TOKEN, tokenFor, sentEmails, identities, handleUsers, resetAll } = require('./helpers/app');
+
+let users;
+
+const admin = { id: 2, name: 'Admin', email: 'admin@example.com', role: 'ADMIN', provider: 'local', active: 1 };
+
+beforeEach(async () => {
+  resetAll();
+  users = handleUsers([
+    {
+      id: 1,
+      name: 'Alice',
+      email: 'alice@example.com',
+      password: await bcrypt.hash('secret123', 4),
+      role: 'USER',
+      provider: 'local',
+      active: 1,
+      failed_login_count: 0,
+      last_failed_login_at: null,
+      locked_until: null,
+    },
+    admin,
+  ]);
+});
+
+function login(password) {
+  return request(app)
+    .post('/api/v1/auth/login')
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ email: 'alice@example.com', password });
+}
+
+// Pretend the last failure happened long ago (skip the progressive delay)
+function expireDelay() {
+  users[0].last_failed_login_at = new Date(Date.now() - 60 * 60 * 1000);
+}
+
+test('a wrong password increments failed_login_count', async () => {
+  const res = await login('wrong123');
+
+  assert.equal(res.status, 401);
+  assert.equal(users[0].failed_login_count, 1);
+});
+
+test('progressive delay rejects attempts that come too fast', async () => {
+  users[0].failed_login_count = 3; // next attempt waits 4s
+  users[0].last_failed_login_at = new Date();
+
+  const res = await login('secret123');
+
+  assert.equal(res.status, 429);
+  assert.ok(Number(res.headers['retry-after']) >= 1);
+});
+
+test('the 5th failure locks the account and emails an unlock link', async () => {
+  users[0].failed_login_count = 4;
+  expireDelay();
+
+  const res = await login('wrong123');
+
+  assert.equal(res.status, 423);
+  assert.ok(users[0].locked_until > new Date());
+  assert.equal(sentEmails.length, 1);
+  assert.match(sentEmails[0].html, /\/api\/v1\/auth\/unlock-account\/[0-9a-f]{64}/);
+
+  // Even the right password is refused while locked
+  const again = await login('secret123');
+  assert.equal(again.status, 423);
+});
+
+test('a successful login clears the counters', async () => {
+  users[0].failed_login_count = 2;
+  expireDelay();
+
+  const res = await login('secret123');
+
+  assert.equal(res.status, 200);
+  assert.equal(users[0].failed_login_count, 0);
+});
+
+test('the emailed unlock link clears the lockout', async () => {
+  users[0].failed_login_count = 4;
+  expireDelay();
+  await login('wrong123');
+
+  const [, token] = sentEmails[0].html.match(/unlock-account\/([0-9a-f]{64})/);
+  assert.equal(users[0].unlock_token, crypto.createHash('sha256').update(token).digest('hex'));
+
+  const res = await request(app).get(`/api/v1/auth/unlock-account/${token}`);
+  assert.equal(res.status, 200);
+  assert.equal(users[0].locked_until, null);
+
+  const after = await login('secret123');
+  assert.equal(after.status, 200);
+});
+
+test('an unknown unlock token is rejected', async () => {
+  const res = await request(app).get(`/api/v1/auth/unlock-account/${'a'.repeat(64)}`);
+  assert.equal(res.status, 400);
+});
+
+test('ADMIN can clear a lockout', async () => {
+  users[0].locked_until = new Date(Date.now() + 10 * 60 * 1000);
+
+  const res = await request(app)
+    .patch('/api/v1/admin/users/1/unlock')
+    .set('Authorization', `Bearer ${tokenFor(admin)}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN);
+
+  assert.equal(res.status, 200);
+  assert.equal(users[0].locked_until, null);
+});
+
+test('non-admins cannot clear a lockout', async () => {
+  users[0].locked_until = new Date(Date.now() + 10 * 60 * 1000);
+
+  const res = await request(app)
+    .patch('/api/v1/admin/users/1/unlock')
+    .set('Authorization', `Bearer ${tokenFor(users[0])}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN);
+
+  assert.equal(res.status, 403);
+  assert.ok(users[0].locked_until);
+});
+
+test('a locked account cannot sign in with Google either', async () => {
+  process.env.GOOGLE_CLIENT_ID = 'test-google-client';
+  users[0].provider = 'google';
+  users[0].provider_id = 'google-sub-1';
+  users[0].locked_until = new Date(Date.now() + 10 * 60 * 1000);
+
+  identities.push({ user_id: 1, provider: 'google', provider_subject: 'google-sub-1' });
+
+  const verify = mock.method(OAuth2Client.prototype, 'verifyIdToken', async () => ({
+    getPayload: () => ({ sub: 'google-sub-1', email: 'alice@example.com', email_verified: true, name: 'Alice' }),
+  }));
+
+  try {
+    const res = await request(app)
+      .post('/api/v1/auth/google')
+      .set('Cookie', csrfCookie())
+      .set('x-csrf-token', CSRF_TOKEN)
+      .send({ credential: 'fake-id-token' });
+
+    assert.equal(res.status, 423);
+    assert.ok(Number(res.headers['retry-after']) > 0);
+  } finally {
+    verify.mock.restore();
+  }
+});
@@ -0,0 +1,495 @@
+// test/movies.test.js
+// Movie CRUD + ownership rules (owner or ADMIN may update/delete).
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { app, db, tokenFor, handleUsers, resetAll } = require('./helpers/app');
+
+const owner = { id: 1, name: 'Owner', email: 'owner@example.com', role: 'USER', provider: 'local', active: 1 };
+const other = { id: 2, name: 'Other', email: 'other@example.com', role: 'USER', provider: 'local', active: 1 };
+const admin = { id: 3, name: 'Admin', email: 'admin@example.com', role: 'ADMIN', provider: 'local', active: 1 };
+
+let movies;
+let revisions;
+
+// Tiny movies table: writes honor
+// "WHERE id = ? [AND owner_id = ?] AND deleted_at IS [NOT] NULL [AND version IN (?)]"
+function whereMatches(sql, params) {
+  const conditions = sql.slice(sql.lastIndexOf(' WHERE ') + 7).split(' AND ');
+  const whereParams = params.slice(params.length - conditions.filter((c) => c.includes('?')).length);
+
+  return (movie) => {
+    let next = 0;
+
+    return conditions.every((condition) => {
+      if (condition === 'deleted_at IS NULL') return !movie.deleted_at;
+      if (condition === 'deleted_at IS NOT NULL') return Boolean(movie.deleted_at);
+
+      const param = whereParams[next++];
+      if (condition === 'id = ?') return movie.id === param;
+      if (condition === 'owner_id = ?') return movie.owner_id === param;
+      if (condition === 'version IN (?)') return param.includes(movie.version);
+      throw new Error(`unexpected condition: ${condition}`);
+    });
+  };
+}
+
+// "SET a = ?, deleted_at = NOW(), version = version + 1"
+function applySet(movie, sql, params) {
+  const assignments = /SET (.*) WHERE/.exec(sql)[1].split(', ');
+  let i = 0;
+
+  for (const assignment of assignments) {
+    const [column, value] = assignment.split(' = ');
+
+    if (value === '?') movie[column] = params[i++];
+    else if (value === 'NOW()') movie[column] = new Date();
+    else if (value === 'NULL') movie[column] = null;
+    else if (value === 'version + 1') movie.version += 1;
+    else throw new Error(`unexpected assignment: ${assignment}`);
+  }
+
+  movie.updated_at = new Date();
+}
+
+function handleMovies() {
+  db.handle(/^SELECT (\*|id|id, owner_id|id, owner_id, deleted_at) FROM movies WHERE id = \?/, ([id], sql) =>
+    movies
+      .filter((m) => m.id === Number(id) && (!sql.includes('deleted_at IS NULL') || !m.deleted_at))
+      .map((m) => ({ ...m }))
+  );
+
+  db.handle(/^INSERT INTO movies \(/, (params) => {
+    const movie = { id: movies.length + 1, owner_id: params[0], title: params[1], genre_ids: params[14], version: 1 };
+    movies.push(movie);
+    return { insertId: movie.id, affectedRows: 1 };
+  });
+
+  db.handle(/^UPDATE movies SET .* WHERE id = \?/, (params, sql) => {
+    const movie = movies.find(whereMatches(sql, params));
+    if (movie) applySet(movie, sql, params);
+    return { affectedRows: movie ? 1 : 0 };
+  });
+
+  db.handle(/^DELETE FROM movie_genres WHERE movie_id = \?/, () => ({ affectedRows: 0 }));
+  db.handle(/^INSERT INTO movie_genres/, () => ({ affectedRows: 0 }));
+  db.handle(/FROM movie_genres mg INNER JOIN genres g/, () => []);
+}
+
+// movie_revisions (+ editor name from users)
+function handleRevisions() {
+  const users = [owner, other, admin];
+  const view = (r) => ({ ...r, editor_name: users.find((u) => u.id === r.editor_user_id)?.name ?? null });
+
+  db.handle(/^INSERT IGNORE INTO movie_revisions/, ([movie_id, revision, editor_user_id, action, reverted_from, snapshot]) => {
+    if (revisions.some((r) => r.movie_id === movie_id && r.revision === revision)) return { affectedRows: 0 };
+    revisions.push({ movie_id, revision, editor_user_id, action, reverted_from, snapshot, created_at: new Date() });
+    return { affectedRows: 1 };
+  });
+
+  db.handle(/FROM movie_revisions r .* WHERE r.movie_id = \? AND r.revision = \? LIMIT 1$/, ([movieId, revision]) =>
+    revisions.filter((r) => r.movie_id === movieId && r.revision === revision).map(view)
+  );
+
+  db.handle(/FROM movie_revisions r .* ORDER BY r.revision DESC LIMIT \? OFFSET \?$/, ([movieId, limit, offset]) =>
+    revisions
+      .filter((r) => r.movie_id === movieId)
+      .sort((a, b) => b.revision - a.revision)
+      .slice(offset, offset + limit)
+      .map(view)
+  );
+
+  db.handle(/^SELECT COUNT\(\*\) AS total FROM movie_revisions r WHERE r.movie_id = \?/, ([movieId]) => [
+    { total: revisions.filter((r) => r.movie_id === movieId).length },
+  ]);
+
+  db.handle(/^SELECT MAX\(revision\) AS revision FROM movie_revisions WHERE movie_id = \?/, ([movieId, below], sql) => {
+    const numbers = revisions
+      .filter((r) => r.movie_id === movieId && (!sql.includes('revision < ?') || r.revision < below))
+      .map((r) => r.revision);
+    return [{ revision: numbers.length ? Math.max(...numbers) : null }];
+  });
+}
+
+function api(method, url, user) {
+  const req = request(app)[method](url).set('x-api-key', process.env.API_KEY);
+  return user ? req.set('Authorization', `Bearer ${tokenFor(user)}`) : req;
+}
+
+beforeEach(() => {
+  resetAll();
+  handleUsers([owner, other, admin]);
+  movies = [{ id: 1, owner_id: owner.id, title: 'Original title', genre_ids: '[]', version: 1, updated_at: new Date('2024-05-01T10:00:00Z') }];
+  revisions = [];
+  handleMovies();
+  handleRevisions();
+});
+
+test('GET /movies/:id returns 404 for unknown movies', async () => {
+  const res = await api('get', '/api/v1/movies/99');
+  assert.equal(res.status, 404);
+});
+
+test('GET /movies/:id rejects invalid ids', async () => {
+  const res = await api('get', '/api/v1/movies/abc');
+  assert.equal(res.status, 400);
+});
+
+test('POST /movies requires authentication', async () => {
+  const res = await api('post', '/api/v1/movies').send({ title: 'New' });
+  assert.equal(res.status, 401);
+});
+
+test('POST /movies requires a title', async () => {
+  const res = await api('post', '/api/v1/movies', owner).send({ overview: 'No title' });
+  assert.equal(res.status, 400);
+});
+
+test('POST /movies creates a movie owned by the current user', async () => {
+  const res = await api('post', '/api/v1/movies', other).send({ title: 'New movie', genre_ids: [28] });
+
+  assert.equal(res.status, 201);
+  assert.equal(res.body.data.movie.title, 'New movie');
+  assert.equal(res.body.data.movie.owner_id, other.id);
+});
+
+test('PATCH /movies/:id: owner can update', async () => {
+  const res = await api('patch', '/api/v1/movies/1', owner).send({ title: 'By owner' });
+
+  assert.equal(res.status, 200);
+  assert.equal(movies[0].title, 'By owner');
+});
+
+test('PATCH /movies/:id: other users cannot update', async () => {
+  const res = await api('patch', '/api/v1/movies/1', other).send({ title: 'By other' });
+
+  assert.equal(res.status, 403);
+  assert.equal(movies[0].title, 'Original title');
+});
+
+test('PATCH /movies/:id: ADMIN can update any movie', async () => {
+  const res = await api('patch', '/api/v1/movies/1', admin).send({ title: 'By admin' });
+
+  assert.equal(res.status, 200);
+  assert.equal(movies[0].title, 'By admin');
+});
+
+test('PATCH /movies/:id never lets the body change owner_id', async () => {
+  const res = await api('patch', '/api/v1/movies/1', owner).send({ title: 'x', owner_id: other.id });
+
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.errors, [{ field: 'owner_id', message: 'owner_id is not an allowed field' }]);
+  assert.equal(db.callsMatching(/^UPDATE movies/).length, 0);
+  assert.equal(movies[0].owner_id, owner.id);
+});
+
+test('PATCH /movies/:id only uses whitelisted columns and coerces types', async () => {
+  const res = await api('patch', '/api/v1/movies/1', owner)
+    .send({ title: 'Typed', vote_count: '12', adult: 'false', release_date: '2020-02-29' });
+
+  assert.equal(res.status, 200);
+
+  const [update] = db.callsMatching(/^UPDATE movies/);
+  assert.match(update.sql, /SET title = \?, release_date = \?, vote_count = \?, adult = \?, version = version \+ 1 WHERE/);
+  assert.deepEqual(update.params.slice(0, 4), ['Typed', '2020-02-29', 12, 0]);
+});
+
+test('movie bodies are validated with per-field errors', async () => {
+  const res = await api('post', '/api/v1/movies', owner).send({
+    title: '   ',
+    release_date: '2021-02-30',
+    vote_average: 11,
+    original_language: 'english',
+    genre_ids: [28, 'x'],
+    'title = 1, owner_id': 2,
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.status, 'fail');
+  assert.deepEqual(res.body.errors.map((e) => e.field).sort(), [
+    'genre_ids',
+    'original_language',
+    'release_date',
+    'title',
+    'title = 1, owner_id',
+    'vote_average',
+  ]);
+  assert.equal(db.callsMatching(/^INSERT INTO movies/).length, 0);
+
+  const empty = await api('patch', '/api/v1/movies/1', owner).send({});
+  assert.equal(empty.status, 400);
+});
+
+test('DELETE /movies/:id: other users cannot delete', async () => {
+  const res = await api('delete', '/api/v1/movies/1', other);
+
+  assert.equal(res.status, 403);
+  assert.equal(movies[0].deleted_at, undefined);
+});
+
+test('DELETE /movies/:id: owner can delete (moves it to the trash)', async () => {
+  const res = await api('delete', '/api/v1/movies/1', owner);
+
+  assert.equal(res.status, 200);
+  assert.ok(movies[0].deleted_at);
+  assert.equal(db.callsMatching(/^DELETE FROM movies/).length, 0);
+
+  const gone = await api('get', '/api/v1/movies/1');
+  assert.equal(gone.status, 404);
+});
+
+test('DELETE /movies/:id: ADMIN can delete any movie', async () => {
+  const res = await api('delete', '/api/v1/movies/1', admin);
+
+  assert.equal(res.status, 200);
+  assert.ok(movies[0].deleted_at);
+});
+
+test('GET /movies/:id sends ETag + Last-Modified and answers If-None-Match with 304', async () => {
+  const res = await api('get', '/api/v1/movies/1');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.etag, '"1-1"');
+  assert.equal(res.headers['last-modified'], 'Wed, 01 May 2024 10:00:00 GMT');
+
+  const cached = await api('get', '/api/v1/movies/1').set('If-None-Match', '"1-1"');
+  assert.equal(cached.status, 304);
+});
+
+test('PATCH /movies/:id returns the updated movie and its new ETag', async () => {
+  const res = await api('patch', '/api/v1/movies/1', owner)
+    .set('If-Match', '"1-1"')
+    .send({ title: 'Edited' });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.movie.title, 'Edited');
+  assert.equal(res.body.data.movie.version, 2);
+  assert.equal(res.headers.etag, '"1-2"');
+});
+
+test('PATCH /movies/:id with a stale If-Match is refused with 412', async () => {
+  // Editor A saves first
+  await api('patch', '/api/v1/movies/1', owner).set('If-Match', '"1-1"').send({ title: 'From A' });
+
+  // Editor B still has version 1
+  const res = await api('patch', '/api/v1/movies/1', admin).set('If-Match', 'W/"1-1"').send({ title: 'From B' });
+
+  assert.equal(res.status, 412);
+  assert.equal(movies[0].title, 'From A');
+
+  // Not the owner: still a plain 403 (do not reveal the version)
+  const forbidden = await api('patch', '/api/v1/movies/1', other).set('If-Match', '"1-1"').send({ title: 'From C' });
+  assert.equal(forbidden.status, 403);
+});
+
+test('DELETE /movies/:id honors If-Match', async () => {
+  const stale = await api('delete', '/api/v1/movies/1', owner).set('If-Match', '"1-7"');
+  assert.equal(stale.status, 412);
+  assert.equal(movies[0].deleted_at, undefined);
+
+  const res = await api('delete', '/api/v1/movies/1', owner).set('If-Match', '"1-1"');
+  assert.equal(res.status, 200);
+  assert.ok(movies[0].deleted_at);
+});
+
+test('PUT /movies/:id replaces the whole movie', async () => {
+  movies[0].overview = 'Old overview';
+  movies[0].vote_count = 99;
+
+  const res = await api('put', '/api/v1/movies/1', owner).send({ title: 'Replaced', genre_ids: [18] });
+
+  assert.equal(res.status, 200);
+  assert.equal(movies[0].title, 'Replaced');
+  assert.equal(movies[0].overview, null);
+  assert.equal(movies[0].vote_count, 0);
+  assert.equal(movies[0].genre_ids, '[18]');
+
+  const missingTitle = await api('put', '/api/v1/movies/1', owner).send({ overview: 'No title' });
+  assert.equal(missingTitle.status, 400);
+
+  const notOwner = await api('put', '/api/v1/movies/1', other).send({ title: 'Mine now' });
+  assert.equal(notOwner.status, 403);
+});
+
+test('PATCH with merge-patch+json: null resets a field, title cannot be removed', async () => {
+  movies[0].overview = 'Old overview';
+
+  const res = await api('patch', '/api/v1/movies/1', owner)
+    .set('Content-Type', 'application/merge-patch+json')
+    .send(JSON.stringify({ overview: null, adult: null, vote_count: 5 }));
+
+  assert.equal(res.status, 200);
+  assert.equal(movies[0].overview, null);
+  assert.equal(movies[0].adult, 0);
+  assert.equal(movies[0].vote_count, 5);
+
+  const noTitle = await api('patch', '/api/v1/movies/1', owner)
+    .set('Content-Type', 'application/merge-patch+json')
+    .send(JSON.stringify({ title: null }));
+  assert.equal(noTitle.status, 400);
+});
+
+function jsonPatch(user, ops) {
+  return api('patch', '/api/v1/movies/1', user)
+    .set('Content-Type', 'application/json-patch+json')
+    .send(JSON.stringify(ops));
+}
+
+test('PATCH with json-patch+json edits fields and genre_ids', async () => {
+  movies[0].genre_ids = '[28,12,16]';
+
+  const res = await jsonPatch(owner, [
+    { op: 'test', path: '/title', value: 'Original title' },
+    { op: 'replace', path: '/title', value: 'Patched' },
+    { op: 'remove', path: '/genre_ids/1' },
+    { op: 'add', path: '/genre_ids/-', value: 18 },
+    { op: 'move', from: '/genre_ids/0', path: '/genre_ids/-' },
+  ]);
+
+  assert.equal(res.status, 200);
+  assert.equal(movies[0].title, 'Patched');
+  assert.equal(movies[0].genre_ids, '[16,18,28]');
+
+  const [update] = db.callsMatching(/^UPDATE movies/);
+  assert.match(update.sql, /SET title = \?, genre_ids = \?, version = version \+ 1 WHERE id = \? AND owner_id = \? AND deleted_at IS NULL AND version IN \(\?\)$/);
+});
+
+test('PATCH with json-patch+json: failed test, bad paths and bad results', async () => {
+  const failedTest = await jsonPatch(owner, [
+    { op: 'test', path: '/title', value: 'Something else' },
+    { op: 'replace', path: '/title', value: 'Never' },
+  ]);
+  assert.equal(failedTest.status, 409);
+
+  const missingPath = await jsonPatch(owner, [{ op: 'remove', path: '/genre_ids/5' }]);
+  assert.equal(missingPath.status, 422);
+
+  const badOp = await jsonPatch(owner, [{ op: 'merge', path: '/title' }]);
+  assert.equal(badOp.status, 400);
+
+  const owner_id = await jsonPatch(owner, [{ op: 'add', path: '/owner_id', value: other.id }]);
+  assert.equal(owner_id.status, 400);
+  assert.equal(owner_id.body.errors[0].field, 'owner_id');
+
+  const notOwner = await jsonPatch(other, [{ op: 'replace', path: '/title', value: 'Mine' }]);
+  assert.equal(notOwner.status, 403);
+
+  assert.equal(movies[0].title, 'Original title');
+  assert.equal(db.callsMatching(/^UPDATE movies/).length, 0);
+});
+
+test('trashed movies can be listed and restored by their owner, and are not editable', async () => {
+  await api('delete', '/api/v1/movies/1', owner);
+
+  const patch = await api('patch', '/api/v1/movies/1', owner).send({ title: 'In the trash' });
+  assert.equal(patch.status, 403);
+
+  db.handle(/^SELECT \* FROM movies WHERE deleted_at IS NOT NULL/, (params, sql) =>
+    movies.filter((m) => m.deleted_at && (!sql.includes('owner_id = ?') || m.owner_id === params[0]))
+  );
+  db.handle(/^SELECT COUNT\(\*\) AS total FROM movies WHERE deleted_at IS NOT NULL/, (params, sql) => [
+    { total: movies.filter((m) => m.deleted_at && (!sql.includes('owner_id = ?') || m.owner_id === params[0])).length },
+  ]);
+
+  const trash = await api('get', '/api/v1/movies/trash', owner);
+  assert.equal(trash.status, 200);
+  assert.deepEqual(trash.body.data.movies.map((m) => m.id), [1]);
+  assert.equal(trash.body.meta.retentionDays, 30);
+  assert.equal(
+    new Date(trash.body.data.movies[0].purge_after) - movies[0].deleted_at,
+    30 * 24 * 60 * 60 * 1000
+  );
+
+  const otherTrash = await api('get', '/api/v1/movies/trash', other);
+  assert.equal(otherTrash.body.results, 0);
+
+  const notOwner = await api('post', '/api/v1/movies/1/restore', other);
+  assert.equal(notOwner.status, 403);
+
+  const restored = await api('post', '/api/v1/movies/1/restore', owner);
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.data.movie.deleted_at, null);
+  assert.equal(restored.headers.etag, '"1-3"');
+
+  const again = await api('post', '/api/v1/movies/1/restore', owner);
+  assert.equal(again.status, 403);
+
+  const visible = await api('get', '/api/v1/movies/1');
+  assert.equal(visible.status, 200);
+});
+
+test('GET /movies/trash requires a login', async () => {
+  const res = await api('get', '/api/v1/movies/trash');
+  assert.equal(res.status, 401);
+});
+
+test('every change is stored as a revision; owner can diff and revert', async () => {
+  await api('patch', '/api/v1/movies/1', owner).send({ title: 'Second title', overview: 'Plot' });
+  await api('patch', '/api/v1/movies/1', admin).send({ title: 'Third title', genre_ids: [18] });
+
+  const list = await api('get', '/api/v1/movies/1/revisions', owner);
+  assert.equal(list.status, 200);
+  assert.deepEqual(
+    list.body.data.revisions.map((r) => [r.revision, r.action, r.editor?.name, r.movie.title]),
+    [[3, 'update', 'Admin', 'Third title'], [2, 'update', 'Owner', 'Second title']]
+  );
+
+  const diff = await api('get', '/api/v1/movies/1/revisions/diff', owner);
+  assert.equal(diff.status, 200);
+  assert.deepEqual(diff.body.data.changes, {
+    title: { from: 'Second title', to: 'Third title' },
+    genre_ids: { from: [], to: [18] },
+  });
+
+  const revert = await api('post', '/api/v1/movies/1/revisions/2/revert', owner).set('If-Match', '"1-3"');
+  assert.equal(revert.status, 200);
+  assert.equal(movies[0].title, 'Second title');
+  assert.equal(movies[0].genre_ids, '[]');
+  assert.equal(revert.headers.etag, '"1-4"');
+
+  const latest = revisions.find((r) => r.revision === 4);
+  assert.equal(latest.action, 'revert');
+  assert.equal(latest.reverted_from, 2);
+
+  const unchanged = await api('get', '/api/v1/movies/1/revisions/diff?from=2&to=4', owner);
+  assert.deepEqual(unchanged.body.data.changes, {});
+});
+
+test('revision history and revert follow the owner/ADMIN rules', async () => {
+  await api('patch', '/api/v1/movies/1', owner).send({ title: 'Second title' });
+
+  assert.equal((await api('get', '/api/v1/movies/1/revisions', other)).status, 403);
+  assert.equal((await api('get', '/api/v1/movies/1/revisions/2', other)).status, 403);
+  assert.equal((await api('get', '/api/v1/movies/1/revisions/diff?from=1&to=2', other)).status, 403);
+  assert.equal((await api('post', '/api/v1/movies/1/revisions/2/revert', other)).status, 403);
+  assert.equal((await api('get', '/api/v1/movies/1/revisions', owner).set('Authorization', '')).status, 401);
+
+  const one = await api('get', '/api/v1/movies/1/revisions/2', admin);
+  assert.equal(one.status, 200);
+  assert.equal(one.body.data.revision.movie.title, 'Second title');
+
+  assert.equal((await api('get', '/api/v1/movies/1/revisions/9', owner)).status, 404);
+  assert.equal((await api('post', '/api/v1/movies/1/revisions/9/revert', owner)).status, 404);
+  assert.equal((await api('post', '/api/v1/movies/1/revisions/abc/revert', owner)).status, 400);
+
+  const stale = await api('post', '/api/v1/movies/1/revisions/2/revert', owner).set('If-Match', '"1-1"');
+  assert.equal(stale.status, 412);
+  assert.equal(movies[0].title, 'Second title');
+});
+
+test('diff of a movie with only its first revision is empty; unknown revisions are 404', async () => {
+  const created = await api('post', '/api/v1/movies', owner).send({ title: 'Fresh' });
+  const id = created.body.data.movie.id;
+
+  const res = await api('get', `/api/v1/movies/${id}/revisions/diff`, owner);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.from, null);
+  assert.equal(res.body.data.to.revision, 1);
+  assert.equal(res.body.data.to.action, 'create');
+  assert.deepEqual(res.body.data.changes, {});
+
+  assert.equal((await api('get', `/api/v1/movies/${id}/revisions/diff?to=5`, owner)).status, 404);
+  assert.equal((await api('get', `/api/v1/movies/${id}/revisions/diff?from=5&to=1`, owner)).status, 404);
+});
@@ -0,0 +1,176 @@
+// test/oidc.test.js
+// Generic OpenID Connect providers (OIDC_PROVIDERS): ID tokens are
+// verified against a JWKS served locally, then the same account
+// rules as Google apply (identity lookup, no silent merge by email).
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+
+const { app, identities, auditLog, csrfCookie, CSRF_TOKEN, tokenFor, handleUsers, resetAll } = require('./helpers/app');
+const { clearJwksCache } = require('../src/utils/oidc');
+
+const ISSUER = 'https://sso.example.test/realms/main';
+const CLIENT_ID = 'movie-api';
+
+const signingKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+let jwksServer;
+let jwksRequests = 0;
+let users;
+
+before(async () => {
+  const jwk = { ...signingKey.publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' };
+
+  jwksServer = http.createServer((req, res) => {
+    jwksRequests += 1;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ keys: [jwk] }));
+  });
+
+  await new Promise((resolve) => jwksServer.listen(0, '127.0.0.1', resolve));
+
+  process.env.OIDC_PROVIDERS = 'keycloak';
+  process.env.OIDC_KEYCLOAK_ISSUER = ISSUER;
+  process.env.OIDC_KEYCLOAK_CLIENT_ID = CLIENT_ID;
+  process.env.OIDC_KEYCLOAK_JWKS_URI = `http://127.0.0.1:${jwksServer.address().port}/certs`;
+  process.env.OIDC_KEYCLOAK_LABEL = 'Company SSO';
+});
+
+after(async () => {
+  for (const key of ['OIDC_PROVIDERS', 'OIDC_KEYCLOAK_ISSUER', 'OIDC_KEYCLOAK_CLIENT_ID', 'OIDC_KEYCLOAK_JWKS_URI', 'OIDC_KEYCLOAK_LABEL']) {
+    delete process.env[key];
+  }
+  await new Promise((resolve) => jwksServer.close(resolve));
+});
+
+beforeEach(async () => {
+  resetAll();
+  clearJwksCache();
+  jwksRequests = 0;
+
+  users = handleUsers([
+    {
+      id: 1,
+      name: 'Alice',
+      email: 'alice@example.com',
+      password: await bcrypt.hash('secret123', 4),
+      role: 'USER',
+      provider: 'local',
+      provider_id: null,
+      active: 1,
+      created_at: new Date(),
+      email_verified_at: new Date(),
+    },
+  ]);
+});
+
+function idToken(claims = {}, { key = signingKey.privateKey, kid = 'key-1', ...options } = {}) {
+  return jwt.sign(
+    { email: 'kim@example.com', email_verified: true, name: 'Kim', ...claims },
+    key,
+    { algorithm: 'RS256', keyid: kid, issuer: ISSUER, audience: CLIENT_ID, subject: 'kc-sub-1', expiresIn: '5m', ...options }
+  );
+}
+
+function oidcLogin(token, provider = 'keycloak') {
+  return request(app)
+    .post(`/api/v1/auth/oidc/${provider}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ id_token: token });
+}
+
+test('lists configured providers without secrets', async () => {
+  const res = await request(app).get('/api/v1/auth/providers');
+
+  assert.equal(res.status, 200);
+  const keycloak = res.body.data.providers.find((p) => p.name === 'keycloak');
+  assert.deepEqual(keycloak, { name: 'keycloak', label: 'Company SSO', issuer: ISSUER, clientId: CLIENT_ID });
+});
+
+test('first sign-in creates an account linked to the provider, the next one finds it', async () => {
+  const first = await oidcLogin(idToken());
+
+  assert.equal(first.status, 200);
+  assert.ok(first.body.token);
+
+  const created = users.find((u) => u.email === 'kim@example.com');
+  assert.ok(created);
+  assert.equal(created.password, null);
+  assert.equal(created.provider, 'keycloak');
+  assert.deepEqual(
+    identities.map(({ user_id, provider, provider_subject }) => ({ user_id, provider, provider_subject })),
+    [{ user_id: created.id, provider: 'keycloak', provider_subject: 'kc-sub-1' }]
+  );
+  assert.ok(auditLog.some((e) => e.action === 'auth.register' && e.details.provider === 'keycloak'));
+
+  const second = await oidcLogin(idToken());
+
+  assert.equal(second.status, 200);
+  assert.equal(users.length, 2);
+  assert.equal(jwksRequests, 1); // keys are cached
+});
+
+test('rejects tokens that do not verify against the provider', async () => {
+  const cases = [
+    idToken({}, { audience: 'someone-else' }),
+    idToken({}, { issuer: 'https://evil.example.test' }),
+    idToken({}, { expiresIn: '-10m' }),
+    idToken({}, { key: otherKey.privateKey }),
+    idToken({}, { kid: 'unknown-key' }),
+    jwt.sign({ sub: 'kc-sub-1', iss: ISSUER, aud: CLIENT_ID }, 'shared-secret', { algorithm: 'HS256', keyid: 'key-1' }),
+  ];
+
+  for (const token of cases) {
+    const res = await oidcLogin(token);
+    assert.equal(res.status, 401);
+  }
+
+  assert.equal(users.length, 1);
+  assert.equal(identities.length, 0);
+});
+
+test('unknown provider and unverified email are refused', async () => {
+  const unknown = await oidcLogin(idToken(), 'nope');
+  assert.equal(unknown.status, 404);
+
+  const unverified = await oidcLogin(idToken({ email_verified: false }));
+  assert.equal(unverified.status, 401);
+});
+
+test('an existing email is not taken over; linking then unlinking follows the Google rules', async () => {
+  const taken = await oidcLogin(idToken({ email: 'alice@example.com' }));
+  assert.equal(taken.status, 409);
+  assert.equal(identities.length, 0);
+
+  const link = await request(app)
+    .post('/api/v1/users/me/identities/keycloak')
+    .set('Authorization', `Bearer ${tokenFor(users[0])}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ id_token: idToken({ email: 'alice@example.com' }), password: 'secret123' });
+
+  assert.equal(link.status, 201);
+  assert.deepEqual(link.body.data.identities.map((i) => i.provider), ['keycloak']);
+  assert.equal(users[0].provider, 'keycloak');
+
+  const login = await oidcLogin(idToken({ email: 'alice@example.com' }));
+  assert.equal(login.status, 200);
+  assert.equal(login.body.data.user.id, 1);
+
+  const unlink = await request(app)
+    .delete('/api/v1/users/me/identities/keycloak')
+    .set('Authorization', `Bearer ${tokenFor(users[0])}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN);
+
+  assert.equal(unlink.status, 200);
+  assert.equal(identities.length, 0);
+  assert.equal(users[0].provider, 'local');
+});
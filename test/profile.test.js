@@ -0,0 +1,349 @@
+// test/profile.test.js
+// Self-service profile: PATCH /users/me (name, email + re-verification)
+// DELETE /users/me (re-auth, owned movies, last-admin guard)
+// and GET /users/me/export (personal data as JSON / ZIP).
+
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const { OAuth2Client } = require('google-auth-library');
+
+const { generateCode, generateSecret } = require('../src/utils/totp');
+const { app, db, sentEmails, auditLog, identities, csrfCookie, CSRF_TOKEN, tokenFor, handleUsers, resetAll } = require('./helpers/app');
+
+let users;
+let movies;
+
+beforeEach(async () => {
+  resetAll();
+  users = handleUsers([
+    {
+      id: 1,
+      name: 'Alice',
+      email: 'alice@example.com',
+      password: await bcrypt.hash('secret123', 4),
+      role: 'USER',
+      provider: 'local',
+      provider_id: null,
+      active: 1,
+      created_at: new Date(),
+      email_verified_at: new Date(),
+    },
+    {
+      id: 2,
+      name: 'Gina',
+      email: 'gina@example.com',
+      password: null,
+      role: 'USER',
+      provider: 'google',
+      provider_id: 'google-sub-2',
+      active: 1,
+      created_at: new Date(),
+      email_verified_at: new Date(),
+    },
+  ]);
+
+  movies = [
+    { id: 1, owner_id: 1, title: 'Mine' },
+    { id: 2, owner_id: 2, title: 'Not mine' },
+  ];
+
+  // SET name = ?, email = ?, email_verified_at = NULL — whichever were sent
+  db.handle(/^UPDATE users SET (name|email) = \?/, (params, sql) => {
+    const values = [...params];
+    const id = values.pop();
+    const user = users.find((u) => u.id === id);
+    if (sql.includes('name = ?')) user.name = values.shift();
+    if (sql.includes('email = ?')) Object.assign(user, { email: values.shift(), email_verified_at: null });
+    return { affectedRows: 1 };
+  });
+
+  db.handle(/^UPDATE movies SET owner_id = NULL WHERE owner_id = \?/, ([ownerId]) => {
+    const owned = movies.filter((m) => m.owner_id === ownerId);
+    owned.forEach((m) => { m.owner_id = null; });
+    return { affectedRows: owned.length };
+  });
+
+  db.handle(/^DELETE FROM movies WHERE owner_id = \?/, ([ownerId]) => {
+    const before = movies.length;
+    movies = movies.filter((m) => m.owner_id !== ownerId);
+    return { affectedRows: before - movies.length };
+  });
+
+  db.handle(/^SELECT COUNT\(\*\) AS total FROM users WHERE role = 'ADMIN'/, ([id]) => [
+    { total: users.filter((u) => u.role === 'ADMIN' && u.active === 1 && u.id !== id).length },
+  ]);
+
+  db.handle(/^DELETE FROM users WHERE id = \?/, ([id]) => {
+    users.splice(users.findIndex((u) => u.id === id), 1);
+    return { affectedRows: 1 };
+  });
+});
+
+function send(method, body, user = users[0]) {
+  return request(app)[method]('/api/v1/users/me')
+    .set('Authorization', `Bearer ${tokenFor(user)}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send(body);
+}
+
+test('PATCH /users/me changes the name', async () => {
+  const res = await send('patch', { name: '  Alice Cooper ' });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.user.name, 'Alice Cooper');
+  assert.equal(sentEmails.length, 0);
+  assert.deepEqual(auditLog[0].details.changes, { name: { from: 'Alice', to: 'Alice Cooper' } });
+});
+
+test('changing the email needs the current password', async () => {
+  const res = await send('patch', { email: 'new@example.com', currentPassword: 'wrong-pass1' });
+
+  assert.equal(res.status, 401);
+  assert.equal(users[0].email, 'alice@example.com');
+});
+
+test('a new email is unverified until the emailed link is opened; the old address is notified', async () => {
+  const res = await send('patch', { email: 'New@Example.com', currentPassword: 'secret123' });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.verificationEmailSent, true);
+  assert.equal(users[0].email, 'new@example.com');
+  assert.equal(users[0].email_verified_at, null);
+
+  const verification = sentEmails.find((e) => e.to === 'new@example.com');
+  assert.match(verification.html, /\/verify-email\/[0-9a-f]{64}/);
+  assert.ok(sentEmails.some((e) => e.to === 'alice@example.com'));
+});
+
+test('password-less accounts change the email only with a provider sign-in for the same account', async () => {
+  process.env.GOOGLE_CLIENT_ID = 'test-google-client';
+  let sub = 'someone-else';
+
+  const verify = mock.method(OAuth2Client.prototype, 'verifyIdToken', async () => ({
+    getPayload: () => ({ sub, email: 'gina@example.com', email_verified: true }),
+  }));
+
+  identities.push({ user_id: 2, provider: 'google', provider_subject: 'google-sub-2' });
+
+  try {
+    const none = await send('patch', { email: 'taken-over@example.com' }, users[1]);
+    assert.equal(none.status, 401);
+
+    const other = await send('patch', { email: 'taken-over@example.com', credential: 'fake-id-token' }, users[1]);
+    assert.equal(other.status, 401);
+    assert.equal(users[1].email, 'gina@example.com');
+
+    sub = 'google-sub-2';
+    const res = await send('patch', { email: 'gina.new@example.com', credential: 'fake-id-token' }, users[1]);
+    assert.equal(res.status, 200);
+    assert.equal(users[1].email, 'gina.new@example.com');
+
+    // A name-only change needs no re-auth
+    const rename = await send('patch', { name: 'Gina G' }, users[1]);
+    assert.equal(rename.status, 200);
+  } finally {
+    verify.mock.restore();
+  }
+});
+
+test('with 2FA on, changing the email also needs an authentication code', async () => {
+  const secret = generateSecret();
+  Object.assign(users[0], { two_factor_secret: secret, two_factor_enabled_at: new Date(), two_factor_last_step: null });
+
+  db.handle(/^UPDATE users SET two_factor_last_step = \?/, ([step, id]) => {
+    const user = users.find((u) => u.id === id);
+    if (user.two_factor_last_step != null && user.two_factor_last_step >= step) return { affectedRows: 0 };
+    user.two_factor_last_step = step;
+    return { affectedRows: 1 };
+  });
+
+  const noCode = await send('patch', { email: 'new@example.com', currentPassword: 'secret123' });
+  assert.equal(noCode.status, 401);
+  assert.equal(users[0].email, 'alice@example.com');
+
+  const res = await send('patch', { email: 'new@example.com', currentPassword: 'secret123', code: generateCode(secret) });
+  assert.equal(res.status, 200);
+  assert.equal(users[0].email, 'new@example.com');
+});
+
+test('repeated wrong authentication codes on /users/me get blocked', async () => {
+  const secret = generateSecret();
+  Object.assign(users[0], { two_factor_secret: secret, two_factor_enabled_at: new Date(), two_factor_last_step: null });
+  const wrongCode = generateCode(secret) === '123456' ? '654321' : '123456';
+
+  for (let i = 0; i < 3; i += 1) {
+    const res = await send('patch', { email: 'new@example.com', currentPassword: 'secret123', code: wrongCode });
+    assert.equal(res.status, 401);
+  }
+  for (let i = 0; i < 2; i += 1) {
+    const res = await send('delete', { password: 'secret123', code: wrongCode });
+    assert.equal(res.status, 401);
+  }
+
+  // Limit reached: even the right code is refused until the window passes
+  const blocked = await send('patch', { email: 'new@example.com', currentPassword: 'secret123', code: generateCode(secret) });
+  assert.equal(blocked.status, 429);
+  assert.equal(users[0].email, 'alice@example.com');
+
+  // Edits that carry no code are not limited
+  const rename = await send('patch', { name: 'Alice B.' });
+  assert.equal(rename.status, 200);
+});
+
+test('PATCH /users/me rejects a taken email and an empty name', async () => {
+  const taken = await send('patch', { email: 'gina@example.com', currentPassword: 'secret123' });
+  assert.equal(taken.status, 409);
+
+  const empty = await send('patch', { name: '   ' });
+  assert.equal(empty.status, 400);
+});
+
+test('DELETE /users/me needs the password and reassigns movies by default', async () => {
+  const wrong = await send('delete', { password: 'wrong-pass1' });
+  assert.equal(wrong.status, 401);
+  assert.equal(users.length, 2);
+
+  const res = await send('delete', { password: 'secret123' });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.moviesAffected, 1);
+  assert.equal(users.some((u) => u.id === 1), false);
+  assert.equal(movies.find((m) => m.id === 1).owner_id, null);
+  assert.ok(res.headers['set-cookie'].some((c) => c.startsWith('jwt=;')));
+});
+
+test('DELETE /users/me can delete owned movies instead', async () => {
+  const res = await send('delete', { password: 'secret123', movies: 'delete' });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(movies.map((m) => m.id), [2]);
+});
+
+test('Google accounts confirm deletion with a Google sign-in for the same account', async () => {
+  process.env.GOOGLE_CLIENT_ID = 'test-google-client';
+  let sub = 'someone-else';
+
+  const verify = mock.method(OAuth2Client.prototype, 'verifyIdToken', async () => ({
+    getPayload: () => ({ sub, email: 'gina@example.com', email_verified: true }),
+  }));
+
+  identities.push({ user_id: 2, provider: 'google', provider_subject: 'google-sub-2' });
+
+  try {
+    const other = await send('delete', { credential: 'fake-id-token' }, users[1]);
+    assert.equal(other.status, 401);
+
+    sub = 'google-sub-2';
+    const res = await send('delete', { credential: 'fake-id-token' }, users[1]);
+    assert.equal(res.status, 200);
+    assert.equal(users.some((u) => u.id === 2), false);
+  } finally {
+    verify.mock.restore();
+  }
+});
+
+test('the only admin cannot delete their account', async () => {
+  users[0].role = 'ADMIN';
+
+  const res = await send('delete', { password: 'secret123' });
+
+  assert.equal(res.status, 400);
+  assert.equal(users.length, 2);
+});
+
+test('DELETE /users/me requires CSRF', async () => {
+  const res = await request(app)
+    .delete('/api/v1/users/me')
+    .set('Authorization', `Bearer ${tokenFor(users[0])}`)
+    .send({ password: 'secret123' });
+
+  assert.equal(res.status, 403);
+  assert.equal(users.length, 2);
+});
+
+// --------------------
+// Data export
+// --------------------
+
+function handleExportTables() {
+  db.handle(/FROM favorite_movies f INNER JOIN movies m ON m.id = f.movie_id WHERE f.user_id = \?/, () => [
+    { movie_id: 2, title: 'Not mine', favorited_at: new Date() },
+  ]);
+  db.handle(/^SELECT \* FROM movies WHERE owner_id = \?/, ([ownerId]) => movies.filter((m) => m.owner_id === ownerId));
+  db.handle(/FROM user_sessions WHERE user_id = \? ORDER BY id/, () => [{ id: 1, user_agent: 'test-agent' }]);
+  db.handle(/FROM api_keys WHERE user_id = \? ORDER BY id/, () => []);
+  db.handle(/FROM audit_log WHERE actor_user_id = \?/, () => [{ id: 1, action: 'auth.login' }]);
+}
+
+// Entries of a ZIP built by utils/zip.js (local headers only, deflate)
+function readZip(buffer) {
+  const entries = {};
+  let offset = 0;
+
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength;
+
+    entries[name] = zlib.inflateRawSync(buffer.subarray(start, start + compressedSize)).toString('utf8');
+    offset = start + compressedSize;
+  }
+
+  return entries;
+}
+
+test('GET /users/me/export returns the personal data as a JSON download without secrets', async () => {
+  handleExportTables();
+
+  const res = await request(app)
+    .get('/api/v1/users/me/export')
+    .set('Authorization', `Bearer ${tokenFor(users[0])}`);
+
+  assert.equal(res.status, 200);
+  assert.match(res.headers['content-disposition'], /attachment; filename="personal-data-1-\d{4}-\d{2}-\d{2}\.json"/);
+  assert.equal(res.headers['cache-control'], 'no-store');
+
+  const { data } = res.body;
+  assert.equal(data.user.email, 'alice@example.com');
+  assert.deepEqual(data.favorites.map((f) => f.title), ['Not mine']);
+  assert.deepEqual(data.movies.map((m) => m.id), [1]);
+  assert.equal(data.sessions[0].user_agent, 'test-agent');
+  assert.equal(data.auditLog[0].action, 'auth.login');
+
+  // The fake users table returns whole rows; the real query never selects secrets
+  const userSql = db.callsMatching(/has_password/)[0].sql;
+  assert.doesNotMatch(userSql, /\bpassword,|token|two_factor_secret/);
+});
+
+test('GET /users/me/export?format=zip returns one JSON file per table', async () => {
+  handleExportTables();
+
+  const res = await request(app)
+    .get('/api/v1/users/me/export?format=zip')
+    .set('Authorization', `Bearer ${tokenFor(users[0])}`)
+    .buffer(true)
+    .parse((response, callback) => {
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('end', () => callback(null, Buffer.concat(chunks)));
+    });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.headers['content-type'], 'application/zip');
+
+  const entries = readZip(res.body);
+  assert.deepEqual(Object.keys(entries), [
+    'export.json', 'user.json', 'identities.json', 'favorites.json', 'movies.json', 'sessions.json', 'apiKeys.json', 'auditLog.json',
+  ]);
+  assert.equal(JSON.parse(entries['user.json']).email, 'alice@example.com');
+
+  const bad = await request(app)
+    .get('/api/v1/users/me/export?format=xml')
+    .set('Authorization', `Bearer ${tokenFor(users[0])}`);
+  assert.equal(bad.status, 400);
+});
@@ -0,0 +1,145 @@
+// test/rateLimit.test.js
+// Sliding-window rate limits: stores, headers and the limiters
+// wired on /api/v1/auth/login and the movie routes.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { app, db, csrfCookie, CSRF_TOKEN, handleUsers, resetAll } = require('./helpers/app');
+const { createMemoryStore, createMySqlStore } = require('../src/middlewares/rateLimit');
+const { createFakeDb } = require('./helpers/fakeDb');
+
+beforeEach(() => {
+  resetAll();
+  handleUsers([]);
+  db.handle(/^SELECT \* FROM movies WHERE id = \?/, () => [{ id: 1, title: 'Minions' }]);
+  db.handle(/FROM movie_genres mg INNER JOIN genres g/, () => []);
+});
+
+function login(email) {
+  return request(app)
+    .post('/api/v1/auth/login')
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ email, password: 'wrong123' });
+}
+
+test('memory store carries the previous window into the next one', async () => {
+  const store = createMemoryStore();
+
+  await store.hit('k', 0, 1000);
+  await store.hit('k', 0, 1000);
+  assert.deepEqual(await store.hit('k', 1000, 1000), { current: 1, previous: 2 });
+
+  // Two windows later everything is forgotten
+  assert.deepEqual(await store.hit('k', 3000, 1000), { current: 1, previous: 0 });
+});
+
+test('memory store drops keys whose windows have passed', async () => {
+  const store = createMemoryStore();
+
+  await store.hit('old-ip', 0, 1000);
+  await store.hit('recent-ip', 1000, 1000);
+  assert.equal(store.size(), 2);
+
+  // old-ip (window 0) can no longer count; recent-ip is still the previous window
+  await store.hit('new-ip', 2000, 1000);
+  assert.equal(store.size(), 2);
+  assert.deepEqual(await store.hit('recent-ip', 2000, 1000), { current: 1, previous: 1 });
+
+  await store.hit('new-ip', 5000, 1000);
+  assert.equal(store.size(), 1);
+});
+
+test('memory store keeps sweeping short windows next to a long one', async () => {
+  const store = createMemoryStore();
+  const MINUTE = 60 * 1000;
+  const HOUR = 60 * MINUTE;
+
+  await store.hit('hourly', 0, HOUR);
+  await store.hit('old-ip', 0, MINUTE);
+  assert.equal(store.size(), 2);
+
+  // The one-minute window sweeps old-ip; the hourly bucket is still current
+  await store.hit('new-ip', 3 * MINUTE, MINUTE);
+  assert.equal(store.size(), 2);
+  assert.deepEqual(await store.hit('hourly', 0, HOUR), { current: 2, previous: 0 });
+});
+
+test('mysql store upserts the bucket and reads current + previous windows', async () => {
+  const fake = createFakeDb();
+  fake.handle(/^INSERT INTO rate_limit_buckets/, () => ({ affectedRows: 1 }));
+  fake.handle(/^DELETE FROM rate_limit_buckets WHERE bucket_key = \? AND window_start < \?/, () => ({ affectedRows: 0 }));
+  fake.handle(/^SELECT window_start, hits FROM rate_limit_buckets/, () => [
+    { window_start: 2000, hits: 3 },
+    { window_start: 1000, hits: 7 },
+  ]);
+
+  const store = createMySqlStore(fake);
+  assert.deepEqual(await store.hit('k', 2000, 1000), { current: 3, previous: 7 });
+
+  const [upsert] = fake.callsMatching(/^INSERT INTO rate_limit_buckets/);
+  assert.match(upsert.sql, /ON DUPLICATE KEY UPDATE hits = hits \+ 1/);
+  assert.deepEqual(upsert.params, ['k', 2000]);
+});
+
+test('login sends RateLimit-* headers', async () => {
+  const res = await login('alice@example.com');
+
+  assert.equal(res.status, 401);
+  assert.equal(res.headers['ratelimit-limit'], '10');
+  assert.equal(res.headers['ratelimit-remaining'], '9');
+  assert.match(res.headers['ratelimit-policy'], /^10;w=900$/);
+  assert.ok(Number(res.headers['ratelimit-reset']) > 0);
+});
+
+test('login is limited per IP + email with 429 and Retry-After', async () => {
+  for (let i = 0; i < 10; i += 1) {
+    const res = await login('alice@example.com');
+    assert.equal(res.status, 401);
+  }
+
+  const blocked = await login('alice@example.com');
+  assert.equal(blocked.status, 429);
+  assert.ok(Number(blocked.headers['retry-after']) > 0);
+  assert.match(blocked.body.message, /Too many login attempts/);
+
+  // Another email from the same IP has its own bucket
+  const other = await login('bob@example.com');
+  assert.equal(other.status, 401);
+});
+
+test('login keys hash the normalized email, so any input gives a short key', async () => {
+  const { store } = require('../src/config/rateLimits');
+  const keys = [];
+  const hit = store.hit;
+  store.hit = (key, ...rest) => {
+    keys.push(key);
+    return hit(key, ...rest);
+  };
+
+  try {
+    await login(' Alice@Example.com ');
+    await login('alice@example.com');
+    await login(`${'a'.repeat(10000)}@example.com`);
+    await login({ nested: ['x'] });
+  } finally {
+    store.hit = hit;
+  }
+
+  assert.equal(keys.length, 4);
+  assert.equal(keys[0], keys[1]);
+  assert.equal(keys[0].includes('alice'), false);
+  keys.forEach((key) => assert.ok(key.length <= 255, key));
+});
+
+test('movie routes are limited per API key', async () => {
+  const res = await request(app)
+    .get('/api/v1/movies/1')
+    .set('x-api-key', process.env.API_KEY);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.headers['ratelimit-limit'], '120');
+  assert.equal(res.headers['ratelimit-remaining'], '119');
+});
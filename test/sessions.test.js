@@ -0,0 +1,231 @@
+// test/sessions.test.js
+// Short-lived access tokens + rotating refresh tokens (user_sessions),
+// reuse detection, server-side revocation checked by auth.protect,
+// and the sessions list / "log out everywhere".
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+
+const { app, db, sessions, csrfCookie, CSRF_TOKEN, tokenFor, handleUsers, resetAll } = require('./helpers/app');
+
+let users;
+
+beforeEach(async () => {
+  resetAll();
+  users = handleUsers([
+    {
+      id: 1,
+      name: 'Alice',
+      email: 'alice@example.com',
+      password: await bcrypt.hash('secret123', 4),
+      role: 'USER',
+      provider: 'local',
+      provider_id: null,
+      active: 1,
+      created_at: new Date(),
+      password_changed_at: null,
+    },
+  ]);
+
+  // Any protect-only route will do
+  db.handle(/FROM api_keys WHERE user_id = \?/, () => []);
+});
+
+function getCookie(res, name) {
+  return (res.headers['set-cookie'] || []).find((c) => c.startsWith(`${name}=`));
+}
+
+const FIREFOX_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:128.0) Gecko/20100101 Firefox/128.0';
+
+function login() {
+  return request(app)
+    .post('/api/v1/auth/login')
+    .set('User-Agent', FIREFOX_UA)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ email: 'alice@example.com', password: 'secret123' });
+}
+
+function refresh(refreshToken) {
+  return request(app)
+    .post('/api/v1/auth/refresh')
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ refreshToken });
+}
+
+function protectedRoute(token) {
+  return request(app)
+    .get('/api/v1/users/me/api-keys')
+    .set('Authorization', `Bearer ${token}`);
+}
+
+test('login opens a session and returns a short-lived access token + refresh token', async () => {
+  const res = await login();
+
+  assert.equal(res.status, 200);
+  assert.ok(res.body.refreshToken);
+  assert.ok(getCookie(res, 'refreshToken'));
+  assert.equal(sessions.length, 1);
+  assert.notEqual(sessions[0].refresh_token_hash, res.body.refreshToken);
+
+  const decoded = jwt.decode(res.body.token);
+  assert.equal(decoded.sid, sessions[0].id);
+  assert.ok(decoded.exp - decoded.iat <= 15 * 60);
+});
+
+test('refresh rotates the refresh token and issues a new access token', async () => {
+  const { body } = await login();
+
+  const res = await refresh(body.refreshToken);
+
+  assert.equal(res.status, 200);
+  assert.ok(res.body.token);
+  assert.ok(res.body.refreshToken);
+  assert.notEqual(res.body.refreshToken, body.refreshToken);
+  assert.equal((await protectedRoute(res.body.token)).status, 200);
+});
+
+test('refresh accepts the refreshToken cookie', async () => {
+  const { body } = await login();
+
+  const res = await request(app)
+    .post('/api/v1/auth/refresh')
+    .set('Cookie', [csrfCookie(), `refreshToken=${body.refreshToken}`].join('; '))
+    .set('x-csrf-token', CSRF_TOKEN);
+
+  assert.equal(res.status, 200);
+  assert.ok(getCookie(res, 'jwt'));
+});
+
+test('reusing an old refresh token revokes the whole session', async () => {
+  const { body } = await login();
+  const rotated = await refresh(body.refreshToken);
+
+  const replay = await refresh(body.refreshToken);
+  assert.equal(replay.status, 401);
+  assert.match(replay.body.message, /reuse/);
+  assert.equal(sessions[0].revoked_reason, 'reuse');
+
+  // The legitimate holder is logged out as well
+  assert.equal((await refresh(rotated.body.refreshToken)).status, 401);
+  assert.equal((await protectedRoute(rotated.body.token)).status, 401);
+});
+
+test('an unknown refresh token is rejected', async () => {
+  const res = await refresh(`${'a'.repeat(32)}.${'b'.repeat(64)}`);
+  assert.equal(res.status, 401);
+});
+
+test('logout revokes the session, so a copied access token stops working', async () => {
+  const { body } = await login();
+
+  const res = await request(app)
+    .post('/api/v1/auth/logout')
+    .set('Authorization', `Bearer ${body.token}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN);
+
+  assert.equal(res.status, 200);
+  assert.match(getCookie(res, 'refreshToken'), /^refreshToken=;/);
+  assert.equal((await protectedRoute(body.token)).status, 401);
+  assert.equal((await refresh(body.refreshToken)).status, 401);
+});
+
+test('tokens without a session id are rejected', async () => {
+  const legacy = jwt.sign({ id: 1, role: 'USER' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+  const res = await protectedRoute(legacy);
+
+  assert.equal(res.status, 401);
+});
+
+test('changing the password revokes every other session', async () => {
+  db.handle(/^UPDATE users SET password_change_count/, () => ({ affectedRows: 1 }));
+  db.handle(/^UPDATE users SET password = \?/, ([password]) => {
+    users[0].password = password;
+    return { affectedRows: 1 };
+  });
+
+  const other = tokenFor(users[0]);
+
+  const res = await request(app)
+    .patch('/api/v1/auth/change-password')
+    .set('Authorization', `Bearer ${tokenFor(users[0])}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ currentPassword: 'secret123', newPassword: 'secret456', newPasswordConfirm: 'secret456' });
+
+  assert.equal(res.status, 200);
+  assert.equal((await protectedRoute(other)).status, 401);
+  assert.equal((await protectedRoute(res.body.token)).status, 200);
+});
+
+test('login records the device and GET /users/me/sessions lists it', async () => {
+  const { body } = await login();
+  tokenFor(users[0]); // a second device
+  tokenFor({ id: 99, role: 'USER' }); // someone else
+
+  const res = await request(app)
+    .get('/api/v1/users/me/sessions')
+    .set('Authorization', `Bearer ${body.token}`);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.results, 2);
+
+  const current = res.body.data.sessions.find((session) => session.current);
+  assert.equal(current.device, 'Firefox on Windows');
+  assert.equal(current.user_agent, FIREFOX_UA);
+  assert.ok(current.ip);
+  assert.ok(current.last_seen_at);
+  assert.equal(current.refresh_token_hash, undefined);
+});
+
+test('DELETE /users/me/sessions/:id signs out another device', async () => {
+  const other = tokenFor(users[0]);
+  const mine = tokenFor(users[0]);
+
+  const res = await request(app)
+    .delete('/api/v1/users/me/sessions/1')
+    .set('Authorization', `Bearer ${mine}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN);
+
+  assert.equal(res.status, 200);
+  assert.equal(sessions[0].revoked_reason, 'user_revoked');
+  assert.equal((await protectedRoute(other)).status, 401);
+  assert.equal((await protectedRoute(mine)).status, 200);
+});
+
+test("DELETE /users/me/sessions/:id cannot touch another user's session", async () => {
+  tokenFor({ id: 99, role: 'USER' });
+
+  const res = await request(app)
+    .delete('/api/v1/users/me/sessions/1')
+    .set('Authorization', `Bearer ${tokenFor(users[0])}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN);
+
+  assert.equal(res.status, 404);
+  assert.equal(sessions[0].revoked_at, null);
+});
+
+test('logout-all revokes every session of the user', async () => {
+  const other = tokenFor(users[0]);
+  const { body } = await login();
+
+  const res = await request(app)
+    .post('/api/v1/auth/logout-all')
+    .set('Authorization', `Bearer ${body.token}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN);
+
+  assert.equal(res.status, 200);
+  assert.match(getCookie(res, 'jwt'), /^jwt=;/);
+  assert.equal((await protectedRoute(other)).status, 401);
+  assert.equal((await protectedRoute(body.token)).status, 401);
+  assert.equal((await refresh(body.refreshToken)).status, 401);
+});
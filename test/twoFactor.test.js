@@ -0,0 +1,309 @@
+// test/twoFactor.test.js
+// TOTP enrollment (setup → verify), recovery codes, disable,
+// and the two-step login (password → challenge → code).
+
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const { OAuth2Client } = require('google-auth-library');
+
+const { app, db, sessions, csrfCookie, CSRF_TOKEN, tokenFor, identities, handleUsers, resetAll } = require('./helpers/app');
+const { generateCode, generateSecret } = require('../src/utils/totp');
+
+let users;
+let recoveryCodes;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// users.two_factor_* columns + user_recovery_codes
+function handleTwoFactor() {
+  recoveryCodes = [];
+
+  db.handle(/^UPDATE users SET two_factor_secret = \?, two_factor_last_step = NULL/, ([secret, id]) => {
+    Object.assign(users.find((u) => u.id === id), { two_factor_secret: secret, two_factor_last_step: null });
+    return { affectedRows: 1 };
+  });
+
+  db.handle(/^UPDATE users SET two_factor_last_step = \?/, ([step, id]) => {
+    const user = users.find((u) => u.id === id);
+    if (user.two_factor_last_step != null && user.two_factor_last_step >= step) return { affectedRows: 0 };
+    user.two_factor_last_step = step;
+    return { affectedRows: 1 };
+  });
+
+  db.handle(/^UPDATE users SET two_factor_enabled_at = NOW\(\)/, ([id]) => {
+    users.find((u) => u.id === id).two_factor_enabled_at = new Date();
+    return { affectedRows: 1 };
+  });
+
+  db.handle(/^UPDATE users SET two_factor_secret = NULL/, ([id]) => {
+    Object.assign(users.find((u) => u.id === id), {
+      two_factor_secret: null,
+      two_factor_enabled_at: null,
+      two_factor_last_step: null,
+    });
+    return { affectedRows: 1 };
+  });
+
+  db.handle(/^DELETE FROM user_recovery_codes WHERE user_id = \?/, ([userId]) => {
+    recoveryCodes = recoveryCodes.filter((c) => c.user_id !== userId);
+    return { affectedRows: 1 };
+  });
+
+  db.handle(/^INSERT INTO user_recovery_codes \(user_id, code_hash\) VALUES \?/, ([rows]) => {
+    rows.forEach(([userId, hash]) => recoveryCodes.push({ user_id: userId, code_hash: hash, used_at: null }));
+    return { affectedRows: rows.length };
+  });
+
+  db.handle(/^UPDATE user_recovery_codes SET used_at = NOW\(\)/, ([userId, hash]) => {
+    const code = recoveryCodes.find((c) => c.user_id === userId && c.code_hash === hash && !c.used_at);
+    if (!code) return { affectedRows: 0 };
+    code.used_at = new Date();
+    return { affectedRows: 1 };
+  });
+}
+
+beforeEach(async () => {
+  resetAll();
+  users = handleUsers([
+    {
+      id: 1,
+      name: 'Alice',
+      email: 'alice@example.com',
+      password: await bcrypt.hash('secret123', 4),
+      role: 'USER',
+      provider: 'local',
+      provider_id: null,
+      active: 1,
+      created_at: new Date(),
+      failed_login_count: 0,
+      last_failed_login_at: null,
+      locked_until: null,
+      two_factor_secret: null,
+      two_factor_enabled_at: null,
+      two_factor_last_step: null,
+    },
+  ]);
+  handleTwoFactor();
+});
+
+// Any 6 digits that are not the current code
+function wrongCodeFor(secret) {
+  return generateCode(secret) === '123456' ? '654321' : '123456';
+}
+
+function enableTwoFactor() {
+  const secret = generateSecret();
+  Object.assign(users[0], { two_factor_secret: secret, two_factor_enabled_at: new Date() });
+  recoveryCodes.push({ user_id: 1, code_hash: sha256('abcde12345'), used_at: null });
+  return secret;
+}
+
+function post(path, body, token = tokenFor(users[0])) {
+  return request(app)
+    .post(path)
+    .set('Authorization', `Bearer ${token}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send(body);
+}
+
+function login() {
+  return request(app)
+    .post('/api/v1/auth/login')
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ email: 'alice@example.com', password: 'secret123' });
+}
+
+function loginTwoFactor(body) {
+  return request(app)
+    .post('/api/v1/auth/login/2fa')
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send(body);
+}
+
+test('setup returns a secret, otpauth URI and a local QR data URL', async () => {
+  const res = await post('/api/v1/auth/2fa/setup');
+
+  assert.equal(res.status, 200);
+  assert.match(res.body.data.secret, /^[A-Z2-7]{32}$/);
+  assert.match(res.body.data.otpauthUri, /^otpauth:\/\/totp\/.+alice%40example\.com\?secret=/);
+  assert.match(res.body.data.qrCodeDataUrl, /^data:image\/png;base64,/);
+  assert.equal(users[0].two_factor_secret, res.body.data.secret);
+  assert.equal(users[0].two_factor_enabled_at, null);
+});
+
+test('verify turns 2FA on with a valid code and returns recovery codes once', async () => {
+  const { body } = await post('/api/v1/auth/2fa/setup');
+
+  const wrong = await post('/api/v1/auth/2fa/verify', { code: wrongCodeFor(body.data.secret) });
+  assert.equal(wrong.status, 400);
+  assert.equal(users[0].two_factor_enabled_at, null);
+
+  const res = await post('/api/v1/auth/2fa/verify', { code: generateCode(body.data.secret) });
+
+  assert.equal(res.status, 200);
+  assert.ok(users[0].two_factor_enabled_at);
+  assert.equal(res.body.data.recoveryCodes.length, 10);
+  assert.equal(recoveryCodes.length, 10);
+  assert.equal(recoveryCodes[0].code_hash, sha256(res.body.data.recoveryCodes[0].replace('-', '')));
+});
+
+test('with 2FA on, login returns a challenge instead of a session', async () => {
+  enableTwoFactor();
+
+  const res = await login();
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.twoFactorRequired, true);
+  assert.ok(res.body.data.challengeToken);
+  assert.equal(res.body.token, undefined);
+  assert.ok(!(res.headers['set-cookie'] || []).some((c) => c.startsWith('jwt=')));
+  assert.equal(sessions.length, 0);
+
+  // The challenge is not an access token
+  const me = await request(app)
+    .get('/api/v1/users/me')
+    .set('Authorization', `Bearer ${res.body.data.challengeToken}`);
+  assert.equal(me.status, 401);
+});
+
+test('a password reset on a 2FA account returns a challenge, not a session', async () => {
+  enableTwoFactor();
+  const token = 'a'.repeat(64);
+  Object.assign(users[0], { password_reset_token: sha256(token), password_reset_expires: new Date(Date.now() + 60000) });
+
+  db.handle(/FROM users WHERE password_reset_token = \?/, ([hash]) =>
+    users.filter((u) => u.password_reset_token === hash)
+  );
+  db.handle(/^UPDATE users SET password = \?, password_changed_at = NOW\(\), password_reset_token = NULL/, ([hash, id]) => {
+    Object.assign(users.find((u) => u.id === id), { password: hash, password_reset_token: null, password_reset_expires: null });
+    return { affectedRows: 1 };
+  });
+  db.handle(/^UPDATE users SET password_change_count/, () => ({ affectedRows: 1 }));
+
+  const res = await request(app)
+    .patch(`/api/v1/auth/reset-password/${token}`)
+    .set('Cookie', csrfCookie())
+    .set('x-csrf-token', CSRF_TOKEN)
+    .send({ newPassword: 'brandNew123', newPasswordConfirm: 'brandNew123' });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.data.twoFactorRequired, true);
+  assert.ok(res.body.data.challengeToken);
+  assert.equal(res.body.token, undefined);
+  assert.ok(!(res.headers['set-cookie'] || []).some((c) => c.startsWith('jwt=') || c.startsWith('refreshToken=')));
+  assert.equal(sessions.length, 0);
+  assert.equal(users[0].password_reset_token, null);
+  assert.ok(await bcrypt.compare('brandNew123', users[0].password));
+});
+
+test('login/2fa with a TOTP code finishes the login; the code cannot be replayed', async () => {
+  const secret = enableTwoFactor();
+  const { body } = await login();
+  const code = generateCode(secret);
+
+  const res = await loginTwoFactor({ challengeToken: body.data.challengeToken, code });
+
+  assert.equal(res.status, 200);
+  assert.ok(res.body.token);
+  assert.equal(sessions.length, 1);
+
+  const replay = await loginTwoFactor({ challengeToken: body.data.challengeToken, code });
+  assert.equal(replay.status, 401);
+});
+
+test('a recovery code works exactly once', async () => {
+  enableTwoFactor();
+  const { body } = await login();
+
+  const res = await loginTwoFactor({ challengeToken: body.data.challengeToken, recoveryCode: 'ABCDE-12345' });
+  assert.equal(res.status, 200);
+
+  const again = await loginTwoFactor({ challengeToken: body.data.challengeToken, recoveryCode: 'abcde-12345' });
+  assert.equal(again.status, 401);
+});
+
+test('a wrong code counts as a failed login', async () => {
+  const secret = enableTwoFactor();
+  const { body } = await login();
+
+  const res = await loginTwoFactor({ challengeToken: body.data.challengeToken, code: wrongCodeFor(secret) });
+
+  assert.equal(res.status, 401);
+  assert.equal(users[0].failed_login_count, 1);
+});
+
+test('a forged challenge token is rejected', async () => {
+  enableTwoFactor();
+
+  const res = await loginTwoFactor({ challengeToken: tokenFor(users[0]), code: '123456' });
+
+  assert.equal(res.status, 401);
+});
+
+test('disable requires the password and a valid code', async () => {
+  const secret = enableTwoFactor();
+
+  const noPassword = await post('/api/v1/auth/2fa/disable', { code: generateCode(secret) });
+  assert.equal(noPassword.status, 401);
+  assert.ok(users[0].two_factor_enabled_at);
+
+  const res = await post('/api/v1/auth/2fa/disable', { password: 'secret123', code: generateCode(secret) });
+
+  assert.equal(res.status, 200);
+  assert.equal(users[0].two_factor_enabled_at, null);
+  assert.equal(users[0].two_factor_secret, null);
+  assert.equal(recoveryCodes.length, 0);
+});
+
+test('repeated wrong codes on disable / recovery codes get blocked', async () => {
+  const secret = enableTwoFactor();
+  const code = wrongCodeFor(secret);
+
+  for (let i = 0; i < 3; i += 1) {
+    const res = await post('/api/v1/auth/2fa/disable', { password: 'secret123', code });
+    assert.equal(res.status, 400);
+  }
+  for (let i = 0; i < 2; i += 1) {
+    const res = await post('/api/v1/auth/2fa/recovery-codes', { code });
+    assert.equal(res.status, 400);
+  }
+
+  const blocked = await post('/api/v1/auth/2fa/disable', { password: 'secret123', code: generateCode(secret) });
+
+  assert.equal(blocked.status, 429);
+  assert.ok(users[0].two_factor_enabled_at);
+});
+
+test('Google sign-in also asks for the second factor', async () => {
+  enableTwoFactor();
+  process.env.GOOGLE_CLIENT_ID = 'test-google-client';
+  Object.assign(users[0], { provider: 'google', provider_id: 'google-sub-1' });
+
+  identities.push({ user_id: 1, provider: 'google', provider_subject: 'google-sub-1' });
+
+  const verify = mock.method(OAuth2Client.prototype, 'verifyIdToken', async () => ({
+    getPayload: () => ({ sub: 'google-sub-1', email: 'alice@example.com', email_verified: true, name: 'Alice' }),
+  }));
+
+  try {
+    const res = await request(app)
+      .post('/api/v1/auth/google')
+      .set('Cookie', csrfCookie())
+      .set('x-csrf-token', CSRF_TOKEN)
+      .send({ credential: 'fake-id-token' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.twoFactorRequired, true);
+    assert.equal(sessions.length, 0);
+  } finally {
+    verify.mock.restore();
+  }
+});